@@ -31,7 +31,7 @@ export default [
     },
   },
   {
-    files: ["server.js", "vite.config.js"],
+    files: ["server.js", "lib/**/*.js", "vite.config.js"],
     languageOptions: {
       ecmaVersion: "latest",
       sourceType: "module",
@@ -0,0 +1,86 @@
+// Installed application version — used to flag prefs that a given Firefox
+// release no longer reads. Checked in order: application.ini of an install
+// directory, the profile's compatibility.ini (version that last ran it), and
+// finally `<binary> --version`. `major` is the Gecko platform version when
+// the source records it, so forks with their own numbering (Floorp) still
+// map onto Firefox releases.
+
+import { readFile } from "fs/promises";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import path from "path";
+import { parseIni } from "./profiles.js";
+
+const execFileAsync = promisify(execFile);
+
+const VERSION_CACHE_MS = 5 * 60 * 1000;
+const binaryVersions = new Map(); // binary -> { at, version }
+
+// "147.0.1" -> 147 (null when unparseable)
+function majorOf(version) {
+  const major = parseInt(String(version).split(".")[0], 10);
+  return Number.isInteger(major) && major > 0 ? major : null;
+}
+
+async function readIni(file) {
+  try {
+    const sections = parseIni(await readFile(file, "utf8"));
+    return (section, key) =>
+      sections.find((s) => s.section === section)?.values[key] || null;
+  } catch {
+    return null;
+  }
+}
+
+async function binaryVersion(binary) {
+  const cached = binaryVersions.get(binary);
+  if (cached && Date.now() - cached.at < VERSION_CACHE_MS) return cached.version;
+
+  let version = null;
+  try {
+    const { stdout } = await execFileAsync(binary, ["--version"], { timeout: 5000 });
+    version = stdout.match(/(\d+\.\d+(?:\.\d+)?(?:[a-z]+\d*)?)/)?.[1] || null;
+  } catch {
+    // Not installed under this name
+  }
+  binaryVersions.set(binary, { at: Date.now(), version });
+  return version;
+}
+
+/**
+ * Detect the version of a target application.
+ *
+ * @param {object} target - Entry of TARGETS (lib/targets.js)
+ * @param {string} [profileDir] - Profile whose compatibility.ini is consulted
+ * @returns {Promise<{version: string|null, major: number|null, source: string|null}>}
+ */
+export async function detectAppVersion(target, profileDir) {
+  for (const dir of target.installDirs) {
+    const ini = await readIni(path.join(dir, "application.ini"));
+    const version = ini?.("App", "Version");
+    const major = majorOf(ini?.("Gecko", "MinVersion")) || majorOf(version);
+    if (version && major) {
+      return { version, major, source: "application.ini" };
+    }
+  }
+
+  if (profileDir) {
+    // LastVersion=147.0.1_20260203101010/20260203101010
+    const ini = await readIni(path.join(profileDir, "compatibility.ini"));
+    const version = ini?.("Compatibility", "LastVersion")?.split("_")[0];
+    const major =
+      majorOf(ini?.("Compatibility", "LastPlatformVersion")) || majorOf(version);
+    if (version && major) {
+      return { version, major, source: "compatibility.ini" };
+    }
+  }
+
+  for (const binary of target.binaries) {
+    const version = await binaryVersion(binary);
+    if (version && majorOf(version)) {
+      return { version, major: majorOf(version), source: "--version" };
+    }
+  }
+
+  return { version: null, major: null, source: null };
+}
@@ -0,0 +1,382 @@
+// user.js backups — timestamped copies next to the profile's user.js, with
+// snapshots of prefs.js and policies.json, recorded in a manifest of SHA-256
+// checksums so restores refuse copies that changed or were never recorded.
+// Retention (count and age) is configurable; pinned backups are never pruned.
+
+import { readFile, writeFile, copyFile, readdir, unlink, stat, mkdir, rename, rm } from "fs/promises";
+import { existsSync } from "fs";
+import { createHash, randomUUID } from "crypto";
+import path from "path";
+import { STATE_DIR } from "./state.js";
+import { parsePrefs, prefNodes } from "./prefs-parser.js";
+
+export const BACKUP_NAME = /^user\.js\.backup(?:-[\w.-]+)?$/;
+export const BACKUP_DIR = `${STATE_DIR}/backups`;
+
+// What made a backup, as recorded in the manifest
+export const BACKUP_ACTIONS = [
+  "editor-save",
+  "apply-preferences",
+  "auto-fix",
+  "wizard-apply",
+  "restore",
+  "import",
+  "test-profile-promote",
+  "ignored-prefs-fix",
+  "upstream-adopt",
+];
+
+export const DEFAULT_RETENTION = { maxCount: 5, maxAgeDays: 0 }; // 0 days: no age limit
+const MAX_RETAINED = 100;
+const MAX_AGE_DAYS = 3650;
+
+const MANIFEST_FILE = `${BACKUP_DIR}/manifest.json`;
+const RETENTION_FILE = `${STATE_DIR}/backup-retention.json`;
+const PINS_FILE = `${STATE_DIR}/backup-pins.json`;
+// 2026-02-09T12-30-00-000Z, the ISO time with ":" and "." replaced
+const STAMP = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Error with an HTTP status so route handlers can pass it straight through
+export class BackupError extends Error {
+  constructor(message, status = 404) {
+    super(message);
+    this.name = "BackupError";
+    this.status = status;
+  }
+}
+
+const sha256 = (content) => createHash("sha256").update(content).digest("hex");
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await readFile(file, "utf8"));
+  } catch {
+    return fallback; // not written yet
+  }
+}
+
+async function writeJson(file, data) {
+  await mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${randomUUID()}.tmp`;
+  await writeFile(tmp, JSON.stringify(data, null, 2), "utf8");
+  await rename(tmp, file);
+}
+
+// The manifest, pins and retention are read, changed and written back whole;
+// updates go through this queue one at a time so concurrent requests do not
+// drop each other's changes
+let pending = Promise.resolve();
+function serialized(update) {
+  const result = pending.then(update);
+  pending = result.catch(() => {});
+  return result;
+}
+
+async function readManifest() {
+  const manifest = await readJson(MANIFEST_FILE, null);
+  return Array.isArray(manifest?.backups) ? manifest.backups : [];
+}
+
+const writeManifest = (backups) => writeJson(MANIFEST_FILE, { version: 1, backups });
+
+async function readPins() {
+  return new Set((await readJson(PINS_FILE, {})).pinned ?? []);
+}
+
+async function writePins(pins) {
+  await writeJson(PINS_FILE, { version: 1, pinned: [...pins].sort() });
+}
+
+/**
+ * How many unpinned backups of each user.js to keep, and for how long.
+ *
+ * @returns {Promise<{maxCount: number, maxAgeDays: number}>}
+ */
+export async function readRetention() {
+  return { ...DEFAULT_RETENTION, ...(await readJson(RETENTION_FILE, {})) };
+}
+
+/**
+ * Change retention; fields left out keep their value.
+ *
+ * @param {{maxCount?: number, maxAgeDays?: number}} settings - maxAgeDays 0 disables the age limit
+ * @throws {BackupError} 400 for values out of range
+ */
+export function writeRetention(settings) {
+  return serialized(async () => {
+    const current = await readRetention();
+    const { maxCount = current.maxCount, maxAgeDays = current.maxAgeDays } = settings;
+    if (!Number.isInteger(maxCount) || maxCount < 1 || maxCount > MAX_RETAINED) {
+      throw new BackupError(`maxCount must be an integer from 1 to ${MAX_RETAINED}`, 400);
+    }
+    if (!Number.isInteger(maxAgeDays) || maxAgeDays < 0 || maxAgeDays > MAX_AGE_DAYS) {
+      throw new BackupError(`maxAgeDays must be an integer from 0 (no limit) to ${MAX_AGE_DAYS}`, 400);
+    }
+    await writeJson(RETENTION_FILE, { maxCount, maxAgeDays });
+    return { maxCount, maxAgeDays };
+  });
+}
+
+// Absolute path of a backup, rejecting anything that is not a backup name
+function resolveBackup(profileDir, name) {
+  if (typeof name !== "string" || !BACKUP_NAME.test(name)) {
+    throw new BackupError(`Invalid backup name "${String(name).slice(0, 80)}"`, 400);
+  }
+  const file = path.join(profileDir, name);
+  if (!existsSync(file)) throw new BackupError(`Backup ${name} not found`);
+  return file;
+}
+
+// When a backup was made: from its name, or the file time for user.js.backup
+function backupTime(name, mtime) {
+  const match = name.slice("user.js.backup-".length).match(STAMP);
+  if (!match) return mtime.toISOString();
+  const [, date, h, m, s, ms] = match;
+  return `${date}T${h}:${m}:${s}.${ms}Z`;
+}
+
+// Delete unpinned backups beyond the retention limits, with their snapshots
+// and manifest entries; `keep` (the backup just made) always stays. Run
+// through serialized() so pins and the manifest do not change underneath.
+async function pruneBackups(dir, base, keep) {
+  const { maxCount, maxAgeDays } = await readRetention();
+  const pins = await readPins();
+  const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * DAY_MS : -Infinity;
+
+  const backups = (await readdir(dir))
+    .filter((f) => f.startsWith(`${base}.backup-`) && !pins.has(path.join(dir, f)))
+    .sort()
+    .reverse();
+  for (const [index, name] of backups.entries()) {
+    const file = path.join(dir, name);
+    if (file === keep) continue;
+    const time = Date.parse(backupTime(name, (await stat(file)).mtime));
+    if (index >= maxCount || time < cutoff) await unlink(file).catch(() => {});
+  }
+
+  // Drop manifest entries (and snapshots) whose user.js backup is gone
+  const manifest = await readManifest();
+  const kept = manifest.filter((entry) => existsSync(entry.files[0].path));
+  for (const entry of manifest.filter((e) => !kept.includes(e))) {
+    await rm(path.join(BACKUP_DIR, entry.id), { recursive: true, force: true });
+  }
+  if (kept.length !== manifest.length) await writeManifest(kept);
+}
+
+/**
+ * Back up a file next to itself, snapshot its companions, record the backup in
+ * the manifest and prune old copies (arkenfox pattern). The copy is read back
+ * and compared before anything is pruned.
+ *
+ * @param {string} filePath - user.js
+ * @param {object} [options]
+ * @param {string} [options.action] - One of BACKUP_ACTIONS
+ * @param {string[]} [options.companions] - prefs.js, policies.json; missing or
+ *   unreadable ones are skipped
+ * @returns {Promise<string|null>} Backup path, null when the file does not exist
+ */
+export async function rotateBackups(filePath, { action = null, companions = [] } = {}) {
+  if (!existsSync(filePath)) return null;
+
+  const dir = path.dirname(filePath);
+  const base = path.basename(filePath);
+  const timestamp = new Date().toISOString();
+  const stamp = timestamp.replace(/[:.]/g, "-");
+  const backupPath = path.join(dir, `${base}.backup-${stamp}`);
+
+  await copyFile(filePath, backupPath);
+
+  // Verify the backup is readable and matches the original
+  let backupContent;
+  try {
+    const originalContent = await readFile(filePath, "utf-8");
+    backupContent = await readFile(backupPath, "utf-8");
+
+    if (originalContent !== backupContent) {
+      throw new Error("Backup verification failed: content mismatch");
+    }
+  } catch (error) {
+    // If verification fails, delete bad backup and throw error
+    await unlink(backupPath).catch(() => {});
+    throw new Error(`Backup creation failed: ${error.message}`);
+  }
+
+  const id = `${stamp}-${randomUUID().slice(0, 8)}`;
+  const files = [
+    { source: filePath, path: backupPath, sha256: sha256(backupContent), size: Buffer.byteLength(backupContent) },
+  ];
+  for (const source of companions) {
+    const dest = path.join(BACKUP_DIR, id, path.basename(source));
+    if (files.some((file) => file.path === dest)) continue;
+    let content;
+    try {
+      content = await readFile(source);
+    } catch {
+      continue; // missing, or not readable by this user
+    }
+    await mkdir(path.dirname(dest), { recursive: true, mode: 0o700 });
+    await writeFile(dest, content);
+    files.push({ source, path: dest, sha256: sha256(content), size: content.length });
+  }
+  await serialized(async () => {
+    await writeManifest([...(await readManifest()), { id, action, timestamp, profile: dir, files }]);
+    await pruneBackups(dir, base, backupPath);
+  });
+  return backupPath;
+}
+
+/**
+ * Record a backup that was written without rotateBackups() — one imported
+ * from a bundle — with the SHA-256 it came with. The file is read back and
+ * has to match, so restores verify it like any other backup.
+ *
+ * @param {string} backupPath - user.js.backup-* in a profile
+ * @param {object} options
+ * @param {string} options.sha256 - Checksum it was shipped with
+ * @param {string} [options.action] - One of BACKUP_ACTIONS
+ * @throws {BackupError} 409 when the file does not match the checksum
+ */
+export async function recordBackup(backupPath, { sha256: expected, action = null }) {
+  const content = await readFile(backupPath, "utf8");
+  if (sha256(content) !== expected) {
+    throw new BackupError(`${path.basename(backupPath)} does not match its SHA-256`, 409);
+  }
+  const dir = path.dirname(backupPath);
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const entry = {
+    id: `${stamp}-${randomUUID().slice(0, 8)}`,
+    action,
+    timestamp: backupTime(path.basename(backupPath), (await stat(backupPath)).mtime),
+    profile: dir,
+    files: [{ source: path.join(dir, "user.js"), path: backupPath, sha256: expected, size: Buffer.byteLength(content) }],
+  };
+  await serialized(async () => {
+    const manifest = (await readManifest()).filter((e) => e.files[0].path !== backupPath);
+    await writeManifest([...manifest, entry]);
+  });
+}
+
+/**
+ * The profile's user.js backups, newest first. `integrity` is "ok" or
+ * "modified" for backups in the manifest, "untracked" for older ones.
+ *
+ * @param {string} profileDir
+ * @returns {Promise<{name: string, timestamp: string, size: number, prefCount: number,
+ *   pinned: boolean, action: string|null, integrity: string, snapshots: string[]}[]>}
+ */
+export async function listBackups(profileDir) {
+  const pins = await readPins();
+  const manifest = await readManifest();
+  const backups = [];
+  for (const name of (await readdir(profileDir)).filter((f) => BACKUP_NAME.test(f))) {
+    const file = path.join(profileDir, name);
+    const [info, content] = await Promise.all([stat(file), readFile(file, "utf8")]);
+    const entry = manifest.find((e) => e.files[0].path === file);
+    backups.push({
+      name,
+      timestamp: backupTime(name, info.mtime),
+      size: info.size,
+      prefCount: prefNodes(parsePrefs(content)).length,
+      pinned: pins.has(file),
+      action: entry?.action ?? null,
+      integrity: !entry ? "untracked" : entry.files[0].sha256 === sha256(content) ? "ok" : "modified",
+      snapshots: entry ? entry.files.slice(1).map((f) => path.basename(f.path)) : [],
+    });
+  }
+  return backups.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+/**
+ * Content of one backup.
+ *
+ * @throws {BackupError} 400 for a name that is not a backup, 404 when missing
+ */
+export async function readBackup(profileDir, name) {
+  return readFile(resolveBackup(profileDir, name), "utf8");
+}
+
+/**
+ * Content of a backup that is about to be restored, checked against the
+ * SHA-256 the manifest recorded when it was made. Backups older than the
+ * manifest cannot be checked: they are refused unless `allowUntracked` says
+ * the user confirmed, and come back with verified: false.
+ *
+ * @param {string} profileDir
+ * @param {string} name
+ * @param {object} [options]
+ * @param {boolean} [options.allowUntracked] - Restore a backup the manifest does not know
+ * @returns {Promise<{content: string, verified: boolean}>}
+ * @throws {BackupError} 409 when the backup changed since it was made, or is
+ *   untracked and not allowed
+ */
+export async function readVerifiedBackup(profileDir, name, { allowUntracked = false } = {}) {
+  const file = resolveBackup(profileDir, name);
+  const content = await readFile(file, "utf8");
+  const entry = (await readManifest()).find((e) => e.files[0].path === file);
+  if (!entry) {
+    if (allowUntracked) return { content, verified: false };
+    throw new BackupError(
+      `Backup ${name} is not in the backup manifest, so its integrity cannot be verified — confirm the restore in the backup browser to use it anyway`,
+      409,
+    );
+  }
+  if (entry.files[0].sha256 !== sha256(content)) {
+    throw new BackupError(
+      `Backup ${name} failed its integrity check (SHA-256 differs from when it was made on ${entry.timestamp}) — it was modified or corrupted, so it will not be restored`,
+      409,
+    );
+  }
+  return { content, verified: true };
+}
+
+/**
+ * A prefs.js or policies.json snapshot taken with a backup, checked against
+ * the SHA-256 recorded when it was taken.
+ *
+ * @param {string} profileDir
+ * @param {string} name - The user.js backup the snapshot belongs to
+ * @param {string} file - Snapshot name, as in listBackups() `snapshots`
+ * @returns {Promise<{content: string, source: string, timestamp: string}>}
+ *   source is the file it was copied from
+ * @throws {BackupError} 404 when the backup has no such snapshot, 409 when it
+ *   changed since it was taken
+ */
+export async function readSnapshot(profileDir, name, file) {
+  const backup = resolveBackup(profileDir, name);
+  const entry = (await readManifest()).find((e) => e.files[0].path === backup);
+  const snapshot = entry?.files.slice(1).find((f) => path.basename(f.path) === file);
+  // Snapshots live in their backup's own directory — anything else is not one
+  if (!snapshot || path.dirname(snapshot.path) !== path.join(BACKUP_DIR, entry.id)) {
+    throw new BackupError(`Backup ${name} has no ${String(file).slice(0, 80)} snapshot`);
+  }
+  let content;
+  try {
+    content = await readFile(snapshot.path, "utf8");
+  } catch {
+    throw new BackupError(`The ${file} snapshot of backup ${name} is missing`);
+  }
+  if (sha256(content) !== snapshot.sha256) {
+    throw new BackupError(
+      `The ${file} snapshot of backup ${name} failed its integrity check (SHA-256 differs from when it was taken on ${entry.timestamp}) — it will not be restored`,
+      409,
+    );
+  }
+  return { content, source: snapshot.source, timestamp: entry.timestamp };
+}
+
+/**
+ * Pin or unpin a backup; pinned backups survive rotateBackups().
+ *
+ * @throws {BackupError}
+ */
+export async function pinBackup(profileDir, name, pinned) {
+  const file = resolveBackup(profileDir, name);
+  return serialized(async () => {
+    const pins = await readPins();
+    if (pinned) pins.add(file);
+    else pins.delete(file);
+    await writePins(pins);
+    return pinned;
+  });
+}
@@ -0,0 +1,224 @@
+// Profile configuration bundles — a .tar.gz holding user.js, the tuner-managed
+// prefs.js values, user.js backups and a checksummed manifest, so a known-good
+// setup can move between machines. Packing and unpacking go through the system
+// tar; members are checked against an allowlist before anything is extracted.
+
+import { readFile, writeFile, mkdir, mkdtemp, rm } from "fs/promises";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { createHash } from "crypto";
+import { tmpdir, hostname } from "os";
+import path from "path";
+
+const execFileAsync = promisify(execFile);
+
+export const BUNDLE_FORMAT = "firefox-hud-bundle";
+export const BUNDLE_VERSION = 1;
+
+// manifest.json, user.js, prefs-managed.json and backups/user.js.backup-<stamp>
+const MEMBER_PATTERN =
+  /^(?:manifest\.json|user\.js|prefs-managed\.json|backups\/user\.js\.backup(?:-[\w.-]+)?)$/;
+// Extracted size of all members together — a bundle holds a few text files
+const MAX_UNPACKED_SIZE = 50 * 1024 * 1024;
+// Size column of a `tar -tv` line: "-rw-r--r-- user/group 1234 2026-02-09 12:30 name"
+const LISTING_SIZE = /^\S+\s+\S+\s+(\d+)\s/;
+
+// Error with an HTTP status so route handlers can pass it straight through
+export class BundleError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "BundleError";
+    this.status = status;
+  }
+}
+
+const sha256 = (content) => createHash("sha256").update(content).digest("hex");
+
+async function withTempDir(fn) {
+  const dir = await mkdtemp(path.join(tmpdir(), "firefox-hud-bundle-"));
+  try {
+    return await fn(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Build a bundle from a profile's tuning state.
+ *
+ * @param {object} state
+ * @param {object} state.profile - describeProfile() of the source profile
+ * @param {string|null} state.userJs - Current user.js (null if absent)
+ * @param {object} state.managedPrefs - Tuner-managed prefs.js values
+ * @param {{name: string, content: string}[]} state.backups - user.js.backup-* files
+ * @param {string|null} state.preset - Chosen hardware preset
+ * @returns {Promise<Buffer>} .tar.gz contents
+ */
+export async function packBundle({ profile, userJs, managedPrefs, backups, preset }) {
+  const files = [
+    { name: "prefs-managed.json", content: JSON.stringify(managedPrefs, null, 2) },
+  ];
+  if (userJs !== null) files.push({ name: "user.js", content: userJs });
+  for (const backup of backups) {
+    files.push({ name: `backups/${backup.name}`, content: backup.content });
+  }
+
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    createdAt: new Date().toISOString(),
+    host: hostname(),
+    profile: { name: profile.name, target: profile.target, install: profile.install },
+    preset: preset ?? null,
+    files: files.map((f) => ({
+      name: f.name,
+      size: Buffer.byteLength(f.content),
+      sha256: sha256(f.content),
+    })),
+  };
+
+  return withTempDir(async (dir) => {
+    const root = path.join(dir, "bundle");
+    await mkdir(path.join(root, "backups"), { recursive: true });
+    await writeFile(path.join(root, "manifest.json"), JSON.stringify(manifest, null, 2));
+    for (const file of files) {
+      await writeFile(path.join(root, file.name), file.content, "utf8");
+    }
+    const out = path.join(dir, "bundle.tar.gz");
+    await execFileAsync(
+      "tar",
+      ["-czf", out, "-C", root, "manifest.json", ...files.map((f) => f.name)],
+      { timeout: 15000 },
+    );
+    return readFile(out);
+  });
+}
+
+/**
+ * Unpack and verify a bundle.
+ *
+ * @param {Buffer} buffer - .tar.gz contents
+ * @returns {Promise<{manifest: object, userJs: string|null, managedPrefs: object,
+ *   backups: {name: string, content: string, sha256: string}[]}>} sha256 as listed
+ *   in the bundle manifest
+ */
+export async function unpackBundle(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw new BundleError("Empty bundle — upload the .tar.gz from /api/profile/export");
+  }
+
+  return withTempDir(async (dir) => {
+    const archive = path.join(dir, "bundle.tar.gz");
+    await writeFile(archive, buffer);
+
+    // List first: only regular files with known names, and no more than
+    // MAX_UNPACKED_SIZE in total, may be extracted
+    let listing;
+    try {
+      listing = await execFileAsync("tar", ["-tvzf", archive], { timeout: 15000 });
+    } catch {
+      throw new BundleError("Not a valid .tar.gz bundle");
+    }
+    const { stdout: names } = await execFileAsync("tar", ["-tzf", archive], {
+      timeout: 15000,
+    });
+    const lines = listing.stdout.split("\n").filter(Boolean);
+    const members = names.split("\n").filter(Boolean);
+    const entries = members.map((name, i) => ({
+      name: name.replace(/^\.\//, ""),
+      type: lines[i]?.[0],
+      size: Number(lines[i]?.match(LISTING_SIZE)?.[1] ?? Number.NaN),
+    }));
+    const bad = entries.find((e) =>
+      e.type === "d"
+        ? !["", ".", "backups", "backups/"].includes(e.name)
+        : e.type !== "-" || !MEMBER_PATTERN.test(e.name),
+    );
+    if (bad) {
+      throw new BundleError(`Unexpected bundle member "${bad.name}"`);
+    }
+    const unpacked = entries.reduce((total, e) => total + e.size, 0);
+    if (!(unpacked <= MAX_UNPACKED_SIZE)) {
+      throw new BundleError(
+        `Bundle unpacks to more than ${MAX_UNPACKED_SIZE / 1024 / 1024} MB (or its sizes cannot be read)`,
+        413,
+      );
+    }
+
+    const root = path.join(dir, "bundle");
+    await mkdir(root);
+    await execFileAsync(
+      "tar",
+      ["-xzf", archive, "-C", root, "--no-same-owner", "--no-same-permissions"],
+      { timeout: 15000 },
+    );
+
+    let manifest;
+    try {
+      manifest = JSON.parse(await readFile(path.join(root, "manifest.json"), "utf8"));
+    } catch {
+      throw new BundleError("Bundle has no readable manifest.json");
+    }
+    if (manifest?.format !== BUNDLE_FORMAT) {
+      throw new BundleError("Not a Firefox Performance Tuner bundle");
+    }
+    if (manifest.version > BUNDLE_VERSION) {
+      throw new BundleError(
+        `Bundle version ${manifest.version} is newer than supported (${BUNDLE_VERSION})`,
+      );
+    }
+
+    // Every file must be listed in the manifest with a matching checksum
+    if (manifest.files !== undefined && !Array.isArray(manifest.files)) {
+      throw new BundleError("manifest.json \"files\" must be a list");
+    }
+    const contents = {};
+    const checksums = {};
+    for (const file of manifest.files || []) {
+      if (typeof file?.name !== "string" || !MEMBER_PATTERN.test(file.name) || file.name === "manifest.json") {
+        throw new BundleError(`Unexpected manifest entry "${String(file?.name).slice(0, 80)}"`);
+      }
+      let content;
+      try {
+        content = await readFile(path.join(root, file.name), "utf8");
+      } catch {
+        throw new BundleError(`Bundle is missing ${file.name}`);
+      }
+      if (sha256(content) !== file.sha256) {
+        throw new BundleError(`Checksum mismatch for ${file.name} — bundle is corrupted`);
+      }
+      contents[file.name] = content;
+      checksums[file.name] = file.sha256;
+    }
+
+    let managedPrefs = {};
+    if (contents["prefs-managed.json"]) {
+      try {
+        managedPrefs = JSON.parse(contents["prefs-managed.json"]);
+      } catch {
+        throw new BundleError("prefs-managed.json is not valid JSON");
+      }
+      // pref -> boolean, number or string
+      const invalid =
+        managedPrefs === null || typeof managedPrefs !== "object" || Array.isArray(managedPrefs)
+          ? "is not an object"
+          : Object.values(managedPrefs).some((value) => !["boolean", "number", "string"].includes(typeof value))
+            ? "has values that are not booleans, numbers or strings"
+            : null;
+      if (invalid) throw new BundleError(`prefs-managed.json ${invalid}`);
+    }
+
+    return {
+      manifest,
+      userJs: contents["user.js"] ?? null,
+      managedPrefs,
+      backups: Object.entries(contents)
+        .filter(([name]) => name.startsWith("backups/"))
+        .map(([name, content]) => ({
+          name: name.slice("backups/".length),
+          content,
+          sha256: checksums[name],
+        })),
+    };
+  });
+}
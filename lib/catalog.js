@@ -0,0 +1,307 @@
+// Preference catalog — the categorized list of prefs the tuner manages,
+// loaded from catalog/prefs.json (or $PREF_CATALOG) at startup. The file is
+// checked against catalog/prefs.schema.json rules plus integrity checks that
+// JSON.parse alone would let through: duplicate keys, a pref listed in two
+// categories, and a pref that is both active and marked removed. Entries may
+// carry Firefox version metadata (minVersion/maxVersion/removedIn/lockedIn)
+// so prefs that do nothing on the installed version can be flagged. Every
+// entry declares its pref type and constraints (lib/pref-schema.js); the
+// "constraints" section adds the same rules for prefs the tuner does not
+// manage but still guards in user.js.
+
+import { readFileSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { CONSTRAINT_FIELDS, PREF_NAME_PATTERN, checkValue, validateSchema } from "./pref-schema.js";
+
+export const DEFAULT_CATALOG = fileURLToPath(
+  new URL("../catalog/prefs.json", import.meta.url),
+);
+
+const TOP_LEVEL_FIELDS = [
+  "$schema",
+  "version",
+  "description",
+  "categories",
+  "constraints",
+  "removed",
+];
+const VERSION_FIELDS = ["minVersion", "maxVersion", "removedIn", "lockedIn"];
+const PREF_FIELDS = [...CONSTRAINT_FIELDS, "expected", "description", ...VERSION_FIELDS];
+const REMOVED_FIELDS = ["pref", "reason", ...VERSION_FIELDS];
+const VERSION_PATTERN = /^\d{4}\.\d{2}\.\d+$/;
+
+// Error carrying every problem found, so one run reports the whole list
+export class CatalogError extends Error {
+  constructor(source, problems) {
+    super(
+      `Invalid catalog file ${path.basename(source)}:\n  - ${problems.join("\n  - ")}`,
+    );
+    this.name = "CatalogError";
+    this.source = source;
+    this.problems = problems;
+  }
+}
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// JSON.parse keeps the last of two equal keys silently — scan the text for them
+function findDuplicateKeys(text) {
+  const duplicates = [];
+  const stack = [];
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    const top = stack[stack.length - 1];
+    if (ch === '"') {
+      let j = i + 1;
+      while (text[j] !== '"') j += text[j] === "\\" ? 2 : 1;
+      if (top?.type === "object" && top.expectKey) {
+        const key = JSON.parse(text.slice(i, j + 1));
+        if (top.keys.has(key)) duplicates.push([...top.path, key].join(" › "));
+        top.keys.add(key);
+        top.lastKey = key;
+        top.expectKey = false;
+      }
+      i = j;
+    } else if (ch === "{" || ch === "[") {
+      const parentPath = top
+        ? [...top.path, ...(top.type === "object" ? [top.lastKey] : [])]
+        : [];
+      stack.push({
+        type: ch === "{" ? "object" : "array",
+        keys: new Set(),
+        path: parentPath,
+        expectKey: ch === "{",
+      });
+    } else if (ch === "}" || ch === "]") {
+      stack.pop();
+    } else if (ch === "," && top?.type === "object") {
+      top.expectKey = true;
+    }
+  }
+  return duplicates;
+}
+
+function checkFields(value, allowed, where, problems) {
+  for (const key of Object.keys(value)) {
+    if (!allowed.includes(key)) problems.push(`${where}: unknown field "${key}"`);
+  }
+}
+
+// Version metadata must be positive integers with minVersion <= maxVersion
+function checkVersions(entry, where, problems) {
+  for (const field of VERSION_FIELDS) {
+    const value = entry[field];
+    if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+      problems.push(`${where}: "${field}" must be a Firefox major version (integer)`);
+    }
+  }
+  if (entry.minVersion > entry.maxVersion) {
+    problems.push(`${where}: minVersion ${entry.minVersion} is after maxVersion ${entry.maxVersion}`);
+  }
+}
+
+// Schema + integrity checks — returns a list of problems (empty when valid)
+export function validateCatalog(data) {
+  const problems = [];
+  if (!isObject(data)) return ["catalog must be a JSON object"];
+
+  checkFields(data, TOP_LEVEL_FIELDS, "catalog", problems);
+  if (typeof data.version !== "string" || !VERSION_PATTERN.test(data.version)) {
+    problems.push('"version" must be a string like "2026.02.1"');
+  }
+  if (data.description !== undefined && typeof data.description !== "string") {
+    problems.push('"description" must be a string');
+  }
+
+  const seen = new Map(); // pref -> { category, expected }
+  if (!isObject(data.categories) || Object.keys(data.categories).length === 0) {
+    problems.push('"categories" must be a non-empty object');
+  } else {
+    for (const [category, prefs] of Object.entries(data.categories)) {
+      if (!isObject(prefs) || Object.keys(prefs).length === 0) {
+        problems.push(`category "${category}" must be a non-empty object`);
+        continue;
+      }
+      for (const [pref, entry] of Object.entries(prefs)) {
+        const where = `${category} › ${pref}`;
+        if (!PREF_NAME_PATTERN.test(pref)) {
+          problems.push(`${where}: invalid pref name`);
+        }
+        if (!isObject(entry)) {
+          problems.push(`${where}: entry must be an object`);
+          continue;
+        }
+        checkFields(entry, PREF_FIELDS, where, problems);
+        checkVersions(entry, where, problems);
+        if (typeof entry.description !== "string" || entry.description === "") {
+          problems.push(`${where}: "description" must be a non-empty string`);
+        }
+        const schemaProblems = validateSchema(entry, where);
+        problems.push(...schemaProblems);
+        const invalid = schemaProblems.length === 0 && checkValue(entry, entry.expected);
+        if (invalid) {
+          problems.push(`${where}: "expected" ${invalid.message}`);
+        }
+
+        const previous = seen.get(pref);
+        if (previous && previous.expected !== entry.expected) {
+          problems.push(
+            `${pref}: conflicting expected values (${JSON.stringify(previous.expected)} in "${previous.category}", ${JSON.stringify(entry.expected)} in "${category}")`,
+          );
+        } else if (previous) {
+          problems.push(
+            `${pref}: listed in both "${previous.category}" and "${category}"`,
+          );
+        } else {
+          seen.set(pref, { category, expected: entry.expected });
+        }
+      }
+    }
+  }
+
+  if (data.constraints !== undefined) {
+    if (!isObject(data.constraints)) {
+      problems.push('"constraints" must be an object');
+    } else {
+      for (const [pref, schema] of Object.entries(data.constraints)) {
+        const where = `constraints › ${pref}`;
+        if (!PREF_NAME_PATTERN.test(pref)) {
+          problems.push(`${where}: invalid pref name`);
+        }
+        if (!isObject(schema)) {
+          problems.push(`${where}: entry must be an object`);
+          continue;
+        }
+        checkFields(schema, CONSTRAINT_FIELDS, where, problems);
+        problems.push(...validateSchema(schema, where));
+        if (seen.has(pref)) {
+          problems.push(
+            `${pref}: has constraints but is managed in "${seen.get(pref).category}" (put them on the entry)`,
+          );
+        }
+      }
+    }
+  }
+
+  if (data.removed !== undefined) {
+    if (!Array.isArray(data.removed)) {
+      problems.push('"removed" must be an array');
+    } else {
+      data.removed.forEach((entry, i) => {
+        const where = `removed[${i}]`;
+        if (!isObject(entry)) {
+          problems.push(`${where}: entry must be an object`);
+          return;
+        }
+        checkFields(entry, REMOVED_FIELDS, where, problems);
+        checkVersions(entry, where, problems);
+        for (const field of ["pref", "reason"]) {
+          if (typeof entry[field] !== "string" || entry[field] === "") {
+            problems.push(`${where}: "${field}" must be a non-empty string`);
+          }
+        }
+        if (seen.has(entry.pref)) {
+          problems.push(
+            `${entry.pref}: marked removed but still active in "${seen.get(entry.pref).category}"`,
+          );
+        }
+      });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Read a catalog JSON file — parse errors and duplicate keys become problems.
+ *
+ * @param {string} file
+ * @returns {{source: string, data: any, problems: string[]}}
+ * @throws {CatalogError} if the file cannot be read or parsed at all
+ */
+export function readCatalogFile(file) {
+  const source = path.resolve(file);
+  let text;
+  try {
+    text = readFileSync(source, "utf8");
+  } catch (error) {
+    throw new CatalogError(source, [`cannot read file (${error.code || error.message})`]);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new CatalogError(source, [`not valid JSON (${error.message})`]);
+  }
+
+  return {
+    source,
+    data,
+    problems: findDuplicateKeys(text).map((key) => `duplicate key "${key}"`),
+  };
+}
+
+/**
+ * Load and validate the preference catalog.
+ *
+ * @param {string} [file] - Catalog path (defaults to $PREF_CATALOG, then catalog/prefs.json)
+ * @returns {{version: string, source: string, description: string|null, categories: object, constraints: object, removed: object[]}}
+ * @throws {CatalogError} listing every schema or integrity problem
+ */
+export function loadCatalog(file = process.env.PREF_CATALOG || DEFAULT_CATALOG) {
+  const { source, data, problems } = readCatalogFile(file);
+  problems.push(...validateCatalog(data));
+  if (problems.length > 0) throw new CatalogError(source, problems);
+
+  return {
+    version: data.version,
+    source,
+    description: data.description ?? null,
+    categories: data.categories,
+    constraints: data.constraints ?? {},
+    removed: data.removed ?? [],
+  };
+}
+
+// Catalog metadata for a pref — active entries first, then removed ones
+export function findCatalogEntry(catalog, pref) {
+  for (const prefs of Object.values(catalog.categories)) {
+    if (Object.hasOwn(prefs, pref)) return prefs[pref];
+  }
+  return catalog.removed.find((entry) => entry.pref === pref) || null;
+}
+
+// Type and constraints for a pref — its catalog entry, else a "constraints" entry
+export function findPrefSchema(catalog, pref) {
+  for (const prefs of Object.values(catalog.categories)) {
+    if (Object.hasOwn(prefs, pref)) return prefs[pref];
+  }
+  return Object.hasOwn(catalog.constraints, pref) ? catalog.constraints[pref] : null;
+}
+
+/**
+ * Why a pref does nothing on a Firefox major version, or null if it is read.
+ *
+ * @param {object} entry - Catalog entry (active or removed)
+ * @param {number|null} major - Detected Firefox major version
+ * @returns {{status: "removed"|"locked"|"too-old"|"too-new", message: string}|null}
+ */
+export function versionStatus(entry, major) {
+  if (!entry || !major) return null;
+  if (entry.removedIn && major >= entry.removedIn) {
+    return { status: "removed", message: `removed in Firefox ${entry.removedIn}` };
+  }
+  if (entry.lockedIn && major >= entry.lockedIn) {
+    return { status: "locked", message: `locked since Firefox ${entry.lockedIn} — user.js cannot change it` };
+  }
+  if (entry.minVersion && major < entry.minVersion) {
+    return { status: "too-old", message: `needs Firefox ${entry.minVersion} or newer` };
+  }
+  if (entry.maxVersion && major > entry.maxVersion) {
+    return { status: "too-new", message: `only read up to Firefox ${entry.maxVersion}` };
+  }
+  return null;
+}
@@ -0,0 +1,232 @@
+// Custom preference categories — team-specific prefs (layout.frame_rate,
+// widget.dmabuf.force-enabled, ...) defined through the API and stored in
+// STATE_DIR/custom-categories.json. They are merged after the built-in
+// catalog wherever the catalog is used. A custom pref may not shadow a
+// catalog pref, and a custom category may not reuse a catalog category name.
+
+import { readFileSync } from "fs";
+import { randomUUID } from "crypto";
+import { writeFile, mkdir, rename } from "fs/promises";
+import { STATE_DIR } from "./state.js";
+import { PREF_TYPES, PREF_NAME_PATTERN, checkValue, coerceValue, prefType } from "./pref-schema.js";
+import { OTHER_CATEGORY } from "./managed-block.js";
+
+const CUSTOM_FILE = `${STATE_DIR}/custom-categories.json`;
+const MAX_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 300;
+// Used by user.js headings for uncategorized prefs, or special on plain objects
+const RESERVED_NAMES = new Set([OTHER_CATEGORY, "__proto__", "constructor", "prototype"]);
+// Names and descriptions end up in user.js comments; a line break would end one
+const CONTROL_CHARACTER = /\p{Cc}/u;
+
+// Error with an HTTP status so route handlers can pass it straight through
+export class CustomCategoryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "CustomCategoryError";
+    this.status = status;
+  }
+}
+
+let catalog = null; // built-in catalog custom entries are checked against
+let custom = Object.create(null); // category -> pref -> { type, expected, description }
+
+function catalogPrefCategory(pref) {
+  return Object.entries(catalog.categories).find(([, prefs]) => Object.hasOwn(prefs, pref))?.[0];
+}
+
+function customPrefCategory(categories, pref) {
+  return Object.entries(categories).find(([, prefs]) => Object.hasOwn(prefs, pref))?.[0];
+}
+
+function checkCategoryName(name) {
+  if (typeof name !== "string" || name.trim() === "" || name.length > MAX_NAME_LENGTH) {
+    throw new CustomCategoryError(`Category name must be 1-${MAX_NAME_LENGTH} characters`);
+  }
+  if (CONTROL_CHARACTER.test(name)) {
+    throw new CustomCategoryError("Category name may not contain line breaks or control characters");
+  }
+  if (Object.hasOwn(catalog.categories, name)) {
+    throw new CustomCategoryError(`"${name}" is a built-in category`, 409);
+  }
+  if (RESERVED_NAMES.has(name.trim())) {
+    throw new CustomCategoryError(`"${name}" is a reserved category name`);
+  }
+}
+
+// Validate and normalize a pref definition ({type?, expected, description})
+function normalizeEntry(pref, { type, expected, description } = {}) {
+  if (typeof pref !== "string" || !PREF_NAME_PATTERN.test(pref)) {
+    throw new CustomCategoryError(`Invalid pref name "${pref}"`);
+  }
+  const builtIn = catalogPrefCategory(pref);
+  if (builtIn) {
+    throw new CustomCategoryError(`"${pref}" is already in the built-in "${builtIn}" category`, 409);
+  }
+  if (type !== undefined && !PREF_TYPES.includes(type)) {
+    throw new CustomCategoryError(`"type" must be one of ${PREF_TYPES.join(", ")}`);
+  }
+
+  const schema = { type: type ?? prefType(expected) };
+  const value = coerceValue(schema, expected);
+  const invalid = schema.type ? checkValue(schema, value) : { message: "must be a boolean, integer or string" };
+  if (invalid) {
+    throw new CustomCategoryError(`Expected value for "${pref}" ${invalid.message}`);
+  }
+  if (
+    typeof description !== "string" ||
+    description.trim() === "" ||
+    description.length > MAX_DESCRIPTION_LENGTH
+  ) {
+    throw new CustomCategoryError(`Description must be 1-${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+  if (CONTROL_CHARACTER.test(description)) {
+    throw new CustomCategoryError("Description may not contain line breaks or control characters");
+  }
+  return { type: schema.type, expected: value, description: description.trim() };
+}
+
+// Category -> pref maps without a prototype, entries shared (they are replaced, never changed)
+function copyCategories(categories) {
+  const copy = Object.create(null);
+  for (const [category, prefs] of Object.entries(categories)) {
+    copy[category] = Object.assign(Object.create(null), prefs);
+  }
+  return copy;
+}
+
+// Changes run one at a time, each on a copy that becomes current only once it
+// is on disk, so concurrent requests cannot interleave and a failed write
+// leaves nothing changed
+let pending = Promise.resolve();
+function update(change) {
+  const result = pending.then(async () => {
+    const next = copyCategories(custom);
+    const value = change(next);
+    await mkdir(STATE_DIR, { recursive: true });
+    const tmp = `${CUSTOM_FILE}.${randomUUID()}.tmp`;
+    await writeFile(tmp, JSON.stringify({ version: 1, categories: next }, null, 2), "utf8");
+    await rename(tmp, CUSTOM_FILE);
+    custom = next;
+    return value;
+  });
+  pending = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Load the saved custom categories against the built-in catalog. Entries the
+ * catalog has taken over since they were defined are skipped with a warning.
+ *
+ * @param {object} builtInCatalog - Result of loadCatalog()
+ */
+export function initCustomCategories(builtInCatalog) {
+  catalog = builtInCatalog;
+  custom = Object.create(null);
+
+  let data;
+  try {
+    data = JSON.parse(readFileSync(CUSTOM_FILE, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.warn(`Ignoring unreadable ${CUSTOM_FILE}: ${error.message}`);
+    }
+    return;
+  }
+
+  for (const [category, prefs] of Object.entries(data?.categories || {})) {
+    try {
+      checkCategoryName(category);
+    } catch (error) {
+      console.warn(`Skipping custom category "${category}": ${error.message}`);
+      continue;
+    }
+    custom[category] = Object.create(null);
+    for (const [pref, entry] of Object.entries(prefs || {})) {
+      try {
+        custom[category][pref] = normalizeEntry(pref, entry);
+      } catch (error) {
+        console.warn(`Skipping custom pref "${pref}": ${error.message}`);
+      }
+    }
+  }
+}
+
+export function getCustomCategories() {
+  return structuredClone(custom);
+}
+
+// Catalog categories followed by the custom ones (entries tagged `custom: true`)
+export function mergeCustomCategories(categories) {
+  const merged = { ...categories };
+  for (const [category, prefs] of Object.entries(custom)) {
+    merged[category] = {};
+    for (const [pref, entry] of Object.entries(prefs)) {
+      merged[category][pref] = { ...entry, custom: true };
+    }
+  }
+  return merged;
+}
+
+function requireCategory(categories, name) {
+  if (!Object.hasOwn(categories, name)) {
+    throw new CustomCategoryError(`Unknown custom category "${name}"`, 404);
+  }
+  return categories[name];
+}
+
+export function createCategory(name) {
+  return update((categories) => {
+    checkCategoryName(name);
+    if (Object.hasOwn(categories, name)) {
+      throw new CustomCategoryError(`Custom category "${name}" already exists`, 409);
+    }
+    categories[name] = Object.create(null);
+  });
+}
+
+export function renameCategory(name, newName) {
+  return update((categories) => {
+    requireCategory(categories, name);
+    if (newName === name) return;
+    checkCategoryName(newName);
+    if (Object.hasOwn(categories, newName)) {
+      throw new CustomCategoryError(`Custom category "${newName}" already exists`, 409);
+    }
+    // Re-add every category to keep the renamed one's position
+    const entries = Object.entries(categories);
+    for (const [key] of entries) delete categories[key];
+    for (const [key, prefs] of entries) categories[key === name ? newName : key] = prefs;
+  });
+}
+
+export function deleteCategory(name) {
+  return update((categories) => {
+    requireCategory(categories, name);
+    delete categories[name];
+  });
+}
+
+// Add or replace a pref in a custom category (a pref lives in one category only)
+export function setCustomPref(category, pref, definition) {
+  return update((categories) => {
+    const prefs = requireCategory(categories, category);
+    const entry = normalizeEntry(pref, definition);
+    const existing = customPrefCategory(categories, pref);
+    if (existing && existing !== category) {
+      throw new CustomCategoryError(`"${pref}" is already in the custom "${existing}" category`, 409);
+    }
+    prefs[pref] = entry;
+    return entry;
+  });
+}
+
+export function deleteCustomPref(category, pref) {
+  return update((categories) => {
+    const prefs = requireCategory(categories, category);
+    if (!Object.hasOwn(prefs, pref)) {
+      throw new CustomCategoryError(`"${pref}" is not in custom category "${category}"`, 404);
+    }
+    delete prefs[pref];
+  });
+}
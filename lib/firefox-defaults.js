@@ -0,0 +1,164 @@
+// Firefox's built-in pref defaults, read from the installed build — the GRE
+// omni.ja (greprefs.js, defaults/pref/*.js), browser/omni.ja
+// (defaults/preferences/*.js) and loose defaults/pref/*.js files, later
+// sources winning as in Firefox. A pref equal to its default is never written
+// to prefs.js, so these give the effective value of everything prefs.js
+// leaves out. Parsed once per build (application.ini BuildID).
+
+import { readFile, readdir, stat } from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+import { inflateRawSync } from "zlib";
+import { parseIni } from "./profiles.js";
+import { parsePrefs, prefNodes } from "./prefs-parser.js";
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+const GRE_ENTRY = /^(greprefs\.js|defaults\/pref\/[^/]+\.js)$/;
+const BROWSER_ENTRY = /^defaults\/(preferences|pref)\/[^/]+\.js$/;
+
+const defaultsCache = new Map(); // install dir -> { build, defaults }
+
+/**
+ * Extract entries from a zip archive. Handles Mozilla's optimized jars, whose
+ * central directory sits at the front of the file.
+ *
+ * @param {Buffer} buffer - Whole archive
+ * @param {(name: string) => boolean} wanted - Entry name filter
+ * @returns {Map<string, Buffer>} name -> uncompressed content
+ */
+export function readZipEntries(buffer, wanted) {
+  // End-of-central-directory record: last 22 bytes unless an archive comment follows
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("not a zip archive");
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  const size = buffer.readUInt32LE(eocd + 12);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  // Data prepended to the archive shifts every recorded offset
+  let shift = 0;
+  if (offset + 4 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+    shift = eocd - size - offset;
+    offset += shift;
+  }
+
+  const entries = new Map();
+  for (let n = 0, p = offset; n < count; n++) {
+    if (p + 46 > buffer.length || buffer.readUInt32LE(p) !== CENTRAL_SIGNATURE) {
+      throw new Error("corrupt zip central directory");
+    }
+    const method = buffer.readUInt16LE(p + 10);
+    const compressedSize = buffer.readUInt32LE(p + 20);
+    const nameLength = buffer.readUInt16LE(p + 28);
+    const localOffset = buffer.readUInt32LE(p + 42) + shift;
+    const name = buffer.toString("utf8", p + 46, p + 46 + nameLength);
+    p += 46 + nameLength + buffer.readUInt16LE(p + 30) + buffer.readUInt16LE(p + 32);
+    if (!wanted(name)) continue;
+
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) {
+      throw new Error(`corrupt zip entry ${name}`);
+    }
+    const start =
+      localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(start, start + compressedSize);
+    if (method === 0) entries.set(name, data);
+    else if (method === 8) entries.set(name, inflateRawSync(data));
+    else throw new Error(`unsupported compression method ${method} for ${name}`);
+  }
+  return entries;
+}
+
+/**
+ * Parse a default-prefs file (greprefs.js, firefox.js, ...) into `into`.
+ *
+ * @param {string} content
+ * @param {{values: object, locked: Set<string>}} into - Later files override earlier ones
+ */
+export function parseDefaultPrefs(content, into) {
+  for (const node of prefNodes(parsePrefs(content), ["pref", "sticky_pref"])) {
+    into.values[node.name] = node.value;
+    if (node.attribute === "locked") into.locked.add(node.name);
+    else into.locked.delete(node.name);
+  }
+}
+
+// Install directories of a target, those matching the profile's install kind first
+function installDirsFor(target, install) {
+  const kindOf = (dir) =>
+    dir.includes("/flatpak/") ? "flatpak" : dir.startsWith("/snap/") ? "snap" : "normal";
+  const matchesInstall = (dir) => kindOf(dir) === install;
+  return [...target.installDirs].sort((a, b) => matchesInstall(b) - matchesInstall(a));
+}
+
+// application.ini BuildID, else the omni.ja modification time
+async function buildIdOf(dir) {
+  try {
+    const sections = parseIni(await readFile(path.join(dir, "application.ini"), "utf8"));
+    const build = sections.find((s) => s.section === "App")?.values.BuildID;
+    if (build) return build;
+  } catch {
+    // No application.ini — fall back to the archive timestamp
+  }
+  return `mtime-${(await stat(path.join(dir, "omni.ja"))).mtimeMs}`;
+}
+
+async function parseInstall(dir, build) {
+  const defaults = { installDir: dir, build, values: {}, locked: new Set() };
+  const archives = [
+    [path.join(dir, "omni.ja"), GRE_ENTRY],
+    [path.join(dir, "browser", "omni.ja"), BROWSER_ENTRY],
+  ];
+  for (const [archive, pattern] of archives) {
+    if (!existsSync(archive)) continue;
+    const entries = readZipEntries(await readFile(archive), (name) => pattern.test(name));
+    // greprefs.js first, then the defaults directories in name order
+    const names = [...entries.keys()].sort((a, b) =>
+      a === "greprefs.js" ? -1 : b === "greprefs.js" ? 1 : a.localeCompare(b),
+    );
+    for (const name of names) parseDefaultPrefs(entries.get(name).toString("utf8"), defaults);
+  }
+
+  // Loose files next to the binary (channel-prefs.js, distribution overrides)
+  const looseDir = path.join(dir, "defaults", "pref");
+  if (existsSync(looseDir)) {
+    for (const file of (await readdir(looseDir)).filter((f) => f.endsWith(".js")).sort()) {
+      parseDefaultPrefs(await readFile(path.join(looseDir, file), "utf8"), defaults);
+    }
+  }
+  return defaults;
+}
+
+/**
+ * Built-in defaults of the target's installed build.
+ *
+ * @param {object} target - Entry of TARGETS (lib/targets.js)
+ * @param {string} [install] - Profile install kind ("normal", "flatpak", "snap")
+ * @returns {Promise<{installDir: string, build: string, values: object, locked: Set<string>}|null>}
+ *   null when no install with an omni.ja is found or it cannot be read
+ */
+export async function loadFirefoxDefaults(target, install = "normal") {
+  const dir = installDirsFor(target, install).find((d) => existsSync(path.join(d, "omni.ja")));
+  if (!dir) return null;
+
+  const build = await buildIdOf(dir);
+  const cached = defaultsCache.get(dir);
+  if (cached?.build === build) return cached.defaults;
+
+  let defaults = null;
+  try {
+    defaults = await parseInstall(dir, build);
+  } catch (error) {
+    console.warn(`Cannot read ${target.name} defaults from ${dir}: ${error.message}`);
+  }
+  // Failures are cached too — the archive will not change until the next update
+  defaultsCache.set(dir, { build, defaults });
+  return defaults;
+}
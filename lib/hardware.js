@@ -0,0 +1,127 @@
+// Hardware detection shared by /api/benchmark and the preference rules —
+// GPU renderer (glxinfo), GPU device (lspci), VA-API (vainfo), RAM and CPU
+// cores from /proc. Results are cached briefly because validation runs on
+// every editor keystroke pause; the benchmark always probes again.
+
+import { readFile } from "fs/promises";
+import { execFile } from "child_process";
+import { promisify } from "util";
+
+const execFileAsync = promisify(execFile);
+
+const HARDWARE_CACHE_MS = 5 * 60 * 1000;
+let cached = null; // { at, hardware }
+
+async function probe() {
+  const gpu = {};
+  const system = {};
+
+  // GPU detection (execFile — no shell)
+  try {
+    const { stdout } = await execFileAsync("glxinfo", [], { timeout: 5000 });
+    const rendererLine = stdout
+      .split("\n")
+      .find((l) => l.includes("OpenGL renderer"));
+    gpu.renderer = rendererLine?.split(":")[1]?.trim() || "unknown";
+    const versionLine = stdout
+      .split("\n")
+      .find((l) => l.includes("OpenGL version"));
+    gpu.glVersion = versionLine?.split(":")[1]?.trim() || "unknown";
+  } catch {
+    gpu.renderer = "unavailable";
+    gpu.glVersion = "unavailable";
+  }
+
+  try {
+    const { stdout } = await execFileAsync("lspci", [], { timeout: 5000 });
+    const gpuLine = stdout.split("\n").find((l) => /vga|3d|display/i.test(l));
+    gpu.device = gpuLine?.replace(/^[^:]+:\s*/, "").trim() || "unknown";
+  } catch {
+    gpu.device = "unavailable";
+  }
+
+  gpu.isSoftwareRenderer = /llvmpipe|softpipe|swrast/i.test(gpu.renderer);
+  gpu.isVirtual = /virtio|vmware|virtualbox|qxl/i.test(gpu.device || "");
+
+  // System info (read /proc directly — no shell needed)
+  try {
+    const meminfo = await readFile("/proc/meminfo", "utf-8");
+    const memLine = meminfo.split("\n").find((l) => l.startsWith("MemTotal"));
+    system.ramKb = parseInt(memLine?.split(/\s+/)[1]) || 0;
+    system.ramMb = Math.round(system.ramKb / 1024);
+    system.ramGb = (system.ramKb / 1048576).toFixed(1);
+  } catch {
+    system.ramKb = 0;
+  }
+
+  try {
+    const { stdout } = await execFileAsync("nproc", [], { timeout: 3000 });
+    system.cpuCores = parseInt(stdout.trim()) || 1;
+  } catch {
+    system.cpuCores = 1;
+  }
+
+  try {
+    const cpuinfo = await readFile("/proc/cpuinfo", "utf-8");
+    const modelLine = cpuinfo
+      .split("\n")
+      .find((l) => l.includes("model name"));
+    system.cpuModel = modelLine?.split(":")[1]?.trim() || "unknown";
+  } catch {
+    system.cpuModel = "unknown";
+  }
+
+  // VA-API (hardware video decode)
+  try {
+    const { stdout, stderr } = await execFileAsync("vainfo", [], {
+      timeout: 5000,
+    });
+    const combined = stdout + stderr;
+    const driverLine = combined
+      .split("\n")
+      .find((l) => l.includes("Driver version"));
+    gpu.vaapi = driverLine?.split(":")[1]?.trim() || "unavailable";
+    gpu.hasVaapi = true;
+  } catch {
+    gpu.vaapi = "not available";
+    gpu.hasVaapi = false;
+  }
+
+  return { gpu, system };
+}
+
+/**
+ * Detect GPU and system capabilities.
+ *
+ * @param {{refresh?: boolean}} [options] - refresh skips the cache
+ * @returns {Promise<{gpu: object, system: object}>} a copy the caller may modify
+ */
+export async function detectHardware({ refresh = false } = {}) {
+  if (refresh || !cached || Date.now() - cached.at >= HARDWARE_CACHE_MS) {
+    cached = { at: Date.now(), hardware: await probe() };
+  }
+  return structuredClone(cached.hardware);
+}
+
+// Facts the preference rules can test — null where detection failed
+export const HARDWARE_FACTS = {
+  hasVaapi: "bool",
+  softwareRenderer: "bool",
+  virtualGpu: "bool",
+  hardwareGpu: "bool",
+  ramGb: "number",
+  cpuCores: "number",
+};
+
+export function hardwareFacts({ gpu, system }) {
+  const rendererKnown = !["unavailable", "unknown"].includes(gpu.renderer);
+  const deviceKnown = !["unavailable", "unknown"].includes(gpu.device);
+  return {
+    hasVaapi: gpu.hasVaapi,
+    softwareRenderer: rendererKnown ? gpu.isSoftwareRenderer : null,
+    virtualGpu: deviceKnown ? gpu.isVirtual : null,
+    hardwareGpu: rendererKnown ? !gpu.isSoftwareRenderer && !gpu.isVirtual : null,
+    ramGb: system.ramKb ? Math.round((system.ramKb / 1048576) * 10) / 10 : null,
+    cpuCores: system.cpuCores || null,
+  };
+}
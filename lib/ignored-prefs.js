@@ -0,0 +1,110 @@
+// Ignored-pref detection — Firefox copies every user.js pref it accepts into
+// prefs.js unless the value equals its default. After a restart, a user.js
+// pref missing from prefs.js was therefore ignored: it already matches the
+// default, Firefox no longer knows it, or the pref is locked. Replaces the
+// hard-coded scripts/inspect-firefox-prefs.sh comparison.
+
+import { serializeValue } from "./pref-schema.js";
+import { commentOutNode, parsePrefs, prefNodes, printPrefs, removeNode } from "./prefs-parser.js";
+import { findCatalogEntry, versionStatus } from "./catalog.js";
+
+// Same marker scripts/fix-ignored-prefs.sh uses for commented-out lines
+export const IGNORED_MARKER = "// IGNORED BY FIREFOX: ";
+export const IGNORED_KINDS = ["default", "unknown", "locked"];
+export const FIX_ACTIONS = ["comment", "remove"];
+
+// Error with an HTTP status so route handlers can pass it straight through
+export class IgnoredPrefsError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = "IgnoredPrefsError";
+    this.status = status;
+  }
+}
+
+// Active user_pref() statements — pref -> { value, line } (last one wins, as in Firefox)
+function readPrefLines(content) {
+  const prefs = new Map();
+  for (const node of prefNodes(parsePrefs(content), ["user_pref"])) {
+    prefs.set(node.name, { value: node.value, line: node.line });
+  }
+  return prefs;
+}
+
+/**
+ * user.js prefs that Firefox did not write to prefs.js, classified.
+ *
+ * @param {string} userJs - user.js content
+ * @param {string} prefsJs - prefs.js content
+ * @param {object} catalog - Catalog (custom categories merged)
+ * @param {number|null} major - Detected Firefox major version
+ * @param {{values: object, locked: Set<string>}|null} [builtIn] - loadFirefoxDefaults();
+ *   without it "default" and "unknown" are guessed from the catalog
+ * @returns {{pref: string, value: *, line: number, kind: "default"|"unknown"|"locked", reason: string}[]}
+ */
+export function findIgnoredPrefs(userJs, prefsJs, catalog, major, builtIn = null) {
+  const applied = readPrefLines(prefsJs);
+  const ignored = [];
+
+  for (const [pref, { value, line }] of readPrefLines(userJs)) {
+    if (applied.has(pref)) continue;
+
+    const entry = findCatalogEntry(catalog, pref);
+    const inactive = versionStatus(entry, major);
+    const hasDefault = !!builtIn && Object.hasOwn(builtIn.values, pref);
+    let kind;
+    let reason;
+    if (builtIn?.locked.has(pref)) {
+      kind = "locked";
+      reason = "Locked by Firefox's built-in defaults";
+    } else if (inactive?.status === "locked" || (!inactive && entry?.lockedIn)) {
+      kind = "locked";
+      reason = entry.reason || inactive?.message;
+    } else if (inactive?.status === "removed" || (!inactive && entry?.removedIn)) {
+      kind = "unknown";
+      reason = entry.reason || inactive?.message;
+    } else if (inactive) {
+      kind = "unknown";
+      reason = `Firefox ${major}: ${inactive.message}`;
+    } else if (hasDefault && builtIn.values[pref] === value) {
+      kind = "default";
+      reason = "Equals Firefox's built-in default";
+    } else if (hasDefault) {
+      kind = "locked";
+      reason = `Differs from the default (${serializeValue(builtIn.values[pref])}) yet not applied — locked by a policy or autoconfig?`;
+    } else if (builtIn) {
+      kind = "unknown";
+      reason = "Firefox has no default for this pref — removed or misspelled";
+    } else if (entry) {
+      kind = "default";
+      reason = "Known pref not written to prefs.js — the value is already Firefox's default";
+    } else {
+      kind = "unknown";
+      reason = "Not in prefs.js or the catalog — removed, misspelled, or equal to the default";
+    }
+    ignored.push({ pref, value, line, kind, reason });
+  }
+  return ignored;
+}
+
+/**
+ * Comment out or remove the user_pref() lines of the given prefs.
+ *
+ * @param {string} content - user.js content
+ * @param {Iterable<string>} prefs
+ * @param {"comment"|"remove"} action
+ * @returns {{content: string, changed: string[]}}
+ */
+export function fixIgnoredPrefs(content, prefs, action) {
+  const targets = new Set(prefs);
+  const changed = new Set();
+  const ast = parsePrefs(content);
+
+  for (const node of prefNodes(ast, ["user_pref"])) {
+    if (!targets.has(node.name)) continue;
+    changed.add(node.name);
+    if (action === "comment") commentOutNode(ast, node, IGNORED_MARKER);
+    else removeNode(ast, node);
+  }
+  return { content: printPrefs(ast), changed: [...changed] };
+}
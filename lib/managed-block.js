@@ -0,0 +1,256 @@
+// Managed block — the part of user.js the tuner owns. Everything the tuner
+// writes goes between the BEGIN/END marker comments and is replaced in place
+// on the next write; prefs and comments outside the block are never touched.
+// Firefox reads user.js top to bottom and the last value wins, so a user line
+// after the block silently overrides a managed pref — findOverrides() reports
+// those.
+
+import { serializeValue } from "./pref-schema.js";
+import { parsePrefs, prefNodes, printPrefs, appendText, setPrefValue } from "./prefs-parser.js";
+
+export const BLOCK_NAME = "firefox-performance-tuner";
+export const BEGIN_MARKER = `// BEGIN ${BLOCK_NAME}`;
+export const END_MARKER = `// END ${BLOCK_NAME}`;
+const BLOCK_NOTE = "// Managed by Firefox Performance Tuner — changes inside this block are overwritten";
+
+// Error with an HTTP status so route handlers can pass it straight through
+export class ManagedBlockError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = "ManagedBlockError";
+    this.status = status;
+  }
+}
+
+const isMarker = (node, word) =>
+  node.type === "comment" && node.style === "line" && node.text === `${word} ${BLOCK_NAME}`;
+
+/**
+ * Locate the managed block.
+ *
+ * @param {object} ast - parsePrefs() result
+ * @returns {{begin: object, end: object, start: number, innerStart: number,
+ *   innerEnd: number, stop: number, prefs: Map<string, object>}|null}
+ *   start/stop span the marker lines, innerStart/innerEnd the lines between
+ *   them; prefs holds the user_pref() nodes inside (last one per name)
+ * @throws {ManagedBlockError} when the markers are unbalanced or repeated
+ */
+export function findManagedBlock(ast) {
+  const begins = ast.nodes.filter((node) => isMarker(node, "BEGIN"));
+  const ends = ast.nodes.filter((node) => isMarker(node, "END"));
+  if (begins.length === 0 && ends.length === 0) return null;
+  if (begins.length !== 1 || ends.length !== 1 || ends[0].start < begins[0].start) {
+    throw new ManagedBlockError(
+      `user.js has ${begins.length} "${BEGIN_MARKER}" and ${ends.length} "${END_MARKER}" lines — ` +
+        "fix the markers by hand so there is exactly one of each, in that order",
+    );
+  }
+
+  const [begin] = begins;
+  const [end] = ends;
+  const { source } = ast;
+  const lineStart = (offset) => source.lastIndexOf("\n", offset - 1) + 1;
+  const lineEnd = (offset) => {
+    const newline = source.indexOf("\n", offset);
+    return newline < 0 ? source.length : newline + 1;
+  };
+
+  const prefs = new Map();
+  for (const node of prefNodes(ast, ["user_pref"])) {
+    if (node.start > begin.end && node.end < end.start) prefs.set(node.name, node);
+  }
+  return {
+    begin,
+    end,
+    start: lineStart(begin.start),
+    innerStart: lineEnd(begin.end),
+    innerEnd: lineStart(end.start),
+    stop: lineEnd(end.end),
+    prefs,
+  };
+}
+
+/**
+ * The block's text, markers included.
+ *
+ * @param {string} body - Lines between the markers, without a trailing newline
+ */
+export function renderManagedBlock(body) {
+  return [BEGIN_MARKER, BLOCK_NOTE, body, END_MARKER].filter((part) => part !== "").join("\n");
+}
+
+/**
+ * Replace the block's contents (or append a new block) and keep everything
+ * outside it byte-for-byte.
+ *
+ * @param {string} content - Current user.js ("" when missing)
+ * @param {string} body - New lines between the markers
+ * @param {object} [options]
+ * @param {(pref: string) => boolean} [options.keep] - Prefs of the current block
+ *   to carry over (with their description) when `body` does not set them —
+ *   ones adopted or applied outside the catalog
+ * @returns {string}
+ * @throws {ManagedBlockError}
+ */
+export function replaceManagedBlock(content, body, { keep = () => false } = {}) {
+  const ast = parsePrefs(content);
+  const block = findManagedBlock(ast);
+  if (block) {
+    const written = new Set(prefNodes(parsePrefs(body)).map((node) => node.name));
+    const kept = [...block.prefs.values()]
+      .filter((node) => keep(node.name) && !written.has(node.name))
+      .flatMap((node) => {
+        const description = descriptionOf(ast, node);
+        const raw = content.slice(node.start, node.end);
+        const statement = node.trailingComment ? `${raw} // ${node.trailingComment}` : raw;
+        return description ? [content.slice(description.start, description.end), statement] : [statement];
+      });
+    if (kept.length > 0) {
+      body = [body, `// === ${OTHER_CATEGORY} ===\n${kept.join("\n")}`].filter(Boolean).join("\n\n");
+    }
+
+    const newline = block.stop === content.length && !content.endsWith("\n") ? "" : "\n";
+    ast.edits.push({ start: block.start, end: block.stop, text: `${renderManagedBlock(body)}${newline}` });
+  } else {
+    appendText(ast, `${content.trim() ? "\n" : ""}${renderManagedBlock(body)}`);
+  }
+  return printPrefs(ast);
+}
+
+/**
+ * user_pref() lines after the block that set a pref the block manages —
+ * Firefox applies them last, so the managed value never takes effect.
+ *
+ * @param {object} ast - parsePrefs() result
+ * @returns {{pref: string, node: object, managed: object}[]} managed is the block's node
+ * @throws {ManagedBlockError}
+ */
+export function findOverrides(ast) {
+  const block = findManagedBlock(ast);
+  if (!block) return [];
+  return prefNodes(ast, ["user_pref"])
+    .filter((node) => node.start >= block.stop && block.prefs.has(node.name))
+    .map((node) => ({ pref: node.name, node, managed: block.prefs.get(node.name) }));
+}
+
+// "// === Category ===" headings, as generateTemplate() writes them
+const HEADING = /^=== (.+) ===$/;
+// Heading of prefs not in any category
+export const OTHER_CATEGORY = "Other";
+
+// Text for a "//" comment: a line break would end the comment and make the
+// rest of the text a statement
+export const commentText = (text) => String(text).replace(/\p{Cc}+/gu, " ");
+
+// Comment node directly above a pref that describes it (not a heading or marker)
+function descriptionOf(ast, node) {
+  const index = ast.nodes.indexOf(node);
+  const previous = ast.nodes[index - 1];
+  if (previous?.type !== "comment" || previous.style !== "line") return null;
+  if (previous.endLine !== node.line - 1) return null;
+  // A trailing comment of the statement above describes that one
+  const above = ast.nodes[index - 2];
+  if (above?.type === "pref" && above.endLine === previous.line) return null;
+  if (HEADING.test(previous.text) || previous.text.includes(BLOCK_NAME)) return null;
+  if (`// ${previous.text}` === BLOCK_NOTE) return null;
+  return previous;
+}
+
+/**
+ * Set pref values inside the managed block without disturbing its layout:
+ * existing statements change in place (trailing comments kept), new prefs go
+ * under their catalog category's "// === Category ===" heading (a new section
+ * when the heading is missing) with their description above them. Edits are
+ * recorded on `ast`; print it with printPrefs().
+ *
+ * @param {object} ast - parsePrefs() result of user.js
+ * @param {object} values - Pref name -> typed value
+ * @param {object} categories - Catalog categories (custom ones merged)
+ * @param {object} [options]
+ * @param {boolean} [options.regenerateComments] - Rewrite every managed pref's
+ *   description comment from the catalog
+ * @param {object} [options.descriptions] - Pref name -> description for new
+ *   prefs the catalog does not describe
+ * @returns {{changed: string[], added: string[]}}
+ * @throws {ManagedBlockError}
+ */
+export function updateManagedPrefs(ast, values, categories, { regenerateComments = false, descriptions = {} } = {}) {
+  const catalog = new Map();
+  for (const [category, prefs] of Object.entries(categories)) {
+    for (const [pref, entry] of Object.entries(prefs)) catalog.set(pref, { category, entry, order: catalog.size });
+  }
+  const orderOf = (pref) => catalog.get(pref)?.order ?? catalog.size;
+  const statement = (pref, value) => {
+    const description = catalog.get(pref)?.entry.description ?? descriptions[pref];
+    const line = `user_pref(${serializeValue(pref)}, ${serializeValue(value)});`;
+    return description ? `// ${commentText(description)}\n${line}` : line;
+  };
+
+  const block = findManagedBlock(ast);
+  const changed = [];
+  const added = [];
+  const newByCategory = new Map(); // category -> statements, in catalog order
+  const ordered = Object.entries(values).sort(([a], [b]) => orderOf(a) - orderOf(b));
+  for (const [pref, value] of ordered) {
+    const node = block?.prefs.get(pref);
+    if (node) {
+      if (node.value !== value) {
+        setPrefValue(ast, node, value);
+        changed.push(pref);
+      }
+      continue;
+    }
+    const category = catalog.get(pref)?.category ?? OTHER_CATEGORY;
+    if (!newByCategory.has(category)) newByCategory.set(category, []);
+    newByCategory.get(category).push(statement(pref, value));
+    added.push(pref);
+  }
+
+  if (!block) {
+    if (added.length > 0) {
+      const sections = [...newByCategory].map(([category, lines]) => [`// === ${commentText(category)} ===`, ...lines].join("\n"));
+      appendText(ast, `${ast.source.trim() ? "\n" : ""}${renderManagedBlock(sections.join("\n\n"))}`);
+    }
+    return { changed, added };
+  }
+
+  // Sections of the block: each heading up to the next one
+  const inside = ast.nodes.filter((node) => node.start > block.begin.end && node.end < block.end.start);
+  const headings = inside.filter((node) => node.type === "comment" && HEADING.test(node.text));
+  const lineEnd = (offset) => {
+    const newline = ast.source.indexOf("\n", offset);
+    return newline < 0 ? ast.source.length : newline + 1;
+  };
+  for (const [category, lines] of newByCategory) {
+    const index = headings.findIndex((node) => node.text.match(HEADING)[1] === category);
+    if (index < 0) {
+      // New section at the end of the block, after a blank line
+      const blank = /\n\s*\n$/.test(ast.source.slice(0, block.innerEnd)) || block.innerEnd === block.innerStart;
+      const text = `${blank ? "" : "\n"}// === ${commentText(category)} ===\n${lines.join("\n")}\n`;
+      ast.edits.push({ start: block.innerEnd, end: block.innerEnd, text });
+      continue;
+    }
+    // After the last statement or comment of the section
+    const heading = headings[index];
+    const next = headings[index + 1];
+    const section = inside.filter((node) => node.start >= heading.start && (!next || node.start < next.start));
+    const at = lineEnd(section.at(-1).end);
+    ast.edits.push({ start: at, end: at, text: `${lines.join("\n")}\n` });
+  }
+
+  if (regenerateComments) {
+    for (const [pref, node] of block.prefs) {
+      const entry = catalog.get(pref)?.entry;
+      if (!entry?.description) continue;
+      const description = commentText(entry.description);
+      const comment = descriptionOf(ast, node);
+      if (!comment) {
+        const lineStart = ast.source.lastIndexOf("\n", node.start - 1) + 1;
+        ast.edits.push({ start: lineStart, end: lineStart, text: `// ${description}\n` });
+      } else if (comment.text !== description) {
+        ast.edits.push({ start: comment.start, end: comment.end, text: `// ${description}` });
+      }
+    }
+  }
+  return { changed, added };
+}
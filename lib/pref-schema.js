@@ -0,0 +1,199 @@
+// Typed preference values — every catalog pref declares a Firefox pref type
+// (bool/int/string) plus optional min/max, enum and pattern constraints.
+// prefs.js and user.js literals are parsed into typed values before they are
+// compared, so `4` vs `"4"` and quoted strings are evaluated the way Firefox
+// reads them, and values are serialized back through the same schema.
+
+export const PREF_TYPES = ["bool", "int", "string"];
+export const CONSTRAINT_FIELDS = ["type", "min", "max", "enum", "pattern", "reason"];
+
+// Firefox stores int prefs as signed 32-bit integers
+const INT_MIN = -2147483648;
+const INT_MAX = 2147483647;
+
+// Pref names the tuner reads and writes; "__proto__" would be taken as the
+// prototype by the plain objects pref values travel in
+export const PREF_NAME_PATTERN = /^(?!__proto__$)[A-Za-z0-9_.-]+$/;
+
+const TYPE_NAMES = { bool: "a boolean", int: "an integer", string: "a string" };
+
+const STRING_ESCAPES = { n: "\n", r: "\r", t: "\t", '"': '"', "'": "'", "\\": "\\" };
+
+// Type of a typed value ("bool" | "int" | "string"), null for anything else
+export function prefType(value) {
+  if (typeof value === "boolean") return "bool";
+  if (Number.isInteger(value)) return "int";
+  if (typeof value === "string") return "string";
+  return null;
+}
+
+/**
+ * Parse a prefs.js / user.js value literal into a typed value.
+ *
+ * @param {string} literal - e.g. `true`, `-42`, `"text \"quoted\""`
+ * @returns {boolean|number|string|undefined} undefined when not a pref literal
+ */
+export function parsePrefLiteral(literal) {
+  const text = String(literal).trim();
+  if (text === "true") return true;
+  if (text === "false") return false;
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+
+  const quote = text[0];
+  if ((quote !== '"' && quote !== "'") || text.length < 2 || text.at(-1) !== quote) {
+    return undefined;
+  }
+  let value = "";
+  for (let i = 1; i < text.length - 1; i++) {
+    const ch = text[i];
+    if (ch === quote) return undefined; // unescaped quote inside the literal
+    if (ch !== "\\") {
+      value += ch;
+      continue;
+    }
+    const next = text[++i];
+    if (next === "x" || next === "u") {
+      const length = next === "x" ? 2 : 4;
+      const hex = text.slice(i + 1, i + 1 + length);
+      if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== length) return undefined;
+      value += String.fromCharCode(parseInt(hex, 16));
+      i += length;
+    } else if (next in STRING_ESCAPES) {
+      value += STRING_ESCAPES[next];
+    } else {
+      return undefined;
+    }
+  }
+  return value;
+}
+
+/**
+ * Convert a loosely typed value (legacy "true"/"4" strings from clients and
+ * old bundles) to the schema's type. Values that cannot be converted are
+ * returned unchanged so checkValue() reports them.
+ */
+export function coerceValue(schema, value) {
+  if (!schema || prefType(value) === schema.type || typeof value !== "string") {
+    return value;
+  }
+  if (schema.type === "bool" && (value === "true" || value === "false")) {
+    return value === "true";
+  }
+  if (schema.type === "int" && /^-?\d+$/.test(value.trim())) {
+    return Number(value.trim());
+  }
+  return value;
+}
+
+// "null", "an array", "1.5"... for error messages about non-pref values
+function describeValue(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "an array";
+  if (typeof value === "object") return "an object";
+  return String(JSON.stringify(value) ?? value).slice(0, 40);
+}
+
+/**
+ * Check a value for a pref without a schema: it still has to be something
+ * user_pref() can hold.
+ *
+ * @returns {{kind: "type"|"constraint", message: string}|null} null when valid
+ */
+export function checkUntypedValue(value) {
+  const type = prefType(value);
+  if (!type) {
+    return { kind: "type", message: `must be a boolean, an integer or a string (got ${describeValue(value)})` };
+  }
+  if (type === "int" && (value < INT_MIN || value > INT_MAX)) {
+    return { kind: "constraint", message: `${value} does not fit a 32-bit integer` };
+  }
+  return null;
+}
+
+/**
+ * Check a typed value against a pref schema.
+ *
+ * @param {object} schema - Catalog entry or constraint ({type, min, max, enum, pattern})
+ * @param {*} value
+ * @returns {{kind: "type"|"constraint", message: string}|null} null when valid
+ */
+export function checkValue(schema, value) {
+  const type = prefType(value);
+  if (type !== schema.type) {
+    const got = type ? TYPE_NAMES[type] : describeValue(value);
+    return { kind: "type", message: `must be ${TYPE_NAMES[schema.type]} (got ${got})` };
+  }
+  if (type === "int" && (value < INT_MIN || value > INT_MAX)) {
+    return { kind: "constraint", message: `${value} does not fit a 32-bit integer` };
+  }
+  if (schema.min !== undefined && value < schema.min) {
+    return { kind: "constraint", message: `${value} is below the minimum ${schema.min}` };
+  }
+  if (schema.max !== undefined && value > schema.max) {
+    return { kind: "constraint", message: `${value} is above the maximum ${schema.max}` };
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return {
+      kind: "constraint",
+      message: `${JSON.stringify(value)} is not one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`,
+    };
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    return {
+      kind: "constraint",
+      message: `${JSON.stringify(value)} does not match /${schema.pattern}/`,
+    };
+  }
+  return null;
+}
+
+// Typed value -> user.js literal (strings quoted and escaped). JSON escapes
+// are the prefs parser's, except \b and \f, which it does not know.
+export function serializeValue(value) {
+  if (typeof value === "string") {
+    return JSON.stringify(value).replace(/\\(u[0-9a-f]{4}|.)/g, (escape, code) =>
+      code === "b" ? "\\u0008" : code === "f" ? "\\u000c" : escape,
+    );
+  }
+  return String(value);
+}
+
+// Problems in a schema definition itself (catalog loading)
+export function validateSchema(schema, where) {
+  const problems = [];
+  if (!PREF_TYPES.includes(schema.type)) {
+    return [`${where}: "type" must be one of ${PREF_TYPES.join(", ")}`];
+  }
+  for (const field of ["min", "max"]) {
+    if (schema[field] === undefined) continue;
+    if (schema.type !== "int") problems.push(`${where}: "${field}" only applies to int prefs`);
+    else if (!Number.isInteger(schema[field])) problems.push(`${where}: "${field}" must be an integer`);
+  }
+  if (schema.min > schema.max) {
+    problems.push(`${where}: min ${schema.min} is above max ${schema.max}`);
+  }
+  if (schema.enum !== undefined) {
+    if (schema.type === "bool") {
+      problems.push(`${where}: "enum" does not apply to bool prefs`);
+    } else if (!Array.isArray(schema.enum) || schema.enum.length === 0) {
+      problems.push(`${where}: "enum" must be a non-empty array`);
+    } else if (schema.enum.some((v) => prefType(v) !== schema.type)) {
+      problems.push(`${where}: "enum" values must be of type ${schema.type}`);
+    }
+  }
+  if (schema.pattern !== undefined) {
+    if (schema.type !== "string") {
+      problems.push(`${where}: "pattern" only applies to string prefs`);
+    } else {
+      try {
+        new RegExp(schema.pattern);
+      } catch {
+        problems.push(`${where}: "pattern" is not a valid regular expression`);
+      }
+    }
+  }
+  if (schema.reason !== undefined && typeof schema.reason !== "string") {
+    problems.push(`${where}: "reason" must be a string`);
+  }
+  return problems;
+}
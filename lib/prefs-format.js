@@ -0,0 +1,199 @@
+// user.js formatter — rewrites a user.js into a canonical layout without
+// changing what Firefox ends up with: every pref once (the value Firefox used,
+// i.e. the last one), grouped under "// === Category ===" headings in catalog
+// order and sorted by name, unknown prefs under "Other", values re-serialized.
+// Description comments travel with their pref, prefs stay on their side of
+// the managed block (a user line after it overrides it), and comments that
+// belong to no pref are kept in a "Notes" section rather than dropped.
+
+import { serializeValue } from "./pref-schema.js";
+import { parsePrefs, prefNodes, prefValues } from "./prefs-parser.js";
+import { OTHER_CATEGORY, commentText, findManagedBlock, renderManagedBlock } from "./managed-block.js";
+
+const NOTES_HEADING = "// === Notes ===";
+const HEADING = /^=== (.+) ===$/;
+// Lines the tuner writes at the top of the managed block
+const BLOCK_META = /^(Generated|Preset|Managed by Firefox Performance Tuner)\b/;
+
+// Error with an HTTP status so route handlers can pass it straight through
+export class FormatError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "FormatError";
+    this.status = status;
+  }
+}
+
+/**
+ * Format user.js content.
+ *
+ * @param {string} content
+ * @param {object} categories - Catalog categories (custom ones merged)
+ * @returns {{content: string, duplicates: object[], unknown: string[], prefCount: number}}
+ *   duplicates: {pref, value, line, dropped: [{value, line}]} — value/line
+ *   are the statement Firefox used and that was kept
+ * @throws {FormatError} on syntax errors (nothing is formatted), or when the
+ *   result would leave Firefox with different values
+ * @throws {ManagedBlockError} on unbalanced managed-block markers
+ */
+export function formatUserJs(content, categories) {
+  const ast = parsePrefs(content);
+  const [syntaxError] = ast.errors;
+  if (syntaxError) {
+    throw new FormatError(
+      `Fix the syntax error on line ${syntaxError.line}, column ${syntaxError.column} before formatting: ${syntaxError.message}`,
+    );
+  }
+  const foreign = prefNodes(ast).find((node) => node.kind !== "user_pref");
+  if (foreign) {
+    throw new FormatError(`Line ${foreign.line}: ${foreign.kind}() is not allowed in user.js`);
+  }
+
+  const catalog = new Map();
+  Object.entries(categories).forEach(([category, prefs], order) => {
+    for (const pref of Object.keys(prefs)) catalog.set(pref, { category, order });
+  });
+
+  const block = findManagedBlock(ast);
+  const inBlock = (node) => !!block && node.start > block.begin.end && node.end < block.end.start;
+  const afterBlock = (node) => !!block && node.start > block.end.end;
+  const raw = (node) => content.slice(node.start, node.end).trim();
+
+  // Header: the comments at the top of the file, up to the first blank line
+  const header = [];
+  let i = 0;
+  while (ast.nodes[i]?.type === "comment" && !inBlock(ast.nodes[i]) && ast.nodes[i] !== block?.begin) {
+    const node = ast.nodes[i];
+    if (header.length > 0 && node.line - header.at(-1).endLine > 1) break;
+    header.push(node);
+    i++;
+  }
+  const next = ast.nodes[i];
+  if (header.length > 0 && next?.type === "pref" && next.line - header.at(-1).endLine <= 1) {
+    i = 0; // no blank line after them: they describe the first pref
+    header.length = 0;
+  }
+
+  // Walk the rest: comments directly above a pref describe it, the others are notes
+  const statements = [];
+  const notes = [];
+  const blockMeta = [];
+  let pending = [];
+  let previous = header.at(-1) ?? null;
+  const flush = () => {
+    notes.push(...pending.map(raw));
+    pending = [];
+  };
+  for (; i < ast.nodes.length; i++) {
+    const node = ast.nodes[i];
+    const gap = previous ? node.line - previous.endLine : 0;
+    const trailing = previous?.type === "pref" && node.type === "comment" && node.line === previous.endLine;
+    previous = node;
+    if (trailing && node.style !== "block") continue; // kept on its statement
+    if (gap > 1) flush();
+
+    if (node.type === "pref") {
+      const side = inBlock(node) ? "block" : afterBlock(node) ? "after" : "before";
+      statements.push({ node, description: pending.map(raw), side });
+      pending = [];
+      continue;
+    }
+    // Structure the formatter writes itself
+    if (node === block?.begin || node === block?.end) {
+      flush();
+      continue;
+    }
+    if (HEADING.test(node.text)) {
+      flush();
+      continue;
+    }
+    if (inBlock(node) && BLOCK_META.test(node.text)) {
+      if (!node.text.startsWith("Managed by")) blockMeta.push(raw(node));
+      continue;
+    }
+    pending.push(node);
+  }
+  flush();
+
+  // Firefox applies the last statement of each pref. A managed statement
+  // overridden after the block stays: the block is the tuner's, and the
+  // override is reported by validation.
+  const winners = new Map();
+  const overridden = [];
+  const duplicates = [];
+  for (const statement of statements) {
+    const earlier = winners.get(statement.node.name);
+    if (earlier?.side === "block" && statement.side === "after") {
+      overridden.push(earlier);
+    } else if (earlier) {
+      const dup = duplicates.find((d) => d.pref === statement.node.name);
+      const dropped = { value: earlier.node.value, line: earlier.node.line };
+      if (dup) dup.dropped.push(dropped);
+      else duplicates.push({ pref: statement.node.name, dropped: [dropped] });
+      // Keep the description when only the dropped statement had one
+      if (statement.description.length === 0) statement.description = earlier.description;
+    }
+    winners.set(statement.node.name, statement);
+  }
+  for (const dup of duplicates) {
+    const { node } = winners.get(dup.pref);
+    Object.assign(dup, { value: node.value, line: node.line });
+  }
+
+  // Category sections in catalog order, "Other" last, prefs sorted by name
+  const sections = (list) => {
+    const groups = new Map();
+    for (const statement of list) {
+      const category = catalog.get(statement.node.name)?.category ?? OTHER_CATEGORY;
+      if (!groups.has(category)) groups.set(category, []);
+      groups.get(category).push(statement);
+    }
+    const rank = (category) => catalog.get(groups.get(category)[0].node.name)?.order ?? Infinity;
+    return [...groups.keys()]
+      .sort((a, b) => rank(a) - rank(b))
+      .map((category) =>
+        [
+          `// === ${commentText(category)} ===`,
+          ...groups
+            .get(category)
+            .sort((a, b) => a.node.name.localeCompare(b.node.name))
+            .flatMap(({ node, description }) => {
+              const line = `user_pref(${serializeValue(node.name)}, ${serializeValue(node.value)});`;
+              return [...description, node.trailingComment ? `${line} // ${node.trailingComment}` : line];
+            }),
+        ].join("\n"),
+      );
+  };
+
+  const kept = [...overridden, ...winners.values()];
+  const parts = [];
+  if (header.length > 0) parts.push(header.map(raw).join("\n"));
+  const on = (side) => kept.filter((statement) => statement.side === side);
+  parts.push(...sections(on("before")));
+  if (notes.length > 0) parts.push([NOTES_HEADING, ...notes].join("\n"));
+  if (block) {
+    const body = [blockMeta.join("\n"), ...sections(on("block"))].filter(Boolean).join("\n\n");
+    parts.push(renderManagedBlock(body), ...sections(on("after")));
+  }
+  const formatted = parts.length > 0 ? `${parts.join("\n\n")}\n` : "";
+
+  // Same prefs, same values: anything else is a formatter bug, not the user's
+  const before = new Map(Object.entries(prefValues(ast)));
+  const after = new Map(Object.entries(prefValues(parsePrefs(formatted))));
+  const changed = [...new Set([...before.keys(), ...after.keys()])].filter(
+    (pref) => before.get(pref) !== after.get(pref),
+  );
+  if (changed.length > 0) {
+    throw new FormatError(
+      `Formatting would change what Firefox ends up with for ${changed.slice(0, 5).join(", ")} — user.js was left as is`,
+      500,
+    );
+  }
+
+  return {
+    content: formatted,
+    duplicates,
+    unknown: [...winners.keys()].filter((pref) => !catalog.has(pref)),
+    prefCount: winners.size,
+  };
+}
@@ -0,0 +1,408 @@
+// prefs.js / user.js parser — tokenizes the grammar Firefox reads (pref,
+// user_pref, sticky_pref and the autoconfig lockPref/defaultPref/clearPref
+// calls; //, # and /* */ comments; escaped strings; statements split across
+// lines) into an AST of pref and comment nodes with source positions.
+// Nodes only reference ranges of the original text, so printPrefs()
+// reproduces a file byte-for-byte and edits rewrite nothing but the ranges
+// they touch.
+
+import { parsePrefLiteral, serializeValue } from "./pref-schema.js";
+
+export const PREF_KINDS = ["user_pref", "pref", "sticky_pref", "lockPref", "defaultPref", "clearPref"];
+const ATTRIBUTES = ["locked", "sticky"];
+
+// Line/column (1-based) of every offset, via the offsets where lines start
+function lineIndex(source) {
+  const starts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === "\n") starts.push(i + 1);
+  }
+  return (offset) => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (starts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - starts[low] + 1 };
+  };
+}
+
+// Tokens: comment, string, number, ident, punct, invalid (whitespace is skipped)
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  const push = (type, start, extra = {}) =>
+    tokens.push({ type, start, end: i, text: source.slice(start, i), ...extra });
+
+  while (i < source.length) {
+    const start = i;
+    const ch = source[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === "/" && source[i + 1] === "/") {
+      while (i < source.length && source[i] !== "\n") i++;
+      push("comment", start, { style: "line" });
+    } else if (ch === "#") {
+      while (i < source.length && source[i] !== "\n") i++;
+      push("comment", start, { style: "hash" });
+    } else if (ch === "/" && source[i + 1] === "*") {
+      const close = source.indexOf("*/", i + 2);
+      i = close < 0 ? source.length : close + 2;
+      push("comment", start, { style: "block", unterminated: close < 0 });
+    } else if (ch === '"' || ch === "'") {
+      i++;
+      while (i < source.length && source[i] !== ch) i += source[i] === "\\" ? 2 : 1;
+      const unterminated = i >= source.length;
+      i = Math.min(i + 1, source.length);
+      push("string", start, { unterminated });
+    } else if (/[-+\d]/.test(ch)) {
+      i++;
+      while (i < source.length && /[\d.]/.test(source[i])) i++;
+      push("number", start);
+    } else if (/[A-Za-z_$]/.test(ch)) {
+      while (i < source.length && /[\w$]/.test(source[i])) i++;
+      push("ident", start);
+    } else {
+      i++;
+      push("(),;".includes(ch) ? "punct" : "invalid", start);
+    }
+  }
+  return tokens;
+}
+
+const isLineComment = (token) => token.type === "comment" && token.style !== "block";
+
+// Comment text without its delimiters
+function commentText(token) {
+  if (token.style === "line") return token.text.slice(2).trim();
+  if (token.style === "hash") return token.text.slice(1).trim();
+  return token.text.replace(/^\/\*|\*\/$/g, "").trim();
+}
+
+// Typed value of a value token, or an error message
+function valueOf(token) {
+  if (token.type === "ident" && (token.text === "true" || token.text === "false")) {
+    return { value: token.text === "true" };
+  }
+  if (token.type === "number") {
+    if (!/^[-+]?\d+$/.test(token.text)) {
+      return {
+        error: `"${token.text}" is not an integer — Firefox has no float prefs, use a string`,
+        fix: {
+          title: `Quote as "${token.text}"`,
+          changes: [{ from: token.start, to: token.end, insert: `"${token.text}"` }],
+        },
+      };
+    }
+    return { value: Number(token.text) };
+  }
+  if (token.type === "string") {
+    if (token.unterminated) return { error: "Unterminated string" };
+    const value = parsePrefLiteral(token.text);
+    return value === undefined ? { error: "Invalid escape sequence in string" } : { value };
+  }
+  return { error: `Expected a value (true, false, a number or a string), found "${token.text}"` };
+}
+
+/**
+ * Parse prefs.js / user.js / default-prefs content.
+ *
+ * @param {string} source
+ * @returns {{source: string, nodes: object[], errors: object[], edits: object[]}}
+ *   nodes in file order:
+ *   - {type: "pref", kind, name, value, raw, attribute, start, end, line, column,
+ *      endLine, valueStart, valueEnd, trailingComment}
+ *   - {type: "comment", style: "line"|"hash"|"block", text, start, end, line, column, endLine}
+ *   errors: {message, start, end, line, column, fix}; the statement is skipped.
+ *   fix is null or a quick fix {title, changes: [{from, to, insert}]}
+ */
+export function parsePrefs(source) {
+  const position = lineIndex(source);
+  const tokens = tokenize(source);
+  const nodes = [];
+  const errors = [];
+  let t = 0;
+
+  const error = (message, token, fix = null) => {
+    const at = token ?? { start: source.length, end: source.length };
+    errors.push({ message, start: at.start, end: at.end, ...position(at.start), fix });
+  };
+
+  // Where next() started skipping comments, for a statement that breaks off
+  // (peeking twice at the same token keeps the first start)
+  let skipped = null;
+  let peeked = null;
+
+  const isKeyword = (token) => token?.type === "ident" && PREF_KINDS.includes(token.text);
+
+  // Skip to the end of the broken statement: its ";", the next statement
+  // keyword or a // comment (which ends the line, and may be a marker).
+  // A statement cut off by the next one or the end of the file ends before
+  // the line comments skipped on the way there.
+  const recover = () => {
+    const cutOff = skipped !== null && (t >= tokens.length || isKeyword(tokens[t]));
+    const comment = cutOff ? tokens.slice(skipped, t).findIndex(isLineComment) : -1;
+    if (comment >= 0) {
+      t = skipped + comment;
+      return;
+    }
+    while (t < tokens.length) {
+      const token = tokens[t];
+      if (token.type === "punct" && token.text === ";") {
+        t++;
+        return;
+      }
+      if (isKeyword(token) || isLineComment(token)) return;
+      t++;
+    }
+  };
+
+  while (t < tokens.length) {
+    const token = tokens[t];
+    skipped = null;
+
+    if (token.type === "comment") {
+      if (token.unterminated) error("Unterminated /* comment", token);
+      const node = {
+        type: "comment",
+        style: token.style,
+        text: commentText(token),
+        start: token.start,
+        end: token.end,
+        ...position(token.start),
+        endLine: position(token.end).line,
+      };
+      // A line comment right after a pref on the same line describes it
+      const previous = nodes.at(-1);
+      if (previous?.type === "pref" && node.style !== "block" && previous.endLine === node.line) {
+        previous.trailingComment = node.text;
+      }
+      nodes.push(node);
+      t++;
+      continue;
+    }
+
+    if (!isKeyword(token)) {
+      error(`Unexpected "${token.text.slice(0, 40)}" — expected user_pref(...)`, token);
+      t++;
+      recover();
+      continue;
+    }
+
+    // kind ( "name" [, value [, attribute]] ) ;
+    const kind = token.text;
+    const start = token.start;
+    t++;
+    // Comments inside a statement belong to it and are not separate nodes
+    const next = () => {
+      if (t !== peeked) skipped = t;
+      while (tokens[t]?.type === "comment") t++;
+      peeked = t;
+      return tokens[t];
+    };
+    const expect = (text) => {
+      const found = next();
+      if (found?.type === "punct" && found.text === text) {
+        t++;
+        return true;
+      }
+      error(`Expected "${text}" after ${kind}${found ? `, found "${found.text.slice(0, 40)}"` : " at end of file"}`, found);
+      return false;
+    };
+
+    if (!expect("(")) {
+      recover();
+      continue;
+    }
+    const nameToken = next();
+    if (nameToken?.type !== "string" || nameToken.unterminated) {
+      error(`Expected a quoted pref name in ${kind}()`, nameToken);
+      recover();
+      continue;
+    }
+    const name = parsePrefLiteral(nameToken.text);
+    if (name === undefined) {
+      error("Invalid escape sequence in pref name", nameToken);
+      recover();
+      continue;
+    }
+    t++;
+
+    let value = null;
+    let valueToken = null;
+    let attribute = null;
+    if (kind !== "clearPref") {
+      if (!expect(",")) {
+        recover();
+        continue;
+      }
+      valueToken = next();
+      const parsed = valueToken ? valueOf(valueToken) : { error: "Missing value" };
+      if (parsed.error) {
+        error(parsed.error, valueToken, parsed.fix);
+        recover();
+        continue;
+      }
+      value = parsed.value;
+      t++;
+
+      const comma = next();
+      if (comma?.type === "punct" && comma.text === ",") {
+        t++;
+        const attr = next();
+        if (attr?.type !== "ident" || !ATTRIBUTES.includes(attr.text)) {
+          error(`Expected "locked" or "sticky"`, attr);
+          recover();
+          continue;
+        }
+        attribute = attr.text;
+        t++;
+      }
+    }
+    if (!expect(")")) {
+      recover();
+      continue;
+    }
+    const closeParen = tokens[t - 1];
+    const semicolon = next();
+    if (semicolon?.type !== "punct" || semicolon.text !== ";") {
+      error(`Missing ";" after ${kind}("${name}", ...)`, closeParen, {
+        title: 'Insert ";"',
+        changes: [{ from: closeParen.end, to: closeParen.end, insert: ";" }],
+      });
+      t = skipped; // comments after the ")" are nodes of their own
+      continue;
+    }
+    t++;
+
+    nodes.push({
+      type: "pref",
+      kind,
+      name,
+      value,
+      raw: valueToken?.text ?? null,
+      attribute,
+      start,
+      end: semicolon.end,
+      ...position(start),
+      endLine: position(semicolon.end).line,
+      valueStart: valueToken?.start ?? null,
+      valueEnd: valueToken?.end ?? null,
+      trailingComment: null,
+    });
+  }
+
+  return { source, nodes, errors, edits: [] };
+}
+
+/**
+ * Pref nodes of the given kinds.
+ *
+ * @param {object} ast - parsePrefs() result
+ * @param {string[]} [kinds]
+ */
+export function prefNodes(ast, kinds = PREF_KINDS) {
+  return ast.nodes.filter((node) => node.type === "pref" && kinds.includes(node.kind));
+}
+
+/**
+ * Pref name -> typed value; later statements win, as in Firefox.
+ *
+ * @param {object} ast - parsePrefs() result
+ * @param {string[]} [kinds] - Statement kinds to read (default: user_pref only)
+ */
+export function prefValues(ast, kinds = ["user_pref"]) {
+  const values = {};
+  for (const node of prefNodes(ast, kinds)) {
+    if (node.kind !== "clearPref") values[node.name] = node.value;
+  }
+  return values;
+}
+
+// Start of the line holding `offset`, and the end of that line (after "\n")
+function lineBounds(source, offset) {
+  const start = source.lastIndexOf("\n", offset - 1) + 1;
+  const newline = source.indexOf("\n", offset);
+  return { start, end: newline < 0 ? source.length : newline + 1 };
+}
+
+/**
+ * Replace a pref's value, keeping the rest of the statement as written.
+ *
+ * @param {object} ast - parsePrefs() result (edits are recorded on it)
+ * @param {object} node - Pref node with a value
+ * @param {boolean|number|string} value
+ */
+export function setPrefValue(ast, node, value) {
+  ast.edits.push({ start: node.valueStart, end: node.valueEnd, text: serializeValue(value) });
+}
+
+/**
+ * Remove a statement; when it is alone on its lines (apart from a trailing
+ * comment) the whole lines go, so no blank line is left behind.
+ */
+export function removeNode(ast, node) {
+  const { source } = ast;
+  const first = lineBounds(source, node.start);
+  const last = lineBounds(source, node.end);
+  const before = source.slice(first.start, node.start);
+  const after = source.slice(node.end, last.end);
+  if (before.trim() !== "" || !/^\s*(\/\/.*|#.*)?\s*$/.test(after)) {
+    ast.edits.push({ start: node.start, end: node.end, text: "" });
+    return;
+  }
+  // On the last line of a file without a final newline, take the one before instead
+  const start = last.end === source.length && !source.endsWith("\n") ? Math.max(first.start - 1, 0) : first.start;
+  ast.edits.push({ start, end: last.end, text: "" });
+}
+
+/**
+ * Turn a statement into a line comment, `prefix` going before each of its lines.
+ *
+ * @param {object} ast
+ * @param {object} node
+ * @param {string} [prefix]
+ */
+export function commentOutNode(ast, node, prefix = "// ") {
+  ast.edits.push({ start: node.start, end: node.start, text: prefix });
+  for (let i = ast.source.indexOf("\n", node.start); i >= 0 && i < node.end; i = ast.source.indexOf("\n", i + 1)) {
+    ast.edits.push({ start: i + 1, end: i + 1, text: prefix });
+  }
+}
+
+/**
+ * Insert text at the end of the file, on a new line.
+ *
+ * @param {object} ast
+ * @param {string} text - One or more lines, without a trailing newline
+ */
+export function appendText(ast, text) {
+  const { source } = ast;
+  const separator = source === "" || source.endsWith("\n") ? "" : "\n";
+  ast.edits.push({ start: source.length, end: source.length, text: `${separator}${text}\n` });
+}
+
+/**
+ * Print the AST back to text with its recorded edits applied. Without edits
+ * the result is the original source, byte-for-byte.
+ *
+ * @param {object} ast - parsePrefs() result
+ * @returns {string}
+ * @throws {Error} when two edits overlap
+ */
+export function printPrefs(ast) {
+  // Stable sort keeps insertions at the same offset in the order they were made
+  const edits = ast.edits
+    .map((edit, order) => ({ ...edit, order }))
+    .sort((a, b) => a.start - b.start || a.end - b.end || a.order - b.order);
+  let out = "";
+  let position = 0;
+  for (const edit of edits) {
+    if (edit.start < position) throw new Error("Overlapping edits");
+    out += ast.source.slice(position, edit.start) + edit.text;
+    position = edit.end;
+  }
+  return out + ast.source.slice(position);
+}
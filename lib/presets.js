@@ -0,0 +1,189 @@
+// Hardware presets — named overlays on the preference catalog (llvmpipe VM,
+// Mesa hardware, NVIDIA, low-RAM laptop, high-end desktop). A preset only
+// replaces expected values of prefs the catalog already has; the selected
+// preset is remembered in STATE_DIR so every route uses the same one.
+
+import { readFile, writeFile, mkdir } from "fs/promises";
+import { fileURLToPath } from "url";
+import { STATE_DIR } from "./state.js";
+import { CatalogError, readCatalogFile } from "./catalog.js";
+import { checkValue } from "./pref-schema.js";
+
+export const DEFAULT_PRESETS = fileURLToPath(
+  new URL("../catalog/presets.json", import.meta.url),
+);
+
+const SELECTION_FILE = `${STATE_DIR}/preset.json`;
+const TOP_LEVEL_FIELDS = ["$schema", "version", "default", "presets"];
+const PRESET_FIELDS = ["id", "name", "description", "overrides"];
+const ID_PATTERN = /^[a-z0-9-]+$/;
+
+// Error with an HTTP status so route handlers can pass it straight through
+export class PresetError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PresetError";
+    this.status = status;
+  }
+}
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Schema checks plus: unique ids, a valid default, overrides only for catalog
+// prefs and only with values their type and constraints allow
+function validatePresets(data, catalogPrefs) {
+  if (!isObject(data)) return ["presets file must be a JSON object"];
+  const problems = [];
+
+  for (const key of Object.keys(data)) {
+    if (!TOP_LEVEL_FIELDS.includes(key)) problems.push(`unknown field "${key}"`);
+  }
+  if (typeof data.version !== "string") problems.push('"version" must be a string');
+  if (!Array.isArray(data.presets) || data.presets.length === 0) {
+    return [...problems, '"presets" must be a non-empty array'];
+  }
+
+  const ids = new Set();
+  data.presets.forEach((preset, i) => {
+    const where = `presets[${i}]${preset?.id ? ` (${preset.id})` : ""}`;
+    if (!isObject(preset)) {
+      problems.push(`${where}: must be an object`);
+      return;
+    }
+    for (const key of Object.keys(preset)) {
+      if (!PRESET_FIELDS.includes(key)) problems.push(`${where}: unknown field "${key}"`);
+    }
+    if (typeof preset.id !== "string" || !ID_PATTERN.test(preset.id)) {
+      problems.push(`${where}: "id" must match ${ID_PATTERN}`);
+    } else if (ids.has(preset.id)) {
+      problems.push(`${where}: duplicate id`);
+    } else {
+      ids.add(preset.id);
+    }
+    for (const field of ["name", "description"]) {
+      if (typeof preset[field] !== "string" || preset[field] === "") {
+        problems.push(`${where}: "${field}" must be a non-empty string`);
+      }
+    }
+    if (!isObject(preset.overrides)) {
+      problems.push(`${where}: "overrides" must be an object`);
+      return;
+    }
+    for (const [pref, value] of Object.entries(preset.overrides)) {
+      const entry = catalogPrefs.get(pref);
+      const invalid = entry && checkValue(entry, value);
+      if (!entry) {
+        problems.push(`${where}: override for "${pref}" which is not in the catalog`);
+      } else if (invalid) {
+        problems.push(`${where}: override for "${pref}" ${invalid.message}`);
+      }
+    }
+  });
+
+  if (!ids.has(data.default)) {
+    problems.push(`"default" must name one of the presets (got ${JSON.stringify(data.default)})`);
+  }
+  return problems;
+}
+
+/**
+ * Load and validate the preset file against an already-loaded catalog.
+ *
+ * @param {object} catalog - Result of loadCatalog()
+ * @param {string} [file] - Presets path (defaults to $PREF_PRESETS, then catalog/presets.json)
+ * @returns {{version: string, source: string, default: string, presets: object[]}}
+ * @throws {CatalogError} listing every schema or integrity problem
+ */
+export function loadPresets(catalog, file = process.env.PREF_PRESETS || DEFAULT_PRESETS) {
+  const catalogPrefs = new Map(
+    Object.values(catalog.categories).flatMap((prefs) => Object.entries(prefs)),
+  );
+  const { source, data, problems } = readCatalogFile(file);
+  problems.push(...validatePresets(data, catalogPrefs));
+  if (problems.length > 0) throw new CatalogError(source, problems);
+
+  return {
+    version: data.version,
+    source,
+    default: data.default,
+    presets: data.presets,
+  };
+}
+
+// Look up a preset by id (400 for unknown ids)
+export function getPreset(presets, id) {
+  const preset = presets.presets.find((p) => p.id === id);
+  if (!preset) {
+    throw new PresetError(
+      `Unknown preset (expected one of: ${presets.presets.map((p) => p.id).join(", ")})`,
+    );
+  }
+  return preset;
+}
+
+/**
+ * Catalog categories with a preset's overrides applied.
+ * Overridden entries keep the catalog value as `base` so the UI can show it.
+ */
+export function applyPreset(categories, preset) {
+  const result = {};
+  for (const [category, prefs] of Object.entries(categories)) {
+    result[category] = {};
+    for (const [pref, entry] of Object.entries(prefs)) {
+      const override = preset.overrides[pref];
+      result[category][pref] =
+        override === undefined || override === entry.expected
+          ? entry
+          : { ...entry, expected: override, base: entry.expected };
+    }
+  }
+  return result;
+}
+
+// The persisted preset choice, falling back to the file's default when unset or stale
+export async function readSelectedPreset(presets) {
+  try {
+    const { preset } = JSON.parse(await readFile(SELECTION_FILE, "utf8"));
+    if (presets.presets.some((p) => p.id === preset)) return preset;
+  } catch {
+    // No selection yet
+  }
+  return presets.default;
+}
+
+export async function writeSelectedPreset(presets, id) {
+  const preset = getPreset(presets, id);
+  await mkdir(STATE_DIR, { recursive: true });
+  await writeFile(SELECTION_FILE, JSON.stringify({ preset: preset.id }, null, 2), "utf8");
+  return preset;
+}
+
+/**
+ * Suggest a preset from /api/benchmark hardware results.
+ *
+ * @param {object} results - Benchmark results ({gpu, system})
+ * @returns {{id: string, reason: string}}
+ */
+export function suggestPreset(results) {
+  const { gpu = {}, system = {} } = results;
+  const gpuText = `${gpu.renderer || ""} ${gpu.device || ""}`;
+  const ramGb = (system.ramKb || 0) / 1048576;
+
+  if (gpu.isSoftwareRenderer || gpu.isVirtual) {
+    return { id: "llvmpipe-vm", reason: "software renderer or virtual GPU detected" };
+  }
+  if (system.ramKb && system.ramKb < 4194304) {
+    return { id: "low-ram-laptop", reason: `only ${ramGb.toFixed(1)}GB RAM` };
+  }
+  if (/nvidia/i.test(gpuText) && !/nouveau/i.test(gpuText)) {
+    return { id: "nvidia-proprietary", reason: "NVIDIA GPU on the proprietary driver" };
+  }
+  if (ramGb >= 16 && (system.cpuCores || 0) >= 8) {
+    return {
+      id: "high-end-desktop",
+      reason: `${ramGb.toFixed(0)}GB RAM and ${system.cpuCores} cores`,
+    };
+  }
+  return { id: "mesa-hardware", reason: "hardware GPU on Mesa drivers" };
+}
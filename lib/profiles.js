@@ -0,0 +1,294 @@
+// Profile resolution — the single source of truth for every route.
+// Reads profiles.ini from each install root of an application target
+// (normal, Flatpak, Snap), honors IsRelative/absolute paths and
+// [Install<hash>] defaults, caches the result per target and drops the
+// cache when a profiles.ini changes on disk.
+
+import { readFile, readdir, readlink } from "fs/promises";
+import { existsSync, statSync, watch } from "fs";
+import path from "path";
+import { TARGETS, getTarget } from "./targets.js";
+
+// Error with an HTTP status so route handlers can pass it straight through
+export class ProfileError extends Error {
+  constructor(message, status = 404) {
+    super(message);
+    this.name = "ProfileError";
+    this.status = status;
+  }
+}
+
+const caches = new Map(); // target id -> { signature, profiles, defaultId }
+const watchers = new Map(); // root dir -> FSWatcher
+
+// Parse an INI file into [{ section, values }] — keys are kept verbatim
+export function parseIni(content) {
+  const sections = [];
+  let current = null;
+  for (const raw of content.split("\n")) {
+    const line = raw.trim();
+    if (!line || line.startsWith(";") || line.startsWith("#")) continue;
+    const header = line.match(/^\[(.+)\]$/);
+    if (header) {
+      current = { section: header[1], values: {} };
+      sections.push(current);
+    } else if (current && line.includes("=")) {
+      const idx = line.indexOf("=");
+      current.values[line.slice(0, idx).trim()] = line.slice(idx + 1).trim();
+    }
+  }
+  return sections;
+}
+
+// Resolve a profiles.ini Path= value (relative to the root unless IsRelative=0)
+function iniProfilePath(root, values) {
+  return values.IsRelative === "0"
+    ? path.resolve(values.Path)
+    : path.join(root.dir, values.Path);
+}
+
+// Parse one root's profiles.ini into profile entries + its default profile id
+function readRoot(target, root, content) {
+  const sections = parseIni(content);
+  const profiles = [];
+  let legacyDefault = null;
+
+  for (const { section, values } of sections) {
+    if (!section.startsWith("Profile") || !values.Path) continue;
+    const dir = iniProfilePath(root, values);
+    const profile = {
+      id: dir,
+      name: values.Name || values.Path,
+      path: dir,
+      target: target.id,
+      install: root.install,
+      root: root.dir,
+      isDefault: false,
+      exists: existsSync(dir),
+    };
+    profiles.push(profile);
+    if (values.Default === "1" && !legacyDefault) legacyDefault = profile;
+  }
+
+  // [Install<hash>] Default= is what Firefox 67+ actually launches; it uses the
+  // same Path= spelling as the [Profile] sections (relative or absolute)
+  const installDefault = sections
+    .filter((s) => s.section.startsWith("Install") && s.values.Default)
+    .map((s) =>
+      profiles.find(
+        (p) =>
+          p.path === iniProfilePath(root, { Path: s.values.Default }) ||
+          p.path === path.resolve(s.values.Default),
+      ),
+    )
+    .find((p) => p && p.exists);
+
+  const fallback =
+    legacyDefault?.exists
+      ? legacyDefault
+      : profiles.length === 1 && profiles[0].exists
+        ? profiles[0]
+        : null;
+  const chosen = installDefault || fallback;
+  if (chosen) chosen.isDefault = true;
+
+  return { profiles, defaultId: chosen?.id || null };
+}
+
+// mtime fingerprint of every profiles.ini — catches changes the watcher missed
+function iniSignature(target) {
+  return target.profileRoots.map((root) => {
+    try {
+      return statSync(`${root.dir}/profiles.ini`).mtimeMs;
+    } catch {
+      return 0;
+    }
+  }).join(":");
+}
+
+// Drop cached profile lists (one target, or all when omitted)
+export function invalidateProfiles(targetId) {
+  if (targetId) caches.delete(targetId);
+  else caches.clear();
+}
+
+// Watch each existing install root of every target for profiles.ini changes (idempotent)
+export function watchProfiles(onChange) {
+  for (const target of Object.values(TARGETS)) {
+    for (const root of target.profileRoots) {
+      watchRoot(target, root, onChange);
+    }
+  }
+}
+
+// Watch one install root — events for files other than profiles.ini are ignored
+function watchRoot(target, root, onChange) {
+  if (watchers.has(root.dir) || !existsSync(root.dir)) return;
+  try {
+    const watcher = watch(root.dir, (_event, filename) => {
+      if (filename && filename !== "profiles.ini") return;
+      invalidateProfiles(target.id);
+      if (onChange) onChange(root, target);
+    });
+    watcher.on("error", () => {
+      watcher.close();
+      watchers.delete(root.dir);
+    });
+    watcher.unref();
+    watchers.set(root.dir, watcher);
+  } catch (_err) {
+    // Watching is an optimization — the mtime signature still invalidates
+  }
+}
+
+// Load (or reuse) a target's profile list from every install root
+async function loadProfiles(target) {
+  const signature = iniSignature(target);
+  const cached = caches.get(target.id);
+  if (cached && cached.signature === signature) return cached;
+
+  const profiles = [];
+  let defaultId = null;
+  for (const root of target.profileRoots) {
+    const iniPath = `${root.dir}/profiles.ini`;
+    if (!existsSync(iniPath)) continue;
+    try {
+      const parsed = readRoot(target, root, await readFile(iniPath, "utf-8"));
+      profiles.push(...parsed.profiles);
+      if (!defaultId) defaultId = parsed.defaultId;
+    } catch (_err) {
+      continue;
+    }
+  }
+
+  // Only the overall default keeps isDefault — per-root defaults are demoted
+  for (const profile of profiles) profile.isDefault = profile.id === defaultId;
+
+  const entry = { signature, profiles, defaultId };
+  caches.set(target.id, entry);
+  return entry;
+}
+
+// All profiles of a target across install roots plus the id of the resolved default
+export async function listProfiles(targetId) {
+  const target = getTarget(targetId);
+  const { profiles, defaultId } = await loadProfiles(target);
+  return {
+    target: target.id,
+    profiles: profiles.map((p) => ({ ...p })),
+    defaultProfile: defaultId,
+  };
+}
+
+// Resolve a profile selector (id) — empty selector means the target's default profile
+export async function resolveProfile(selector, targetId) {
+  const target = getTarget(targetId);
+  const { profiles, defaultId } = await loadProfiles(target);
+
+  if (selector === undefined || selector === null || selector === "") {
+    const profile = profiles.find((p) => p.id === defaultId);
+    if (!profile) {
+      const installs = target.profileRoots.map((r) => r.install).join(", ");
+      throw new ProfileError(
+        `No ${target.name} profile found (checked ${installs})`,
+      );
+    }
+    return { ...profile };
+  }
+
+  if (typeof selector !== "string") {
+    throw new ProfileError("Profile selector must be a string", 400);
+  }
+  const profile = profiles.find((p) => p.id === selector);
+  if (!profile || !profile.exists) {
+    throw new ProfileError(
+      `Unknown ${target.name} profile (see /api/profiles?target=${target.id})`,
+    );
+  }
+  return { ...profile };
+}
+
+// Compact description of a profile for API responses
+export function describeProfile(profile) {
+  return {
+    id: profile.id,
+    name: profile.name,
+    path: profile.path,
+    target: profile.target,
+    install: profile.install,
+  };
+}
+
+// true if a PID exists (EPERM means it exists but belongs to another user)
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === "EPERM";
+  }
+}
+
+// Find a process holding <profile>/.parentlock open by scanning /proc/<pid>/fd
+async function findParentlockHolder(profileDir) {
+  const target = path.join(profileDir, ".parentlock");
+  let pids;
+  try {
+    pids = (await readdir("/proc")).filter((d) => /^\d+$/.test(d));
+  } catch {
+    return null;
+  }
+  for (const pid of pids) {
+    let fds;
+    try {
+      fds = await readdir(`/proc/${pid}/fd`);
+    } catch {
+      continue; // exited, or another user's process
+    }
+    for (const fd of fds) {
+      try {
+        if ((await readlink(`/proc/${pid}/fd/${fd}`)) === target) {
+          return parseInt(pid, 10);
+        }
+      } catch {
+        /* fd closed while scanning */
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Detect whether a running Firefox holds this profile.
+ *
+ * Firefox on Linux creates <profile>/lock as a symlink to "<ip>:+<pid>" and
+ * keeps an fcntl lock on <profile>/.parentlock. The symlink survives crashes,
+ * so its PID is checked for liveness; when there is no usable symlink we look
+ * for a process with .parentlock open.
+ *
+ * @param {string} profileDir - Absolute profile directory
+ * @returns {Promise<{locked: boolean, pid: number|null, source: string|null, stale: boolean}>}
+ */
+export async function getProfileLock(profileDir) {
+  let stale = false;
+  try {
+    const target = await readlink(path.join(profileDir, "lock"));
+    const match = target.match(/:\+?(\d+)$/);
+    if (match) {
+      const pid = parseInt(match[1], 10);
+      if (isProcessAlive(pid)) {
+        return { locked: true, pid, source: "lock", stale: false };
+      }
+      stale = true; // Firefox crashed or was killed — lock left behind
+    }
+  } catch {
+    /* no lock symlink — profile not open, or a non-Linux lock format */
+  }
+
+  if (existsSync(path.join(profileDir, ".parentlock"))) {
+    const pid = await findParentlockHolder(profileDir);
+    if (pid) return { locked: true, pid, source: ".parentlock", stale };
+  }
+
+  return { locked: false, pid: null, source: null, stale };
+}
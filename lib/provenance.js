@@ -0,0 +1,152 @@
+// Preference provenance — where a pref's value comes from. Collects every
+// layer Firefox consults: the build's default (omni.ja), enterprise policies
+// (the "Preferences" policy and policies that lock prefs), autoconfig
+// (mozilla.cfg), prefs.js and user.js, then works out which one wins and
+// whether a user.js change is still waiting for a restart.
+
+import { readFile } from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+import { parsePrefs, prefNodes } from "./prefs-parser.js";
+
+// Policies that set and lock prefs on their own (Firefox's Policies.sys.mjs)
+const POLICY_LOCKED_PREFS = {
+  DisableTelemetry: {
+    "datareporting.healthreport.uploadEnabled": false,
+    "datareporting.policy.dataSubmissionEnabled": false,
+    "toolkit.telemetry.archive.enabled": false,
+  },
+};
+
+const POLICY_STATUSES = ["default", "locked", "user", "clear"];
+
+// Autoconfig calls and the pref status each one sets
+const AUTOCONFIG_KINDS = { lockPref: "locked", defaultPref: "default", pref: "user", clearPref: "clear" };
+
+/**
+ * Prefs set through enterprise policies, first policies.json wins.
+ *
+ * @param {object} target - Entry of TARGETS (lib/targets.js)
+ * @returns {Promise<object>} pref -> {value, status: "default"|"locked"|"user"|"clear", policy, file}
+ */
+export async function readPolicyPrefs(target) {
+  const prefs = {};
+  for (const file of target.policyPaths) {
+    if (!existsSync(file)) continue;
+    let policies;
+    try {
+      policies = JSON.parse(await readFile(file, "utf8")).policies || {};
+    } catch {
+      continue; // Invalid JSON — Firefox skips it too
+    }
+
+    const set = (pref, entry) => {
+      if (!Object.hasOwn(prefs, pref)) prefs[pref] = { ...entry, file };
+    };
+    for (const [pref, setting] of Object.entries(policies.Preferences || {})) {
+      // Early policy versions took bare values, which are always locked
+      if (setting !== null && typeof setting === "object") {
+        const status = POLICY_STATUSES.includes(setting.Status) ? setting.Status : "default";
+        set(pref, { value: setting.Value ?? null, status, policy: "Preferences" });
+      } else {
+        set(pref, { value: setting, status: "locked", policy: "Preferences" });
+      }
+    }
+    for (const [policy, locked] of Object.entries(POLICY_LOCKED_PREFS)) {
+      if (!policies[policy]) continue;
+      for (const [pref, value] of Object.entries(locked)) {
+        set(pref, { value, status: "locked", policy });
+      }
+    }
+  }
+  return prefs;
+}
+
+/**
+ * Prefs set by autoconfig — the file named by general.config.filename in the
+ * install directory, de-obfuscated with general.config.obscure_value.
+ *
+ * @param {{installDir: string, values: object}|null} builtIn - loadFirefoxDefaults()
+ * @returns {Promise<object>} pref -> {value, status: "locked"|"default"|"user"|"clear", file}
+ */
+export async function readAutoconfigPrefs(builtIn) {
+  const filename = builtIn?.values["general.config.filename"];
+  if (typeof filename !== "string" || filename === "" || filename.includes("/")) return {};
+  const file = path.join(builtIn.installDir, filename);
+  if (!existsSync(file)) return {};
+
+  let buffer;
+  try {
+    buffer = await readFile(file);
+  } catch {
+    return {}; // Not readable by this user — the layer is skipped
+  }
+  const shift = builtIn.values["general.config.obscure_value"] ?? 13;
+  if (shift) buffer = Buffer.from(buffer.map((byte) => (byte - shift + 256) % 256));
+
+  // Autoconfig is JavaScript: calls with computed values (getenv(), ...) and
+  // other code are parse errors the parser skips
+  const prefs = {};
+  for (const node of prefNodes(parsePrefs(buffer.toString("utf8")), Object.keys(AUTOCONFIG_KINDS))) {
+    prefs[node.name] = { value: node.value, status: AUTOCONFIG_KINDS[node.kind], file };
+  }
+  return prefs;
+}
+
+/**
+ * Every layer for one pref and the value Firefox ends up with.
+ *
+ * @param {string} pref
+ * @param {object} sources
+ * @param {object} sources.defaults - Build defaults (pref -> value)
+ * @param {Set<string>} sources.lockedDefaults - Prefs locked in the build defaults
+ * @param {object} sources.policies - readPolicyPrefs()
+ * @param {object} sources.autoconfig - readAutoconfigPrefs()
+ * @param {object} sources.prefsJs - prefs.js values
+ * @param {object} sources.userJs - user.js values
+ * @param {boolean} sources.userJsNewer - user.js changed after prefs.js was written
+ * @returns {object} {pref, default, prefsJs, userJs, policy, autoconfig, locked,
+ *   lockedBy, effective: {value, source}, pendingRestart}
+ */
+export function describeProvenance(pref, sources) {
+  const pick = (values) => (Object.hasOwn(values, pref) ? values[pref] : null);
+  const policy = pick(sources.policies);
+  const autoconfig = pick(sources.autoconfig);
+  const prefsJs = pick(sources.prefsJs);
+  const userJs = pick(sources.userJs);
+
+  // Default layer: build default, overridden by policy and autoconfig defaults
+  let defaultValue = pick(sources.defaults);
+  let defaultSource = defaultValue === null ? null : "default";
+  if (policy?.status === "default") [defaultValue, defaultSource] = [policy.value, "policy"];
+  if (autoconfig?.status === "default") [defaultValue, defaultSource] = [autoconfig.value, "autoconfig"];
+
+  let lockedBy = null;
+  if (autoconfig?.status === "locked") lockedBy = "autoconfig";
+  else if (policy?.status === "locked") lockedBy = "policy";
+  else if (sources.lockedDefaults.has(pref)) lockedBy = "default";
+
+  let effective;
+  if (lockedBy === "autoconfig") effective = { value: autoconfig.value, source: "autoconfig" };
+  else if (lockedBy === "policy") effective = { value: policy.value, source: "policy" };
+  else if (lockedBy === "default") effective = { value: defaultValue, source: "default" };
+  else if (prefsJs !== null) effective = { value: prefsJs, source: "prefs.js" };
+  else effective = { value: defaultValue, source: defaultSource };
+
+  // A user.js value is applied at the next start unless something locks the pref
+  const pendingRestart =
+    sources.userJsNewer && userJs !== null && !lockedBy && userJs !== effective.value;
+
+  return {
+    pref,
+    default: pick(sources.defaults),
+    prefsJs,
+    userJs,
+    policy,
+    autoconfig,
+    locked: lockedBy !== null,
+    lockedBy,
+    effective,
+    pendingRestart,
+  };
+}
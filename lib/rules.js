@@ -0,0 +1,195 @@
+// Preference rules — cross-pref dependencies and hardware conditions layered
+// over the catalog (catalog/rules.json or $PREF_RULES). A rule fires when its
+// `when` pref is set (and matches); it then reports a finding if a `requires`
+// pref is set to a non-matching value, a `conflicts` pref matches, or a
+// detected hardware fact contradicts `onlyWhenHardware`. Unset prefs and
+// undetected facts are unknown and never produce findings.
+
+import { fileURLToPath } from "url";
+import { CatalogError, readCatalogFile } from "./catalog.js";
+import { checkValue } from "./pref-schema.js";
+import { HARDWARE_FACTS } from "./hardware.js";
+
+export const DEFAULT_RULES = fileURLToPath(
+  new URL("../catalog/rules.json", import.meta.url),
+);
+
+const TOP_LEVEL_FIELDS = ["$schema", "version", "rules"];
+const RULE_FIELDS = ["id", "when", "requires", "conflicts", "onlyWhenHardware", "message"];
+const MATCH_FIELDS = ["equals", "min", "max"];
+const ID_PATTERN = /^[a-z0-9-]+$/;
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+function catalogEntry(catalog, pref) {
+  for (const prefs of Object.values(catalog.categories)) {
+    if (Object.hasOwn(prefs, pref)) return prefs[pref];
+  }
+  return null;
+}
+
+// equals/min/max — every given bound must hold
+function matches(condition, value) {
+  if (condition.equals !== undefined && value !== condition.equals) return false;
+  if (condition.min !== undefined && !(value >= condition.min)) return false;
+  if (condition.max !== undefined && !(value <= condition.max)) return false;
+  return true;
+}
+
+// Problems in one condition — `key` is "pref" or "fact"
+function validateCondition(condition, key, where, catalog) {
+  if (!isObject(condition)) return [`${where}: must be an object`];
+  const problems = [];
+  for (const field of Object.keys(condition)) {
+    if (field !== key && !MATCH_FIELDS.includes(field)) {
+      problems.push(`${where}: unknown field "${field}"`);
+    }
+  }
+
+  const name = condition[key];
+  if (typeof name !== "string") return [...problems, `${where}: "${key}" must be a string`];
+  let numeric;
+  if (key === "pref") {
+    const entry = catalogEntry(catalog, name);
+    if (!entry) return [...problems, `${where}: "${name}" is not a catalog pref`];
+    numeric = entry.type === "int";
+    const invalid = condition.equals !== undefined && checkValue(entry, condition.equals);
+    if (invalid) problems.push(`${where}: "equals" ${invalid.message}`);
+  } else {
+    const type = HARDWARE_FACTS[name];
+    if (!type) {
+      return [
+        ...problems,
+        `${where}: unknown hardware fact "${name}" (expected one of: ${Object.keys(HARDWARE_FACTS).join(", ")})`,
+      ];
+    }
+    numeric = type === "number";
+    if (condition.equals !== undefined && typeof condition.equals !== (numeric ? "number" : "boolean")) {
+      problems.push(`${where}: "equals" must be a ${type}`);
+    }
+  }
+
+  for (const field of ["min", "max"]) {
+    if (condition[field] === undefined) continue;
+    if (!numeric) problems.push(`${where}: "${field}" only applies to numeric values`);
+    else if (typeof condition[field] !== "number") problems.push(`${where}: "${field}" must be a number`);
+  }
+  return problems;
+}
+
+// Schema checks plus: unique ids, conditions only on catalog prefs and known facts
+function validateRules(data, catalog) {
+  if (!isObject(data)) return ["rules file must be a JSON object"];
+  const problems = [];
+
+  for (const key of Object.keys(data)) {
+    if (!TOP_LEVEL_FIELDS.includes(key)) problems.push(`unknown field "${key}"`);
+  }
+  if (typeof data.version !== "string") problems.push('"version" must be a string');
+  if (!Array.isArray(data.rules)) return [...problems, '"rules" must be an array'];
+
+  const ids = new Set();
+  data.rules.forEach((rule, i) => {
+    const where = `rules[${i}]${rule?.id ? ` (${rule.id})` : ""}`;
+    if (!isObject(rule)) {
+      problems.push(`${where}: must be an object`);
+      return;
+    }
+    for (const key of Object.keys(rule)) {
+      if (!RULE_FIELDS.includes(key)) problems.push(`${where}: unknown field "${key}"`);
+    }
+    if (typeof rule.id !== "string" || !ID_PATTERN.test(rule.id)) {
+      problems.push(`${where}: "id" must match ${ID_PATTERN}`);
+    } else if (ids.has(rule.id)) {
+      problems.push(`${where}: duplicate id`);
+    } else {
+      ids.add(rule.id);
+    }
+    if (typeof rule.message !== "string" || rule.message === "") {
+      problems.push(`${where}: "message" must be a non-empty string`);
+    }
+
+    problems.push(...validateCondition(rule.when, "pref", `${where} › when`, catalog));
+    for (const [field, key] of [
+      ["requires", "pref"],
+      ["conflicts", "pref"],
+      ["onlyWhenHardware", "fact"],
+    ]) {
+      if (rule[field] === undefined) continue;
+      if (!Array.isArray(rule[field]) || rule[field].length === 0) {
+        problems.push(`${where}: "${field}" must be a non-empty array`);
+        continue;
+      }
+      rule[field].forEach((condition, j) => {
+        problems.push(
+          ...validateCondition(condition, key, `${where} › ${field}[${j}]`, catalog),
+        );
+      });
+    }
+    if (!rule.requires && !rule.conflicts && !rule.onlyWhenHardware) {
+      problems.push(`${where}: needs "requires", "conflicts" or "onlyWhenHardware"`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * Load and validate the rules file against an already-loaded catalog.
+ *
+ * @param {object} catalog - Result of loadCatalog()
+ * @param {string} [file] - Rules path (defaults to $PREF_RULES, then catalog/rules.json)
+ * @returns {{version: string, source: string, rules: object[]}}
+ * @throws {CatalogError} listing every schema or integrity problem
+ */
+export function loadRules(catalog, file = process.env.PREF_RULES || DEFAULT_RULES) {
+  const { source, data, problems } = readCatalogFile(file);
+  problems.push(...validateRules(data, catalog));
+  if (problems.length > 0) throw new CatalogError(source, problems);
+
+  return { version: data.version, source, rules: data.rules };
+}
+
+/**
+ * Evaluate the rules against a set of pref values.
+ *
+ * @param {object} rules - Result of loadRules()
+ * @param {object} values - Pref name -> typed value (from user.js or prefs.js)
+ * @param {object|null} [facts] - hardwareFacts() result; null skips hardware conditions
+ * @returns {{rule: string, pref: string, related: string[], message: string}[]}
+ */
+export function evaluateRules(rules, values, facts = null) {
+  const findings = [];
+  for (const rule of rules.rules) {
+    const value = values[rule.when.pref];
+    if (value === undefined || !matches(rule.when, value)) continue;
+
+    const related = [];
+    let violated = false;
+    for (const condition of rule.requires || []) {
+      const other = values[condition.pref];
+      if (other !== undefined && !matches(condition, other)) {
+        related.push(condition.pref);
+        violated = true;
+      }
+    }
+    for (const condition of rule.conflicts || []) {
+      const other = values[condition.pref];
+      if (other !== undefined && matches(condition, other)) {
+        related.push(condition.pref);
+        violated = true;
+      }
+    }
+    for (const condition of rule.onlyWhenHardware || []) {
+      const fact = facts?.[condition.fact];
+      if (fact !== null && fact !== undefined && !matches(condition, fact)) {
+        violated = true;
+      }
+    }
+
+    if (violated) {
+      findings.push({ rule: rule.id, pref: rule.when.pref, related, message: rule.message });
+    }
+  }
+  return findings;
+}
@@ -0,0 +1,4 @@
+// Tuner state lives outside any profile so it survives profile deletion
+// and never ends up in a Firefox sync or backup.
+
+export const STATE_DIR = `${process.env.HOME}/.cache/firefox-hud`;
@@ -0,0 +1,203 @@
+// Application targets — Gecko products that share the prefs.js/user.js system.
+// Each target knows where its profiles live (normal, Flatpak, Snap), which
+// binaries and install paths identify its processes, and where it reads
+// enterprise policies from.
+
+import { existsSync } from "fs";
+
+const HOME = process.env.HOME;
+
+export const DEFAULT_TARGET = "firefox";
+
+export const TARGETS = {
+  firefox: {
+    id: "firefox",
+    name: "Firefox",
+    isBrowser: true,
+    profileRoots: [
+      { install: "normal", dir: `${HOME}/.mozilla/firefox` },
+      {
+        install: "flatpak",
+        dir: `${HOME}/.var/app/org.mozilla.firefox/.mozilla/firefox`,
+      },
+      { install: "snap", dir: `${HOME}/snap/firefox/common/.mozilla/firefox` },
+    ],
+    binaries: ["firefox", "firefox-bin", "firefox-esr"],
+    installDirs: [
+      "/usr/lib64/firefox",
+      "/usr/lib/firefox",
+      "/usr/lib/firefox-esr",
+      "/opt/firefox",
+      "/snap/firefox/current/usr/lib/firefox",
+      "/var/lib/flatpak/app/org.mozilla.firefox/current/active/files/lib/firefox",
+    ],
+    processPaths: [
+      "/usr/lib64/firefox/",
+      "/usr/lib/firefox/",
+      "/usr/lib/firefox-esr/",
+      "/opt/firefox/",
+      "/app/lib/firefox/",
+      "/snap/firefox/",
+    ],
+    policyDir: "/etc/firefox/policies",
+    policyPaths: [
+      "/etc/firefox/policies/policies.json",
+      "/usr/lib64/firefox/distribution/policies.json",
+      "/usr/lib/firefox/distribution/policies.json",
+    ],
+  },
+  librewolf: {
+    id: "librewolf",
+    name: "LibreWolf",
+    isBrowser: true,
+    profileRoots: [
+      { install: "normal", dir: `${HOME}/.librewolf` },
+      {
+        install: "flatpak",
+        dir: `${HOME}/.var/app/io.gitlab.librewolf-community/.librewolf`,
+      },
+    ],
+    binaries: ["librewolf", "librewolf-bin"],
+    installDirs: ["/usr/lib/librewolf", "/usr/lib64/librewolf", "/opt/librewolf"],
+    processPaths: [
+      "/usr/lib/librewolf/",
+      "/usr/lib64/librewolf/",
+      "/opt/librewolf/",
+      "/app/lib/librewolf/",
+    ],
+    policyDir: "/etc/librewolf/policies",
+    policyPaths: [
+      "/etc/librewolf/policies/policies.json",
+      "/usr/lib/librewolf/distribution/policies.json",
+      "/usr/lib64/librewolf/distribution/policies.json",
+    ],
+  },
+  floorp: {
+    id: "floorp",
+    name: "Floorp",
+    isBrowser: true,
+    profileRoots: [
+      { install: "normal", dir: `${HOME}/.floorp` },
+      { install: "flatpak", dir: `${HOME}/.var/app/one.ablaze.floorp/.floorp` },
+    ],
+    binaries: ["floorp", "floorp-bin"],
+    installDirs: ["/usr/lib/floorp", "/usr/lib64/floorp", "/opt/floorp"],
+    processPaths: [
+      "/usr/lib/floorp/",
+      "/usr/lib64/floorp/",
+      "/opt/floorp/",
+      "/app/floorp/",
+      "/app/lib/floorp/",
+    ],
+    policyDir: "/etc/floorp/policies",
+    policyPaths: [
+      "/etc/floorp/policies/policies.json",
+      "/usr/lib/floorp/distribution/policies.json",
+      "/opt/floorp/distribution/policies.json",
+    ],
+  },
+  waterfox: {
+    id: "waterfox",
+    name: "Waterfox",
+    isBrowser: true,
+    profileRoots: [
+      { install: "normal", dir: `${HOME}/.waterfox` },
+      {
+        install: "flatpak",
+        dir: `${HOME}/.var/app/net.waterfox.waterfox/.waterfox`,
+      },
+    ],
+    binaries: ["waterfox", "waterfox-bin"],
+    installDirs: ["/usr/lib/waterfox", "/usr/lib64/waterfox", "/opt/waterfox"],
+    processPaths: [
+      "/usr/lib/waterfox/",
+      "/usr/lib64/waterfox/",
+      "/opt/waterfox/",
+      "/app/waterfox/",
+      "/app/lib/waterfox/",
+    ],
+    policyDir: "/etc/waterfox/policies",
+    policyPaths: [
+      "/etc/waterfox/policies/policies.json",
+      "/usr/lib/waterfox/distribution/policies.json",
+      "/opt/waterfox/distribution/policies.json",
+    ],
+  },
+  thunderbird: {
+    id: "thunderbird",
+    name: "Thunderbird",
+    isBrowser: false,
+    profileRoots: [
+      { install: "normal", dir: `${HOME}/.thunderbird` },
+      {
+        install: "flatpak",
+        dir: `${HOME}/.var/app/org.mozilla.Thunderbird/.thunderbird`,
+      },
+      { install: "snap", dir: `${HOME}/snap/thunderbird/common/.thunderbird` },
+    ],
+    binaries: ["thunderbird", "thunderbird-bin"],
+    installDirs: [
+      "/usr/lib64/thunderbird",
+      "/usr/lib/thunderbird",
+      "/opt/thunderbird",
+      "/snap/thunderbird/current/usr/lib/thunderbird",
+    ],
+    processPaths: [
+      "/usr/lib64/thunderbird/",
+      "/usr/lib/thunderbird/",
+      "/opt/thunderbird/",
+      "/app/lib/thunderbird/",
+      "/snap/thunderbird/",
+    ],
+    policyDir: "/etc/thunderbird/policies",
+    policyPaths: [
+      "/etc/thunderbird/policies/policies.json",
+      "/usr/lib64/thunderbird/distribution/policies.json",
+      "/usr/lib/thunderbird/distribution/policies.json",
+    ],
+  },
+};
+
+// Error with an HTTP status so route handlers can pass it straight through
+export class TargetError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "TargetError";
+    this.status = status;
+  }
+}
+
+// Look up a target by id — empty selector means the default (Firefox)
+export function getTarget(selector) {
+  if (selector === undefined || selector === null || selector === "") {
+    return TARGETS[DEFAULT_TARGET];
+  }
+  if (typeof selector !== "string" || !Object.hasOwn(TARGETS, selector)) {
+    throw new TargetError(
+      `Unknown application target (expected one of: ${Object.keys(TARGETS).join(", ")})`,
+    );
+  }
+  return TARGETS[selector];
+}
+
+// true if a ps "args" line belongs to this target (install path or binary name)
+export function matchesProcess(target, args) {
+  if (target.processPaths.some((p) => args.includes(p))) return true;
+  const argv0 = args.split(/\s+/)[0] || "";
+  return target.binaries.includes(argv0.split("/").pop());
+}
+
+// Public description of every target, flagging the ones present on this machine
+export function describeTargets() {
+  return Object.values(TARGETS).map((target) => ({
+    id: target.id,
+    name: target.name,
+    isBrowser: target.isBrowser,
+    installed:
+      target.installDirs.some((dir) => existsSync(dir)) ||
+      target.profileRoots.some((root) => existsSync(root.dir)),
+    profileRoots: target.profileRoots,
+    binaries: target.binaries,
+    policyPaths: target.policyPaths,
+  }));
+}
@@ -0,0 +1,147 @@
+// Disposable test profiles — try a candidate user.js in a throwaway profile
+// under STATE_DIR before it touches the real one. Only prefs.js is cloned;
+// history, cookies, logins and sessions stay behind.
+
+import { readFile, writeFile, readdir, copyFile, mkdir, rm } from "fs/promises";
+import { existsSync } from "fs";
+import { spawn } from "child_process";
+import { randomUUID } from "crypto";
+import path from "path";
+import { STATE_DIR } from "./state.js";
+import { getTarget } from "./targets.js";
+
+export const TEST_PROFILE_DIR = `${STATE_DIR}/test-profiles`;
+
+const META_FILE = "firefox-hud-test.json";
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+// Error with an HTTP status so route handlers can pass it straight through
+export class TestProfileError extends Error {
+  constructor(message, status = 404) {
+    super(message);
+    this.name = "TestProfileError";
+    this.status = status;
+  }
+}
+
+function testProfilePath(id) {
+  if (typeof id !== "string" || !ID_PATTERN.test(id)) {
+    throw new TestProfileError("Invalid test profile id", 400);
+  }
+  return path.join(TEST_PROFILE_DIR, id);
+}
+
+async function writeMeta(dir, meta) {
+  await writeFile(path.join(dir, META_FILE), JSON.stringify(meta, null, 2), "utf8");
+}
+
+/**
+ * Clone a profile's prefs into a fresh test profile and write the candidate user.js.
+ *
+ * @param {object} source - Resolved profile from lib/profiles.js
+ * @param {string} content - Candidate user.js
+ * @returns {Promise<object>} Test profile metadata
+ */
+export async function createTestProfile(source, content) {
+  const id = randomUUID();
+  const dir = testProfilePath(id);
+  await mkdir(dir, { recursive: true, mode: 0o700 });
+
+  try {
+    const prefsPath = path.join(source.path, "prefs.js");
+    if (existsSync(prefsPath)) {
+      await copyFile(prefsPath, path.join(dir, "prefs.js"));
+    }
+    await writeFile(path.join(dir, "user.js"), content, "utf8");
+
+    const meta = {
+      id,
+      path: dir,
+      target: source.target,
+      source: { id: source.id, name: source.name, path: source.path },
+      createdAt: new Date().toISOString(),
+      pid: null,
+    };
+    await writeMeta(dir, meta);
+    return meta;
+  } catch (error) {
+    await rm(dir, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+// Metadata of one test profile (404 if it was discarded)
+export async function getTestProfile(id) {
+  const dir = testProfilePath(id);
+  try {
+    return JSON.parse(await readFile(path.join(dir, META_FILE), "utf8"));
+  } catch {
+    throw new TestProfileError("Unknown test profile (see /api/test-profiles)");
+  }
+}
+
+// Every test profile still on disk, newest first
+export async function listTestProfiles() {
+  let entries;
+  try {
+    entries = await readdir(TEST_PROFILE_DIR);
+  } catch {
+    return [];
+  }
+  const profiles = [];
+  for (const id of entries.filter((e) => ID_PATTERN.test(e))) {
+    try {
+      profiles.push(await getTestProfile(id));
+    } catch {
+      continue; // half-created or hand-edited — ignore
+    }
+  }
+  return profiles.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// The candidate user.js held by a test profile
+export async function readTestUserJs(id) {
+  const meta = await getTestProfile(id);
+  return readFile(path.join(meta.path, "user.js"), "utf8");
+}
+
+/**
+ * Launch the target application on a test profile.
+ *
+ * -no-remote keeps it from handing off to an already running instance of the
+ * real profile; resolves once the process has spawned (rejects on ENOENT).
+ */
+export async function launchTestProfile(id) {
+  const meta = await getTestProfile(id);
+  const target = getTarget(meta.target);
+  const args = ["-profile", meta.path, "-no-remote"];
+  if (target.isBrowser) args.push("http://localhost:3000");
+
+  const proc = spawn(target.binaries[0], args, {
+    detached: true,
+    stdio: "ignore",
+  });
+  await new Promise((resolve, reject) => {
+    proc.once("spawn", resolve);
+    proc.once("error", (error) =>
+      reject(
+        new TestProfileError(
+          `Could not launch ${target.name}: ${error.code || error.message}`,
+          500,
+        ),
+      ),
+    );
+  });
+  proc.unref();
+
+  meta.pid = proc.pid;
+  await writeMeta(meta.path, meta);
+  return meta;
+}
+
+// Delete a test profile directory (caller closes any instance running on it first)
+export async function removeTestProfile(id) {
+  const meta = await getTestProfile(id);
+  await rm(meta.path, { recursive: true, force: true });
+  return meta;
+}
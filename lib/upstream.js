@@ -0,0 +1,168 @@
+// Upstream user.js import — parses a Betterfox or arkenfox user.js into
+// catalog-shaped entries (type, expected, description from its comments) and
+// compares them three ways: upstream vs our catalog vs the profile's user.js,
+// so new or changed upstream prefs can be adopted selectively.
+
+import { prefType } from "./pref-schema.js";
+import { parsePrefs, prefNodes } from "./prefs-parser.js";
+
+// Betterfox "/** GENERAL ***/", arkenfox "/*** [SECTION 0100]: STARTUP ***/"
+const GROUP_HEADING = /^\/\*\*\*?\s*(.+?)\s*\*\*\*\/$/;
+// Betterfox " * SECTION: FASTFOX  *"
+const SECTION_HEADING = /^\*\s*SECTION:\s*(.+?)\s*\*?$/;
+
+export const UPSTREAM_PROJECTS = {
+  betterfox: { name: "Betterfox", marker: /betterfox/i },
+  arkenfox: { name: "arkenfox", marker: /arkenfox/i },
+};
+
+// First meaningful line of a comment block ("0102: set startup page [SETUP-CHROME]")
+function summarize(commentLines) {
+  for (const raw of commentLines) {
+    const text = raw
+      .replace(/^\/\*+|\*+\/$/g, "")
+      .replace(/^\s*\*+\s?/, "")
+      .replace(/^\/\/\s*/, "")
+      .replace(/^PREF:\s*/i, "")
+      .trim();
+    if (text && !/^[*=\-/]+$/.test(text) && !/^\[\d+\]\s*https?:/.test(text)) return text;
+  }
+  return "";
+}
+
+/**
+ * Parse an upstream user.js.
+ *
+ * @param {string} content
+ * @returns {{project: string|null, name: string, version: string|null, entries: object[], inactive: number}}
+ *   entries: {pref, value, type, description, section, line}; commented-out
+ *   prefs are only counted in `inactive`
+ */
+export function parseUpstreamUserJs(content) {
+  const lines = content.split(/\r?\n/);
+  const header = lines.slice(0, 40).join("\n");
+  const project =
+    Object.keys(UPSTREAM_PROJECTS).find((id) => UPSTREAM_PROJECTS[id].marker.test(header)) ||
+    null;
+  const version = header.match(/version:\s*([\w.-]+)/i)?.[1] || null;
+
+  const entries = new Map(); // later definitions win, as in Firefox
+  let inactive = 0;
+  let section = null;
+  let group = null;
+  let comment = []; // comment lines directly above the current pref(s)
+  let previous = null;
+
+  for (const node of parsePrefs(content).nodes) {
+    // A blank line ends the comment block describing the next pref
+    if (previous && node.line - previous.endLine > 1) comment = [];
+    const prev = previous;
+    previous = node;
+
+    if (node.type === "pref") {
+      if (node.kind !== "user_pref" || node.name.startsWith("_user.js")) continue; // arkenfox parrot
+      entries.set(node.name, {
+        pref: node.name,
+        value: node.value,
+        type: prefType(node.value),
+        description: node.trailingComment?.trim() || summarize(comment),
+        section: [section, group].filter(Boolean).join(" › ") || null,
+        line: node.line,
+      });
+      continue;
+    }
+
+    const raw = content.slice(node.start, node.end).trim();
+    if (node.style === "block") {
+      const heading = node.line === node.endLine && raw.match(GROUP_HEADING);
+      if (heading) {
+        group = heading[1];
+        comment = [];
+        continue;
+      }
+      comment = raw.split(/\r?\n/).map((line) => line.trim());
+      for (const line of comment) {
+        const sectionHeading = line.match(SECTION_HEADING);
+        if (sectionHeading) {
+          section = sectionHeading[1];
+          group = null;
+        }
+      }
+    } else if (node.style === "line") {
+      if (prev?.type === "pref" && prev.endLine === node.line) continue; // trailing comment
+      const commentedOut = node.text.startsWith("user_pref(") && prefNodes(parsePrefs(node.text), ["user_pref"]).length;
+      if (commentedOut) inactive++;
+      else comment.push(raw);
+    }
+  }
+
+  return {
+    project,
+    name: project ? UPSTREAM_PROJECTS[project].name : "Unknown user.js",
+    version,
+    entries: [...entries.values()],
+    inactive,
+  };
+}
+
+// Catalog entry for an upstream pref, ready to paste into catalog/prefs.json
+function toCatalogEntry(entry, label) {
+  return {
+    type: entry.type,
+    expected: entry.value,
+    description: `${entry.description || entry.section || entry.pref} (${label})`,
+  };
+}
+
+/**
+ * Three-way comparison of upstream entries, catalog categories and user.js values.
+ *
+ * @param {object[]} entries - parseUpstreamUserJs().entries
+ * @param {object} categories - Catalog categories (preset applied)
+ * @param {object} userJsValues - Pref name -> typed value from the profile's user.js
+ * @param {string} label - Upstream name for catalog descriptions ("Betterfox v146")
+ * @returns {object[]} rows sorted by status then pref:
+ *   {pref, status: "new"|"changed"|"same"|"catalog-only", upstream, catalog, userJs}
+ */
+export function compareUpstream(entries, categories, userJsValues, label) {
+  const catalog = new Map();
+  for (const [category, prefs] of Object.entries(categories)) {
+    for (const [pref, entry] of Object.entries(prefs)) {
+      catalog.set(pref, { value: entry.expected, category });
+    }
+  }
+
+  const rows = entries.map((entry) => {
+    const ours = catalog.get(entry.pref) || null;
+    return {
+      pref: entry.pref,
+      status: !ours ? "new" : ours.value === entry.value ? "same" : "changed",
+      upstream: {
+        value: entry.value,
+        description: entry.description,
+        section: entry.section,
+        line: entry.line,
+        catalogEntry: toCatalogEntry(entry, label),
+      },
+      catalog: ours,
+      userJs: Object.hasOwn(userJsValues, entry.pref) ? userJsValues[entry.pref] : null,
+    };
+  });
+
+  const upstreamPrefs = new Set(entries.map((entry) => entry.pref));
+  for (const [pref, ours] of catalog) {
+    if (upstreamPrefs.has(pref)) continue;
+    rows.push({
+      pref,
+      status: "catalog-only",
+      upstream: null,
+      catalog: ours,
+      userJs: Object.hasOwn(userJsValues, pref) ? userJsValues[pref] : null,
+    });
+  }
+
+  const order = ["new", "changed", "same", "catalog-only"];
+  return rows.sort(
+    (a, b) => order.indexOf(a.status) - order.indexOf(b.status) || a.pref.localeCompare(b.pref),
+  );
+}
@@ -1,6 +1,7 @@
 #!/bin/bash
 # Firefox Ignored Preferences Fixer
-# Identifies and removes preferences that Firefox 147 ignores
+# Identifies and removes preferences that Firefox ignores (removed or locked
+# prefs, as recorded in catalog/prefs.json)
 # Created: 2026-02-15
 # Session: Firefox Performance Tuner - Preference Investigation
 
@@ -11,18 +12,9 @@ set -euo pipefail
 # Profile path (auto-detected, but you can override)
 PROFILE_PATH="${FIREFOX_PROFILE:-$HOME/.mozilla/firefox/6nxwkfvn.default-release}"
 
-# Preferences that Firefox 147 is ignoring (found via inspection)
-# These are in user.js but NOT in prefs.js after Firefox restart
-IGNORED_PREFS=(
-  "browser.cache.memory.enable"           # Reason: Default is already 'true', no need to set
-  "media.rdd-process.enabled"             # Reason: Always enabled in Firefox 147, not user-configurable
-  "media.av1.enabled"                     # Reason: Always enabled in Firefox 147, not user-configurable
-  "media.navigator.mediadatadecoder_vpx_enabled"  # Reason: Preference removed in Firefox 147
-  "media.autoplay.blocking_policy"        # Reason: Controlled by UI, user.js override disabled
-  "media.videocontrols.picture-in-picture.enabled"  # Reason: Always enabled, not user-configurable
-  "dom.timeout.throttling_delay"          # Reason: Preference removed or renamed in Firefox 147
-  "toolkit.telemetry.enabled"             # Reason: LOCKED by Mozilla in Beta/Nightly builds (Bugzilla #1422689)
-)
+# Preference catalog (same file the server loads)
+TUNER_DIR="$(dirname "$(dirname "$(readlink -f "$0")")")"
+CATALOG="${PREF_CATALOG:-$TUNER_DIR/catalog/prefs.json}"
 
 # Action to take: 'remove' or 'comment'
 ACTION="${FIX_ACTION:-comment}"  # Default: comment out (safer)
@@ -42,6 +34,24 @@ if [[ ! -f "$USER_JS" ]]; then
   exit 1
 fi
 
+if [[ ! -f "$CATALOG" ]]; then
+  echo "ERROR: preference catalog not found at $CATALOG"
+  exit 1
+fi
+
+# Preferences Firefox ignores: catalog "removed" entries with removedIn/lockedIn
+mapfile -t IGNORED_PREFS < <(node -e '
+  const { removed = [] } = JSON.parse(require("fs").readFileSync(process.argv[1], "utf8"));
+  for (const entry of removed) {
+    if (entry.removedIn || entry.lockedIn) console.log(entry.pref);
+  }
+' "$CATALOG")
+
+if [[ ${#IGNORED_PREFS[@]} -eq 0 ]]; then
+  echo "No ignored preferences listed in $CATALOG"
+  exit 0
+fi
+
 # Create backup
 echo "Creating backup: $BACKUP"
 cp "$USER_JS" "$BACKUP"
@@ -59,7 +69,7 @@ for pref in "${IGNORED_PREFS[@]}"; do
       echo "  → Removed"
     elif [[ "$ACTION" == "comment" ]]; then
       # Comment out the line
-      sed -i "s|^user_pref(\"$pref\"|// IGNORED BY FIREFOX 147: user_pref(\"$pref\"|" "$USER_JS"
+      sed -i "s|^user_pref(\"$pref\"|// IGNORED BY FIREFOX: user_pref(\"$pref\"|" "$USER_JS"
       echo "  → Commented out"
     fi
   fi
@@ -73,7 +83,6 @@ echo ""
 
 # Restart the tuner server to pick up changes
 echo "=== Restarting Firefox Performance Tuner Server ==="
-TUNER_DIR="$(dirname "$(dirname "$(readlink -f "$0")")")"
 cd "$TUNER_DIR"
 
 # Kill existing server
@@ -105,7 +114,7 @@ echo ""
 echo "=== Next Steps ==="
 echo "1. Restart Firefox (close and reopen)"
 echo "2. Hard refresh the tuner page: Ctrl+Shift+R"
-echo "3. Issue count should drop from 8 to 0"
+echo "3. Issue count should drop by ${#IGNORED_PREFS[@]} or fewer"
 echo ""
 echo "To undo: cp $BACKUP $USER_JS && restart Firefox"
 
@@ -3,6 +3,9 @@
 # Uses Firefox's prefs.js to check actual runtime values
 # Created: 2026-02-15
 # Session: Firefox Performance Tuner - Cache Issue Investigation
+#
+# The server now does this for every user.js pref of any profile:
+#   GET /api/ignored-prefs?profile=<id>   (fix: POST /api/ignored-prefs/fix)
 
 set -euo pipefail
 
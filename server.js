@@ -1,13 +1,115 @@
 import express from "express";
 import { execFile, spawn } from "child_process";
 import { promisify } from "util";
-import { readFile, writeFile, copyFile, readdir, unlink } from "fs/promises";
+import { readFile, writeFile, readdir, stat, unlink } from "fs/promises";
 import { existsSync, readdirSync, statSync } from "fs";
 import path from "path";
 import { tmpdir } from "os";
 import helmet from "helmet";
 import rateLimit from "express-rate-limit";
 import { diffLines } from "diff";
+import {
+  listProfiles,
+  resolveProfile,
+  describeProfile,
+  getProfileLock,
+  watchProfiles,
+} from "./lib/profiles.js";
+import {
+  getTarget,
+  matchesProcess,
+  describeTargets,
+} from "./lib/targets.js";
+import { STATE_DIR } from "./lib/state.js";
+import {
+  loadCatalog,
+  findCatalogEntry,
+  findPrefSchema,
+  versionStatus,
+} from "./lib/catalog.js";
+import {
+  coerceValue,
+  checkValue,
+  checkUntypedValue,
+  serializeValue,
+  PREF_NAME_PATTERN,
+} from "./lib/pref-schema.js";
+import {
+  parsePrefs,
+  prefNodes,
+  prefValues,
+  setPrefValue,
+  removeNode,
+  commentOutNode,
+  printPrefs,
+} from "./lib/prefs-parser.js";
+import {
+  ManagedBlockError,
+  commentText,
+  findManagedBlock,
+  renderManagedBlock,
+  replaceManagedBlock,
+  updateManagedPrefs,
+  findOverrides,
+} from "./lib/managed-block.js";
+import { detectAppVersion } from "./lib/app-version.js";
+import { loadFirefoxDefaults } from "./lib/firefox-defaults.js";
+import {
+  readPolicyPrefs,
+  readAutoconfigPrefs,
+  describeProvenance,
+} from "./lib/provenance.js";
+import { detectHardware, hardwareFacts } from "./lib/hardware.js";
+import { loadRules, evaluateRules } from "./lib/rules.js";
+import { parseUpstreamUserJs, compareUpstream } from "./lib/upstream.js";
+import {
+  IgnoredPrefsError,
+  IGNORED_KINDS,
+  FIX_ACTIONS,
+  findIgnoredPrefs,
+  fixIgnoredPrefs,
+} from "./lib/ignored-prefs.js";
+import {
+  initCustomCategories,
+  getCustomCategories,
+  mergeCustomCategories,
+  createCategory,
+  renameCategory,
+  deleteCategory,
+  setCustomPref,
+  deleteCustomPref,
+} from "./lib/custom-prefs.js";
+import {
+  loadPresets,
+  getPreset,
+  applyPreset,
+  readSelectedPreset,
+  writeSelectedPreset,
+  suggestPreset,
+} from "./lib/presets.js";
+import { packBundle, unpackBundle } from "./lib/bundles.js";
+import { formatUserJs } from "./lib/prefs-format.js";
+import {
+  BACKUP_NAME,
+  BackupError,
+  rotateBackups,
+  listBackups,
+  readBackup,
+  readVerifiedBackup,
+  recordBackup,
+  readSnapshot,
+  pinBackup,
+  readRetention,
+  writeRetention,
+} from "./lib/backups.js";
+import {
+  createTestProfile,
+  getTestProfile,
+  listTestProfiles,
+  readTestUserJs,
+  launchTestProfile,
+  removeTestProfile,
+} from "./lib/test-profiles.js";
 
 const execFileAsync = promisify(execFile);
 
@@ -62,286 +164,32 @@ const limiter = rateLimit({
 });
 app.use("/api/", limiter);
 
-const MOZILLA_DIR = `${process.env.HOME}/.mozilla/firefox`;
-const STATE_DIR = `${process.env.HOME}/.cache/firefox-hud`;
-
-// Categorized preferences with descriptions
-// Sources: Betterfox v146, ArchWiki Firefox/Tweaks (Jan 2026), Mozilla docs
-// Optimized for: VM with llvmpipe (software rendering), 8GB RAM, 2 cores
-const PREF_CATEGORIES = {
-  "GPU & Rendering": {
-    "gfx.webrender.all": {
-      expected: "true",
-      description:
-        "Force WebRender for all content — GPU-accelerated 2D rendering (Betterfox)",
-    },
-    "gfx.webrender.software": {
-      expected: "true",
-      description:
-        "Enable Software WebRender — required when hardware GPU is unavailable (llvmpipe/VM)",
-    },
-    "gfx.canvas.accelerated.cache-items": {
-      expected: "32768",
-      description:
-        "Increase accelerated canvas cache items for smoother rendering (Betterfox)",
-    },
-    "gfx.canvas.accelerated.cache-size": {
-      expected: "4096",
-      description: "Increase accelerated canvas cache size in MB (Betterfox)",
-    },
-    "gfx.content.skia-font-cache-size": {
-      expected: "32",
-      description:
-        "Increase Skia font cache — reduces font re-rasterization (Betterfox)",
-    },
-    "image.cache.size": {
-      expected: "10485760",
-      description:
-        "Increase decoded image cache to 10MB — fewer re-decodes (Betterfox)",
-    },
-    "image.mem.decode_bytes_at_a_time": {
-      expected: "65536",
-      description:
-        "Decode images in 64KB chunks instead of 16KB — faster loading (Betterfox)",
-    },
-  },
-  "Cache & Memory": {
-    "browser.cache.disk.enable": {
-      expected: "false",
-      description:
-        "Disable disk cache — eliminates frequent disk writes, use memory only (Betterfox/ArchWiki)",
-    },
-    // REMOVED: browser.cache.memory.enable - Firefox 147 ignores this (default is already true)
-    "browser.cache.memory.capacity": {
-      expected: "131072",
-      description:
-        "Set memory cache to 128MB — default auto-select uses decade-old table (Betterfox)",
-    },
-    "browser.cache.memory.max_entry_size": {
-      expected: "20480",
-      description:
-        "Allow up to 20MB per cache entry — prevents large resources from bypassing cache (Betterfox)",
-    },
-    "browser.sessionhistory.max_total_viewers": {
-      expected: "4",
-      description:
-        "Keep 4 pages in back/forward cache — balance between memory and speed (Betterfox)",
-    },
-    "browser.privatebrowsing.forceMediaMemoryCache": {
-      expected: "true",
-      description:
-        "Force media to use memory cache — avoids disk writes for media (Betterfox)",
-    },
-  },
-  Media: {
-    "media.memory_cache_max_size": {
-      expected: "262144",
-      description:
-        "Increase media memory cache to 256MB — smoother video playback (Betterfox)",
-    },
-    "media.memory_caches_combined_limit_kb": {
-      expected: "1048576",
-      description:
-        "Combined media cache limit 1GB — prevents cache eviction during streaming (Betterfox)",
-    },
-    "media.cache_readahead_limit": {
-      expected: "600",
-      description:
-        "Read ahead 600 seconds of media — fewer buffering stalls (Betterfox)",
-    },
-    "media.cache_resume_threshold": {
-      expected: "300",
-      description:
-        "Resume caching when buffer drops below 300s — prevents buffer underruns (Betterfox)",
-    },
-    "media.ffvpx.enabled": {
-      expected: "true",
-      description:
-        "Enable software video decoding (ffvpx) — required when no hardware VA-API",
-    },
-    "media.ffmpeg.vaapi.enabled": {
-      expected: "true",
-      description:
-        "Enable VA-API hardware video decoding — eliminates spinning wheel during video playback",
-    },
-    // REMOVED: media.rdd-process.enabled - Always enabled in Firefox 147, not user-configurable
-    // REMOVED: media.av1.enabled - Always enabled in Firefox 147, not user-configurable
-    // REMOVED: media.navigator.mediadatadecoder_vpx_enabled - Removed in Firefox 147
-    // REMOVED: media.autoplay.blocking_policy - Controlled by UI, user.js override disabled
-    "media.block-autoplay-until-in-foreground": {
-      expected: "false",
-      description:
-        "Don't wait for foreground to play video — reduces buffering delays",
-    },
-    "media.suspend-bkgnd-video.enabled": {
-      expected: "true",
-      description:
-        "Suspend background video playback — saves CPU/battery when tab not visible",
-    },
-    "media.suspend-bkgnd-video.delay-ms": {
-      expected: "5000",
-      description:
-        "Delay before suspending background video (5 seconds) — prevents premature suspension",
-    },
-    // REMOVED: media.videocontrols.picture-in-picture.enabled - Always enabled in Firefox 147
-  },
-  "Tab Suspension & Background Management": {
-    "browser.tabs.unloadOnLowMemory": {
-      expected: "true",
-      description:
-        "Automatically unload tabs when memory is low — prevents system slowdown",
-    },
-    "browser.sessionstore.interval": {
-      expected: "60000",
-      description:
-        "Save session every 60 seconds (instead of 15s) — reduces disk writes",
-    },
-    "browser.sessionstore.max_tabs_undo": {
-      expected: "10",
-      description:
-        "Keep 10 closed tabs in undo history — balance between memory and convenience",
-    },
-    "dom.min_background_timeout_value": {
-      expected: "10000",
-      description:
-        "Throttle background tab timers to 10 seconds — drastically reduces CPU usage",
-    },
-    // REMOVED: dom.timeout.throttling_delay - Removed or renamed in Firefox 147
-    "dom.ipc.keepProcessesAlive.web": {
-      expected: "1",
-      description:
-        "Keep only 1 web content process alive when idle — reduces memory footprint",
-    },
-    "browser.tabs.remote.warmup.enabled": {
-      expected: "false",
-      description:
-        "Disable tab warmup — don't preload tabs, saves memory",
-    },
-    "browser.tabs.remote.warmup.maxTabs": {
-      expected: "0",
-      description:
-        "Don't warm up any tabs — prevents unnecessary resource usage",
-    },
-  },
-  Network: {
-    "network.http.max-connections": {
-      expected: "1800",
-      description:
-        "Increase max connections from 900 to 1800 — faster parallel downloads (Betterfox)",
-    },
-    "network.http.max-persistent-connections-per-server": {
-      expected: "10",
-      description:
-        "Allow 10 persistent connections per server (default 6) — faster page loads (Betterfox)",
-    },
-    "network.http.max-urgent-start-excessive-connections-per-host": {
-      expected: "5",
-      description:
-        "Allow 5 urgent connections per host — faster critical resource loading (Betterfox)",
-    },
-    "network.http.pacing.requests.enabled": {
-      expected: "false",
-      description:
-        "Disable request pacing — send requests immediately without throttling (Betterfox)",
-    },
-    "network.dnsCacheEntries": {
-      expected: "10000",
-      description:
-        "Cache 10K DNS entries (default 400) — fewer DNS lookups (Betterfox)",
-    },
-    "network.dnsCacheExpiration": {
-      expected: "3600",
-      description:
-        "Keep DNS cache entries for 1 hour (default 60s) — fewer re-lookups (Betterfox)",
-    },
-    "network.ssl_tokens_cache_capacity": {
-      expected: "10240",
-      description:
-        "Increase SSL session token cache — faster HTTPS reconnections (Betterfox)",
-    },
-  },
-  "Speculative Loading": {
-    "network.http.speculative-parallel-limit": {
-      expected: "0",
-      description:
-        "Disable speculative connections — saves CPU/bandwidth on low-end systems (Betterfox)",
-    },
-    "network.dns.disablePrefetch": {
-      expected: "true",
-      description:
-        "Disable DNS prefetching — saves resources, improves privacy (Betterfox)",
-    },
-    "network.dns.disablePrefetchFromHTTPS": {
-      expected: "true",
-      description:
-        "Disable DNS prefetch from HTTPS pages — saves resources (Betterfox)",
-    },
-    "network.prefetch-next": {
-      expected: "false",
-      description:
-        "Disable link prefetching — prevents unwanted background downloads (Betterfox)",
-    },
-    "browser.urlbar.speculativeConnect.enabled": {
-      expected: "false",
-      description:
-        "Disable speculative URL bar connections — saves resources (Betterfox)",
-    },
-    "browser.places.speculativeConnect.enabled": {
-      expected: "false",
-      description: "Disable bookmarks speculative connections (Betterfox)",
-    },
-  },
-  "Process Management": {
-    "dom.ipc.processCount": {
-      expected: "4",
-      description:
-        "Limit content processes to 4 — optimal for 2-core CPU, reduces memory/CPU contention (ArchWiki)",
-    },
-    // browser.sessionstore.interval removed - duplicate of Tab Suspension category (line 182)
-    "browser.sessionstore.max_tabs_undo": {
-      expected: "10",
-      description:
-        "Keep undo data for 10 tabs — balance between memory and convenience (Betterfox)",
-    },
-  },
-  "Telemetry & Experiments": {
-    "datareporting.policy.dataSubmissionEnabled": {
-      expected: "false",
-      description:
-        "Disable data reporting — saves bandwidth and CPU (Betterfox)",
-    },
-    // REMOVED: toolkit.telemetry.enabled - LOCKED by Mozilla in Beta/Nightly (Bugzilla #1422689)
-    "toolkit.telemetry.unified": {
-      expected: "false",
-      description:
-        "Disable unified telemetry — prevents data gathering overhead (Betterfox)",
-    },
-    "toolkit.telemetry.archive.enabled": {
-      expected: "false",
-      description: "Disable telemetry archive — saves disk writes (Betterfox)",
-    },
-    "app.normandy.enabled": {
-      expected: "false",
-      description:
-        "Disable remote experiment/study system — prevents unexpected behavior changes (Betterfox)",
-    },
-    "app.shield.optoutstudies.enabled": {
-      expected: "false",
-      description:
-        "Opt out of Shield studies — prevents A/B test overhead (Betterfox)",
-    },
-    "browser.newtabpage.activity-stream.feeds.telemetry": {
-      expected: "false",
-      description:
-        "Disable new tab telemetry feed — saves CPU on every new tab (Betterfox)",
-    },
-  },
-};
-
-// Flatten categories into a simple key->expected map
+
+// Categorized preferences with descriptions — loaded from catalog/prefs.json
+// (see lib/catalog.js); an invalid catalog stops the server at startup
+const PREF_CATALOG = loadCatalog();
+const PREF_CATEGORIES = PREF_CATALOG.categories;
+// User-defined custom categories (STATE_DIR/custom-categories.json)
+initCustomCategories(PREF_CATALOG);
+// Hardware presets overlay expected values (catalog/presets.json)
+const PREF_PRESETS = loadPresets(PREF_CATALOG);
+// Cross-pref dependency, conflict and hardware rules (catalog/rules.json)
+const PREF_RULES = loadRules(PREF_CATALOG);
+
+// Built-in categories followed by the user's custom categories
+function allCategories() {
+  return mergeCustomCategories(PREF_CATEGORIES);
+}
+
+// Catalog view that includes custom prefs, for schema and unknown-pref lookups
+function effectiveCatalog() {
+  return { ...PREF_CATALOG, categories: allCategories() };
+}
+
+// Flatten categories into a simple key->expected map (typed values)
 function getFlatPrefs() {
   const flat = {};
-  for (const cat of Object.values(PREF_CATEGORIES)) {
+  for (const cat of Object.values(allCategories())) {
     for (const [key, val] of Object.entries(cat)) {
       flat[key] = val.expected;
     }
@@ -349,6 +197,48 @@ function getFlatPrefs() {
   return flat;
 }
 
+// Current prefs.js values of every tuner-managed pref, parsed to typed values
+// (true, 4, "text")
+async function readManagedPrefs(profileDir) {
+  const prefsFile = `${profileDir}/prefs.js`;
+  if (!existsSync(prefsFile)) return {};
+
+  // Firefox writes user_pref(); older or hand-edited files may use pref()
+  const values = prefValues(parsePrefs(await readFile(prefsFile, "utf-8")), ["pref", "user_pref"]);
+  const prefs = {};
+  for (const pref of Object.keys(getFlatPrefs())) {
+    if (Object.hasOwn(values, pref)) prefs[pref] = values[pref];
+  }
+  return prefs;
+}
+
+// Effective value of every tuner-managed pref: prefs.js, else the installed
+// build's default (omni.ja). `defaults` holds the managed prefs' defaults.
+async function readEffectivePrefs(profile) {
+  const values = await readManagedPrefs(profile.path);
+  const builtIn = await loadFirefoxDefaults(getTarget(profile.target), profile.install);
+  const defaults = {};
+  if (builtIn) {
+    for (const pref of Object.keys(getFlatPrefs())) {
+      if (!Object.hasOwn(builtIn.values, pref)) continue;
+      defaults[pref] = builtIn.values[pref];
+      if (!Object.hasOwn(values, pref)) values[pref] = builtIn.values[pref];
+    }
+  }
+  return { values, defaults, builtIn };
+}
+
+// Typed values of every user_pref() line in a profile's user.js (last one wins)
+async function readUserJsValues(profileDir) {
+  return readPrefFileValues(`${profileDir}/user.js`);
+}
+
+// Typed values of every user_pref() statement in a prefs file (user.js, prefs.js)
+async function readPrefFileValues(file) {
+  if (!existsSync(file)) return {};
+  return prefValues(parsePrefs(await readFile(file, "utf-8")));
+}
+
 // === SECURITY HELPERS ===
 
 // Strip filesystem paths and stack traces from error messages (OWASP: information disclosure)
@@ -359,206 +249,282 @@ function safeError(error) {
   return { error: msg.length > 200 ? "Operation failed" : msg };
 }
 
-// Dangerous preference values that will break Firefox
-const DANGEROUS_VALUES = {
-  "network.http.max-connections": { min: 1, max: 65535, reason: "0 disables all network access" },
-  "network.http.max-persistent-connections-per-server": { min: 1, max: 100, reason: "0 disables persistent connections" },
-  "dom.ipc.processCount": { min: 1, max: 64, reason: "0 prevents Firefox from starting" },
-  "dom.ipc.processCount.web": { min: 1, max: 64, reason: "0 prevents web content from loading" },
-  "browser.cache.memory.capacity": { min: 1024, max: 2097152, reason: "Too low causes crashes, too high exhausts memory" },
-  "media.memory_cache_max_size": { min: 1024, max: 2097152, reason: "Invalid values break media playback" },
-};
+// Quick fix built with the parser's edit helpers on a scratch copy of the AST:
+// {title, changes: [{from, to, insert}]} against the validated text
+function quickFix(ast, title, edit) {
+  const scratch = { ...ast, edits: [] };
+  edit(scratch);
+  return {
+    title,
+    changes: scratch.edits.map(({ start, end, text }) => ({ from: start, to: end, insert: text })),
+  };
+}
 
 /**
  * Validate user.js content with corruption prevention
  * Checks for:
- * - Syntax errors that could break Firefox startup
- * - Balanced quotes and parentheses
+ * - Syntax errors that could break Firefox startup (lib/prefs-parser.js)
  * - Valid user_pref() calls only
  * - No shell injection attempts
  * - No dangerous characters
- * - Dangerous preference values (NEW)
+ * - Values outside a pref's typed schema (catalog type, min/max, enum, pattern)
+ * - Prefs in neither the catalog nor a custom category
+ * - Prefs set more than once (Firefox uses the last one)
+ * - User lines after the managed block that override a managed pref
+ * - Prefs the detected Firefox version ignores (catalog version metadata)
+ * - Cross-pref and hardware rules (catalog/rules.json)
+ *
+ * Every problem is reported, not just the first, as a diagnostic
+ * {line, column, from, to, severity: "error"|"warning", code, message, fix};
+ * fix is null or {title, changes: [{from, to, insert}]} (character offsets).
+ * `reason` and `warnings` summarize the diagnostics for callers that only
+ * need a yes/no answer.
+ *
+ * @param {string} content
+ * @param {object} [context]
+ * @param {{version: string, major: number}|null} [context.appVersion] - from detectAppVersion()
+ * @param {object|null} [context.facts] - from hardwareFacts()
+ * @returns {{valid: boolean, reason?: string, warnings: string[], diagnostics: object[]}}
  */
-function validateUserJS(content) {
-  if (typeof content !== "string")
-    return { valid: false, reason: "Content must be a string" };
-  if (content.length > 512 * 1024)
-    return { valid: false, reason: "Content too large (max 512KB)" };
-
-  // Check for null bytes or control characters (except newline, tab, carriage return)
-  // eslint-disable-next-line no-control-regex
-  if (/[\x00-\x08\x0B\x0C\x0E-\x1F]/.test(content)) {
-    return {
-      valid: false,
-      reason: "Content contains invalid control characters",
-    };
-  }
-
-  // Check for balanced quotes and parentheses
-  let quoteCount = 0;
-  let parenDepth = 0;
-  for (let i = 0; i < content.length; i++) {
-    const char = content[i];
-    const prevChar = i > 0 ? content[i - 1] : "";
-
-    if (char === '"' && prevChar !== "\\") quoteCount++;
-    if (char === "(") parenDepth++;
-    if (char === ")") parenDepth--;
+function validateUserJS(content, { appVersion = null, facts = null } = {}) {
+  const fatal = (code, message) => ({
+    valid: false,
+    reason: message,
+    warnings: [],
+    diagnostics: [{ line: 1, column: 1, from: 0, to: 0, severity: "error", code, message, fix: null }],
+  });
+  if (typeof content !== "string") return fatal("invalid-content", "Content must be a string");
+  if (content.length > 512 * 1024) return fatal("too-large", "Content too large (max 512KB)");
+
+  const diagnostics = [];
+  const report = (severity, code, at, message, fix = null) =>
+    diagnostics.push({
+      line: at.line,
+      column: at.column,
+      from: at.start,
+      to: at.end,
+      severity,
+      code,
+      message,
+      fix,
+    });
 
-    if (parenDepth < 0) {
-      return {
-        valid: false,
-        reason: "Unbalanced parentheses (too many closing)",
-      };
-    }
+  // Parse the whole file — unterminated strings and comments, unbalanced
+  // parentheses and missing semicolons all surface as parse errors
+  const ast = parsePrefs(content);
+  for (const syntaxError of ast.errors) {
+    report("error", "syntax", syntaxError, syntaxError.message, syntaxError.fix);
   }
 
-  if (quoteCount % 2 !== 0) {
-    return {
-      valid: false,
-      reason: "Unbalanced quotes - this will corrupt Firefox profile",
-    };
+  // Line/column of a range that is not a parser node, from an index of line
+  // starts built on first use
+  let lineStarts = null;
+  const rangeAt = (start, end) => {
+    if (!lineStarts) {
+      lineStarts = [0];
+      for (let i = content.indexOf("\n"); i >= 0; i = content.indexOf("\n", i + 1)) lineStarts.push(i + 1);
+    }
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= start) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: start - lineStarts[low] + 1, start, end };
+  };
+
+  // Null bytes or control characters (except newline, tab, carriage return)
+  // eslint-disable-next-line no-control-regex
+  for (const match of content.matchAll(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g)) {
+    const at = rangeAt(match.index, match.index + 1);
+    report("error", "control-character", at, "Invalid control character", {
+      title: "Remove the character",
+      changes: [{ from: at.start, to: at.end, insert: "" }],
+    });
   }
 
-  if (parenDepth !== 0) {
-    return {
-      valid: false,
-      reason: "Unbalanced parentheses - this will corrupt Firefox profile",
-    };
+  let overrides = [];
+  try {
+    overrides = findOverrides(ast);
+  } catch (error) {
+    if (!(error instanceof ManagedBlockError)) throw error;
+    report("warning", "managed-block", { line: 1, column: 1, start: 0, end: 0 }, error.message);
   }
+  const overridden = new Set(overrides.map(({ node }) => node));
 
-  const warnings = [];
-
-  // Validate each line
-  const lines = content.split("\n");
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
+  const values = {}; // pref -> typed value, for the rules
+  const prefNodesByName = {}; // pref -> last statement setting it
+  const catalog = effectiveCatalog(); // custom prefs are known prefs too
 
-    // Allow empty lines and comments
-    if (
-      line === "" ||
-      line.startsWith("//") ||
-      line.startsWith("/*") ||
-      line.startsWith("*") ||
-      line === "*/"
-    ) {
+  for (const node of prefNodes(ast)) {
+    // user.js only sets user values — pref(), lockPref() etc. belong elsewhere
+    if (node.kind !== "user_pref") {
+      report("error", "statement-kind", node, `${node.kind}() is not allowed in user.js — use user_pref("pref.name", value)`);
       continue;
     }
 
-    // Must be valid user_pref() call
-    // Format: user_pref("pref.name", value);
-    // Value can be: true, false, number, or "string"
-    if (
-      !/^user_pref\("[-a-zA-Z0-9._]+",\s*(true|false|-?\d+(\.\d+)?|"[^"]*")\);$/.test(
-        line,
-      )
-    ) {
-      return {
-        valid: false,
-        reason: `Invalid syntax on line ${i + 1}: ${line.substring(0, 80)}...\nMust be: user_pref("pref.name", value);`,
-      };
-    }
-
     // Check for shell injection attempts in pref names
-    const prefNameMatch = line.match(/user_pref\("([^"]+)"/);
-    if (prefNameMatch) {
-      const prefName = prefNameMatch[1];
-      if (/[;&|`$(){}[\]<>]/.test(prefName)) {
-        return {
-          valid: false,
-          reason: `Dangerous characters in pref name on line ${i + 1}`,
-        };
-      }
+    const prefName = node.name;
+    if (/[;&|`$(){}[\]<>]/.test(prefName)) {
+      report("error", "dangerous-name", node, `Dangerous characters in pref name "${prefName.substring(0, 80)}"`);
+      continue;
+    }
+    if (!/^[-a-zA-Z0-9._]+$/.test(prefName)) {
+      report("error", "invalid-name", node, `Invalid pref name "${prefName.substring(0, 80)}"`);
+      continue;
     }
 
-    // NEW: Check for dangerous preference values
-    const prefMatch = line.match(/user_pref\("([^"]+)",\s*(-?\d+(?:\.\d+)?|true|false|"[^"]*")\);/);
-    if (prefMatch) {
-      const [, prefName, prefValue] = prefMatch;
-
-      if (DANGEROUS_VALUES[prefName]) {
-        const rule = DANGEROUS_VALUES[prefName];
-        const numValue = parseInt(prefValue, 10);
+    // Firefox keeps the last value; the earlier statement is dead weight
+    // (a managed pref set again after the block is reported as an override)
+    const previous = prefNodesByName[prefName];
+    if (previous && !overridden.has(node)) {
+      report(
+        "warning",
+        "duplicate-pref",
+        previous,
+        `"${prefName}" is set again on line ${node.line} — Firefox uses the last value`,
+        quickFix(ast, "Remove this duplicate", (fix) => removeNode(fix, previous)),
+      );
+    }
+    values[prefName] = node.value;
+    prefNodesByName[prefName] = node;
+
+    // Check the typed value against the pref's schema
+    const schema = findPrefSchema(catalog, prefName);
+    const entry = findCatalogEntry(catalog, prefName);
+    const invalid = schema && checkValue(schema, node.value);
+    const valueAt = rangeAt(node.valueStart, node.valueEnd);
+    if (invalid?.kind === "constraint") {
+      const recommended = entry?.expected;
+      const fix =
+        recommended !== undefined && !checkValue(schema, recommended)
+          ? quickFix(ast, `Use the recommended value ${serializeValue(recommended)}`, (f) =>
+              setPrefValue(f, node, recommended),
+            )
+          : null;
+      report(
+        "error",
+        "dangerous-value",
+        valueAt,
+        `DANGEROUS: ${prefName} = ${node.raw} will break Firefox! Problem: ${invalid.message}` +
+          (schema.reason ? ` Reason: ${schema.reason}` : ""),
+        fix,
+      );
+    } else if (invalid) {
+      const coerced = coerceValue(schema, node.value);
+      const fix = checkValue(schema, coerced)
+        ? null
+        : quickFix(ast, `Change to ${serializeValue(coerced)}`, (f) => setPrefValue(f, node, coerced));
+      report(
+        "warning",
+        "wrong-type",
+        valueAt,
+        `"${prefName}" ${invalid.message} — Firefox ignores values of the wrong type`,
+        fix,
+      );
+    }
 
-        if (!isNaN(numValue)) {
-          if (numValue < rule.min || numValue > rule.max) {
-            return {
-              valid: false,
-              reason: `DANGEROUS: ${prefName} = ${numValue} will break Firefox!\n` +
-                      `Reason: ${rule.reason}\n` +
-                      `Allowed range: ${rule.min} to ${rule.max}`,
-            };
-          }
-        }
-      }
+    // Warn about unknown preferences (neither active nor removed in the catalog)
+    if (!entry) {
+      report(
+        "warning",
+        "unknown-pref",
+        node,
+        `Unknown preference "${prefName}" (typo, or add it to a custom category)`,
+        quickFix(ast, "Comment out", (fix) => commentOutNode(fix, node)),
+      );
+    }
 
-      // Warn about unknown preferences (not in PREF_CATEGORIES)
-      const allKnownPrefs = Object.values(PREF_CATEGORIES).flatMap(cat => Object.keys(cat));
-      if (!allKnownPrefs.includes(prefName)) {
-        warnings.push(`Line ${i + 1}: Unknown preference "${prefName}" (typo or custom pref?)`);
-      }
+    // Warn about prefs the installed version no longer (or not yet) reads
+    const inactive = versionStatus(entry, appVersion?.major);
+    if (inactive) {
+      report(
+        "warning",
+        inactive.status === "removed" ? "version-removed" : "version-inactive",
+        node,
+        `"${prefName}" does nothing on Firefox ${appVersion.version} (${inactive.message})`,
+        quickFix(ast, "Remove this pref", (fix) => removeNode(fix, node)),
+      );
     }
   }
 
-  return { valid: true, warnings };
-}
-
-// Rotate backups — keep timestamped copies, prune to maxBackups (arkenfox pattern)
-// NEW: Verify backup is readable after creation
-async function rotateBackups(filePath, maxBackups = 5) {
-  if (!existsSync(filePath)) return null;
-
-  const dir = path.dirname(filePath);
-  const base = path.basename(filePath);
-  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-  const backupPath = path.join(dir, `${base}.backup-${timestamp}`);
-
-  // Create backup
-  await copyFile(filePath, backupPath);
-
-  // NEW: Verify backup is readable and matches original
-  try {
-    const originalContent = await readFile(filePath, "utf-8");
-    const backupContent = await readFile(backupPath, "utf-8");
-
-    if (originalContent !== backupContent) {
-      throw new Error("Backup verification failed: content mismatch");
-    }
-  } catch (error) {
-    // If verification fails, delete bad backup and throw error
-    await unlink(backupPath).catch(() => {});
-    throw new Error(`Backup creation failed: ${error.message}`);
+  // User lines after the managed block win over it
+  for (const { pref, node, managed } of overrides) {
+    report(
+      "warning",
+      "managed-override",
+      node,
+      `"${pref}" overrides the managed value on line ${managed.line} — Firefox uses the last one`,
+      quickFix(ast, "Comment out", (fix) => commentOutNode(fix, node)),
+    );
   }
 
-  // Prune old backups beyond maxBackups
-  const files = await readdir(dir);
-  const backups = files
-    .filter((f) => f.startsWith(`${base}.backup-`))
-    .sort()
-    .reverse();
+  for (const finding of evaluateRules(PREF_RULES, values, facts)) {
+    report("warning", "rule", prefNodesByName[finding.pref], `"${finding.pref}": ${finding.message}`);
+  }
 
-  for (const old of backups.slice(maxBackups)) {
-    await unlink(path.join(dir, old)).catch(() => {});
+  const rank = (d) => (d.severity === "error" ? 0 : 1);
+  diagnostics.sort((a, b) => a.from - b.from || rank(a) - rank(b));
+  const errors = diagnostics.filter((d) => d.severity === "error");
+  const warnings = diagnostics
+    .filter((d) => d.severity === "warning")
+    .map((d) => `Line ${d.line}: ${d.message}`);
+  if (errors.length > 0) {
+    const [first] = errors;
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more error${errors.length > 2 ? "s" : ""})` : "";
+    return {
+      valid: false,
+      reason: `Line ${first.line}, column ${first.column}: ${first.message}${more}`,
+      warnings,
+      diagnostics,
+    };
   }
+  return { valid: true, warnings, diagnostics };
+}
 
-  return backupPath;
+// Back up a profile's user.js before a write, with its prefs.js and the
+// policies.json the target reads (lib/backups.js records why in the manifest)
+function backupUserJs(profile, action) {
+  const policies = getTarget(profile.target).policyPaths.find((file) => existsSync(file));
+  return rotateBackups(`${profile.path}/user.js`, {
+    action,
+    companions: [`${profile.path}/prefs.js`, ...(policies ? [policies] : [])],
+  });
 }
 
-// Check if Firefox is running — refuse writes while profile is active
-async function isFirefoxRunning() {
-  try {
-    const { stdout } = await execFileAsync("pgrep", ["-x", "firefox"], {
-      timeout: 3000,
-    });
-    return stdout.trim().length > 0;
-  } catch {
-    return false;
+// 409 body for writes to a profile that a running browser holds open
+function profileLockedError(profile, lock) {
+  const appName = getTarget(profile.target).name;
+  return {
+    error: `Profile "${profile.name}" is in use by ${appName} (PID ${lock.pid}) — close it before modifying user.js`,
+    pid: lock.pid,
+    profile: describeProfile(profile),
+  };
+}
+
+// Ask the browser holding a profile to exit (SIGTERM, then SIGKILL) and wait for the lock to clear
+async function closeProfile(profile) {
+  let lock = await getProfileLock(profile.path);
+  for (const signal of ["SIGTERM", "SIGKILL"]) {
+    if (!lock.locked) return lock;
+    try {
+      process.kill(lock.pid, signal);
+    } catch (_err) {
+      // Already gone — the next lock check confirms
+    }
+    for (let i = 0; i < 10 && lock.locked; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 500));
+      lock = await getProfileLock(profile.path);
+    }
   }
+  return lock;
 }
 
 // === HEALTH ENDPOINT ===
 const SERVER_VERSION = Date.now(); // Timestamp for cache detection
-const PREF_COUNT = Object.values(PREF_CATEGORIES).reduce((sum, cat) => sum + Object.keys(cat).length, 0);
+const prefCount = () =>
+  Object.values(allCategories()).reduce((sum, cat) => sum + Object.keys(cat).length, 0);
 
 app.get("/api/health", (_req, res) => {
   // No-cache headers to prevent stale data
@@ -570,50 +536,87 @@ app.get("/api/health", (_req, res) => {
     status: "ok",
     mode: "full",
     version: SERVER_VERSION,
-    prefCount: PREF_COUNT,
+    prefCount: prefCount(),
+    catalogVersion: PREF_CATALOG.version,
     timestamp: Date.now()
   });
 });
 
-// Resolve active Firefox profile
-async function resolveProfile() {
-  const profilesIni = `${MOZILLA_DIR}/profiles.ini`;
+// Read the optional profile selector from query string (GET) or JSON body (POST)
+function profileSelector(req) {
+  return req.body?.profile ?? req.query.profile;
+}
+
+// Preset a request uses — explicit ?preset= / body.preset, else the saved selection
+async function presetFor(req) {
+  const selector = req.body?.preset ?? req.query.preset;
+  return getPreset(
+    PREF_PRESETS,
+    selector || (await readSelectedPreset(PREF_PRESETS)),
+  );
+}
+
+// Catalog and custom categories with the request's preset applied
+async function categoriesFor(req) {
+  const preset = await presetFor(req);
+  return { preset, categories: applyPreset(allCategories(), preset) };
+}
+
+// Read the optional application target (firefox, librewolf, thunderbird, ...)
+function targetSelector(req) {
+  return req.body?.target ?? req.query.target;
+}
+
+// Resolve the profile a request acts on (selected profile of the selected target)
+function profileFor(req) {
+  return resolveProfile(profileSelector(req), targetSelector(req));
+}
+
+// Rule findings for the profile's effective pref values and detected hardware
+app.get("/api/preferences/rules", async (req, res) => {
   try {
-    const content = await readFile(profilesIni, "utf-8");
-    const lines = content.split("\n");
+    const profile = await profileFor(req);
+    const facts = hardwareFacts(await detectHardware());
+    const { values } = await readEffectivePrefs(profile);
+    res.json({
+      version: PREF_RULES.version,
+      facts,
+      findings: evaluateRules(PREF_RULES, values, facts),
+      profile: describeProfile(profile),
+    });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
 
-    // Look for Install-locked default
-    let inInstall = false;
-    for (const line of lines) {
-      if (line.startsWith("[Install")) inInstall = true;
-      if (inInstall && line.startsWith("Default=")) {
-        return line.split("=")[1].trim();
-      }
-    }
+// List supported application targets (Firefox, forks, Thunderbird)
+app.get("/api/targets", (_req, res) => {
+  res.json({ targets: describeTargets() });
+});
 
-    // Fallback: find Profile section with Default=1, then get its Path
-    let currentPath = "";
-    let foundDefault = false;
-    for (const line of lines) {
-      if (line.startsWith("[Profile")) {
-        currentPath = "";
-        foundDefault = false;
-      }
-      if (line.startsWith("Path=")) {
-        currentPath = line.split("=")[1].trim();
-      }
-      if (line === "Default=1") {
-        foundDefault = true;
-      }
-      if (foundDefault && currentPath) {
-        return currentPath;
-      }
-    }
-    throw new Error("No default profile found in profiles.ini");
+// Detected version of the selected target (application.ini, compatibility.ini or --version)
+app.get("/api/app-version", async (req, res) => {
+  try {
+    const profile = await profileFor(req);
+    const target = getTarget(profile.target);
+    res.json({
+      target: target.id,
+      ...(await detectAppVersion(target, profile.path)),
+      profile: describeProfile(profile),
+    });
   } catch (error) {
-    throw new Error(`Cannot resolve Firefox profile: ${error.message}`);
+    res.status(error.status || 500).json(safeError(error));
   }
-}
+});
+
+// List all Firefox profiles across install types
+app.get("/api/profiles", async (req, res) => {
+  try {
+    res.json(await listProfiles(targetSelector(req)));
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
 
 // Get system information (execFile — no shell spawning)
 app.get("/api/system-info", async (req, res) => {
@@ -662,125 +665,208 @@ app.get("/api/preferences", async (req, res) => {
   res.setHeader('Expires', '0');
 
   try {
-    const profilePath = await resolveProfile();
-    const prefsFile = `${MOZILLA_DIR}/${profilePath}/prefs.js`;
+    const profile = await profileFor(req);
+    // Response body is a plain pref map — report the profile via header
+    res.setHeader("X-Firefox-Profile", encodeURIComponent(profile.id));
 
-    if (!existsSync(prefsFile)) {
-      return res.json({});
-    }
+    // prefs.js omits prefs at their default — fill those in from omni.ja
+    res.json((await readEffectivePrefs(profile)).values);
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
 
-    const content = await readFile(prefsFile, "utf-8");
-    const prefs = {};
-    const flatPrefs = getFlatPrefs();
+// Built-in defaults of the managed prefs, read from the profile's install
+app.get("/api/preferences/defaults", async (req, res) => {
+  try {
+    const profile = await profileFor(req);
+    const { defaults, builtIn } = await readEffectivePrefs(profile);
+    res.json({
+      available: !!builtIn,
+      build: builtIn?.build ?? null,
+      installDir: builtIn?.installDir ?? null,
+      defaults,
+      locked: Object.keys(defaults).filter((pref) => builtIn.locked.has(pref)),
+      profile: describeProfile(profile),
+    });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
 
-    for (const pref of Object.keys(flatPrefs)) {
-      // Match both user_pref("key", value) and pref("key", value) formats
-      const escaped = pref.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-      const regex = new RegExp(`(?:user_)?pref\\("${escaped}",\\s*([^)]+)\\)`);
-      const match = content.match(regex);
-      if (match) {
-        prefs[pref] = match[1].trim();
-      }
-    }
+// Where each pref's value comes from — build default, policy, autoconfig,
+// prefs.js, user.js — for every managed and user.js pref, or just ?pref=
+app.get("/api/preferences/provenance", async (req, res) => {
+  try {
+    const requested = req.query.pref;
+    if (requested !== undefined && (typeof requested !== "string" || !/^[\w.-]+$/.test(requested))) {
+      return res.status(400).json({ error: "Invalid pref name" });
+    }
+
+    const profile = await profileFor(req);
+    const target = getTarget(profile.target);
+    const userJsPath = `${profile.path}/user.js`;
+    const prefsJsPath = `${profile.path}/prefs.js`;
+    const builtIn = await loadFirefoxDefaults(target, profile.install);
+    const [policies, autoconfig, prefsJs, userJs] = await Promise.all([
+      readPolicyPrefs(target),
+      readAutoconfigPrefs(builtIn),
+      readPrefFileValues(prefsJsPath),
+      readPrefFileValues(userJsPath),
+    ]);
+    const userJsNewer =
+      existsSync(userJsPath) &&
+      (!existsSync(prefsJsPath) || (await stat(userJsPath)).mtimeMs > (await stat(prefsJsPath)).mtimeMs);
+
+    const sources = {
+      defaults: builtIn?.values ?? {},
+      lockedDefaults: builtIn?.locked ?? new Set(),
+      policies,
+      autoconfig,
+      prefsJs,
+      userJs,
+      userJsNewer,
+    };
+    const names = requested
+      ? [requested]
+      : [...new Set([...Object.keys(getFlatPrefs()), ...Object.keys(userJs)])];
+    const prefs = names.map((pref) => describeProvenance(pref, sources));
 
-    res.json(prefs);
+    res.json({
+      defaultsAvailable: !!builtIn,
+      build: builtIn?.build ?? null,
+      userJsNewer,
+      pendingRestart: prefs.filter((entry) => entry.pendingRestart).length,
+      prefs,
+      profile: describeProfile(profile),
+    });
   } catch (error) {
-    res.status(500).json(safeError(error));
+    res.status(error.status || 500).json(safeError(error));
   }
 });
 
 // Get preference categories with descriptions
-app.get("/api/pref-categories", (req, res) => {
+app.get("/api/pref-categories", async (req, res) => {
   // No-cache headers - critical for detecting server updates
   res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
   res.setHeader('Pragma', 'no-cache');
   res.setHeader('Expires', '0');
   res.setHeader('X-Server-Version', SERVER_VERSION);
-  res.setHeader('X-Pref-Count', PREF_COUNT);
+  res.setHeader('X-Pref-Count', prefCount());
+  res.setHeader('X-Catalog-Version', PREF_CATALOG.version);
+  res.setHeader('X-Catalog-Source', encodeURIComponent(PREF_CATALOG.source));
 
-  res.json(PREF_CATEGORIES);
+  try {
+    const { preset, categories } = await categoriesFor(req);
+    res.setHeader('X-Preset', preset.id);
+    res.json(categories);
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
 });
 
-// System benchmark — detect capabilities and generate recommendations
-app.get("/api/benchmark", async (req, res) => {
+// Hardware presets and the current selection
+app.get("/api/presets", async (_req, res) => {
   try {
-    const results = { gpu: {}, system: {}, recommendations: [], score: 0 };
+    res.json({
+      version: PREF_PRESETS.version,
+      default: PREF_PRESETS.default,
+      selected: await readSelectedPreset(PREF_PRESETS),
+      presets: PREF_PRESETS.presets.map((preset) => ({
+        id: preset.id,
+        name: preset.name,
+        description: preset.description,
+        overrides: preset.overrides,
+      })),
+    });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
 
-    // GPU detection (execFile — no shell)
-    try {
-      const { stdout } = await execFileAsync("glxinfo", [], { timeout: 5000 });
-      const rendererLine = stdout
-        .split("\n")
-        .find((l) => l.includes("OpenGL renderer"));
-      results.gpu.renderer = rendererLine?.split(":")[1]?.trim() || "unknown";
-      const versionLine = stdout
-        .split("\n")
-        .find((l) => l.includes("OpenGL version"));
-      results.gpu.glVersion = versionLine?.split(":")[1]?.trim() || "unknown";
-    } catch {
-      results.gpu.renderer = "unavailable";
-      results.gpu.glVersion = "unavailable";
-    }
+// Select the preset that drives the template, auto-fix and the preferences view
+app.post("/api/presets/select", async (req, res) => {
+  try {
+    const preset = await writeSelectedPreset(PREF_PRESETS, req.body?.preset);
+    res.json({
+      success: true,
+      selected: preset.id,
+      message: `Preset "${preset.name}" selected`,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
 
-    try {
-      const { stdout } = await execFileAsync("lspci", [], { timeout: 5000 });
-      const gpuLine = stdout.split("\n").find((l) => /vga|3d|display/i.test(l));
-      results.gpu.device =
-        gpuLine?.replace(/^[^:]+:\s*/, "").trim() || "unknown";
-    } catch {
-      results.gpu.device = "unavailable";
-    }
+// === CUSTOM PREFERENCE CATEGORIES (STATE_DIR/custom-categories.json) ===
 
-    results.gpu.isSoftwareRenderer = /llvmpipe|softpipe|swrast/i.test(
-      results.gpu.renderer,
-    );
-    results.gpu.isVirtual = /virtio|vmware|virtualbox|qxl/i.test(
-      results.gpu.device || "",
-    );
+// Custom categories with their prefs
+app.get("/api/custom-categories", (_req, res) => {
+  res.json({ categories: getCustomCategories() });
+});
 
-    // System info (read /proc directly — no shell needed)
-    try {
-      const meminfo = await readFile("/proc/meminfo", "utf-8");
-      const memLine = meminfo.split("\n").find((l) => l.startsWith("MemTotal"));
-      results.system.ramKb = parseInt(memLine?.split(/\s+/)[1]) || 0;
-      results.system.ramMb = Math.round(results.system.ramKb / 1024);
-      results.system.ramGb = (results.system.ramKb / 1048576).toFixed(1);
-    } catch {
-      results.system.ramKb = 0;
-    }
+// Create an empty custom category
+app.post("/api/custom-categories", async (req, res) => {
+  try {
+    const name = req.body?.name;
+    await createCategory(name);
+    res.status(201).json({ success: true, categories: getCustomCategories(), message: `Category "${name}" created` });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
 
-    try {
-      const { stdout } = await execFileAsync("nproc", [], { timeout: 3000 });
-      results.system.cpuCores = parseInt(stdout.trim()) || 1;
-    } catch {
-      results.system.cpuCores = 1;
-    }
+// Rename a custom category
+app.put("/api/custom-categories/:name", async (req, res) => {
+  try {
+    const newName = req.body?.name;
+    await renameCategory(req.params.name, newName);
+    res.json({ success: true, categories: getCustomCategories(), message: `Category renamed to "${newName}"` });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
 
-    try {
-      const cpuinfo = await readFile("/proc/cpuinfo", "utf-8");
-      const modelLine = cpuinfo
-        .split("\n")
-        .find((l) => l.includes("model name"));
-      results.system.cpuModel = modelLine?.split(":")[1]?.trim() || "unknown";
-    } catch {
-      results.system.cpuModel = "unknown";
-    }
+// Delete a custom category and its prefs
+app.delete("/api/custom-categories/:name", async (req, res) => {
+  try {
+    await deleteCategory(req.params.name);
+    res.json({ success: true, categories: getCustomCategories(), message: `Category "${req.params.name}" deleted` });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
 
-    // VA-API (hardware video decode)
-    try {
-      const { stdout, stderr } = await execFileAsync("vainfo", [], {
-        timeout: 5000,
-      });
-      const combined = stdout + stderr;
-      const driverLine = combined
-        .split("\n")
-        .find((l) => l.includes("Driver version"));
-      results.gpu.vaapi = driverLine?.split(":")[1]?.trim() || "unavailable";
-      results.gpu.hasVaapi = true;
-    } catch {
-      results.gpu.vaapi = "not available";
-      results.gpu.hasVaapi = false;
-    }
+// Add or update a pref in a custom category — body: { expected, description, type? }
+app.put("/api/custom-categories/:name/prefs/:pref", async (req, res) => {
+  try {
+    const { name, pref } = req.params;
+    const entry = await setCustomPref(name, pref, req.body || {});
+    res.json({ success: true, pref, entry, categories: getCustomCategories(), message: `"${pref}" saved in "${name}"` });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
+
+// Remove a pref from a custom category
+app.delete("/api/custom-categories/:name/prefs/:pref", async (req, res) => {
+  try {
+    const { name, pref } = req.params;
+    await deleteCustomPref(name, pref);
+    res.json({ success: true, categories: getCustomCategories(), message: `"${pref}" removed from "${name}"` });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
+
+// System benchmark — detect capabilities and generate recommendations
+app.get("/api/benchmark", async (req, res) => {
+  try {
+    const results = {
+      ...(await detectHardware({ refresh: true })),
+      recommendations: [],
+      score: 0,
+    };
 
     // Generate recommendations
     let score = 100;
@@ -879,6 +965,13 @@ app.get("/api/benchmark", async (req, res) => {
 
     results.recommendations = recs;
     results.score = Math.max(0, score);
+
+    // Suggest a hardware preset (skipped if a custom presets file lacks it)
+    const suggestion = suggestPreset(results);
+    const suggested = PREF_PRESETS.presets.find((p) => p.id === suggestion.id);
+    results.suggestedPreset = suggested
+      ? { ...suggestion, name: suggested.name }
+      : null;
     res.json(results);
   } catch (error) {
     res.status(500).json(safeError(error));
@@ -972,8 +1065,15 @@ async function readProcDetail(pid) {
   return detail;
 }
 
-// Get Firefox processes (structured output with rich detail)
+// Get browser processes of the selected target (structured output with rich detail)
 app.get("/api/processes", async (req, res) => {
+  let target;
+  try {
+    target = getTarget(targetSelector(req));
+  } catch (error) {
+    return res.status(error.status || 500).json(safeError(error));
+  }
+
   try {
     const { stdout } = await execFileAsync(
       "ps",
@@ -983,10 +1083,8 @@ app.get("/api/processes", async (req, res) => {
     const lines = stdout
       .trim()
       .split("\n")
-      .filter(
-        (line) =>
-          line.includes("/usr/lib64/firefox/") ||
-          line.includes("/usr/lib/firefox/"),
+      .filter((line) =>
+        matchesProcess(target, line.trim().split(/\s+/).slice(7).join(" ")),
       )
       .slice(0, 30);
     const processes = await Promise.all(
@@ -1072,77 +1170,145 @@ app.get("/api/logs", async (req, res) => {
   }
 });
 
-// Generate default user.js template from PREF_CATEGORIES
-function generateTemplate() {
+// Contents of the managed block: every pref of `categories` grouped by
+// category, noting the preset whose values were merged into them
+function generateManagedPrefs(categories = allCategories(), preset = null) {
   const lines = [
-    "// Firefox Performance Tuner — user.js",
     `// Generated: ${new Date().toISOString()}`,
-    "// Sources: Betterfox v146, ArchWiki Firefox/Tweaks, Mozilla docs",
-    "// Restart Firefox after saving to apply changes.",
+    ...(preset ? [`// Preset: ${preset.name} (${preset.id})`] : []),
     "",
   ];
-  for (const [category, prefs] of Object.entries(PREF_CATEGORIES)) {
-    lines.push(`// === ${category} ===`);
+  for (const [category, prefs] of Object.entries(categories)) {
+    lines.push(`// === ${commentText(category)} ===`);
     for (const [key, val] of Object.entries(prefs)) {
-      lines.push(`// ${val.description}`);
-      lines.push(`user_pref("${key}", ${val.expected});`);
+      lines.push(`// ${commentText(val.description)}`);
+      lines.push(`user_pref("${key}", ${serializeValue(val.expected)});`);
     }
     lines.push("");
   }
+  return lines.join("\n").trimEnd();
+}
+
+// A new user.js: header plus the managed block
+function generateTemplate(categories = allCategories(), preset = null) {
+  const lines = [
+    "// Firefox Performance Tuner — user.js",
+    "// Sources: Betterfox v146, ArchWiki Firefox/Tweaks, Mozilla docs",
+    "// Restart Firefox after saving to apply changes.",
+    "// Add your own prefs outside the managed block — the tuner only rewrites the block.",
+    "",
+    renderManagedBlock(generateManagedPrefs(categories, preset)),
+    "",
+  ];
   return lines.join("\n");
 }
 
+// Warnings for user lines after the managed block that override managed prefs
+function overrideWarnings(content) {
+  return findOverrides(parsePrefs(content)).map(
+    ({ pref, node, managed }) =>
+      `Line ${node.line}: "${pref}" overrides the managed value on line ${managed.line} — Firefox uses the last one`,
+  );
+}
+
 // Apply preferences to user.js (with Firefox running check + backup rotation)
 app.post("/api/apply-preferences", async (req, res) => {
   try {
-    if (await isFirefoxRunning()) {
-      return res
-        .status(409)
-        .json({
-          error:
-            "Close Firefox before modifying user.js — profile is locked while running",
-        });
-    }
-
     const { preferences } = req.body;
-    if (!preferences || typeof preferences !== "object") {
+    if (!preferences || typeof preferences !== "object" || Array.isArray(preferences)) {
       return res.status(400).json({ error: "Preferences object required" });
     }
 
-    const profilePath = await resolveProfile();
-    const userJsFile = `${MOZILLA_DIR}/${profilePath}/user.js`;
+    const profile = await profileFor(req);
+    const lock = await getProfileLock(profile.path);
+    if (lock.locked) {
+      return res.status(409).json(profileLockedError(profile, lock));
+    }
+
+    // Values are typed: booleans, integers and strings. Catalog and custom
+    // prefs are checked against their schema (legacy "true"/"4" strings
+    // converted); other prefs are taken as the JSON type they were sent with.
+    const catalog = effectiveCatalog();
+    // No prototype, so a "__proto__" key is reported rather than swallowed
+    const typedValues = Object.create(null);
+    const errors = Object.create(null);
+    for (const [key, value] of Object.entries(preferences)) {
+      if (!PREF_NAME_PATTERN.test(key)) {
+        errors[key] =
+          key === "__proto__"
+            ? "reserved name, not a pref"
+            : "invalid pref name (letters, digits, \".\", \"_\" and \"-\" only)";
+        continue;
+      }
+      const schema = findPrefSchema(catalog, key);
+      const typed = schema ? coerceValue(schema, value) : value;
+      const invalid = schema ? checkValue(schema, typed) : checkUntypedValue(typed);
+      if (invalid) errors[key] = invalid.message;
+      else typedValues[key] = typed;
+    }
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: "Invalid preference values", errors });
+    }
 
-    const backupPath = await rotateBackups(userJsFile);
+    const userJsFile = `${profile.path}/user.js`;
 
     let content = "";
     if (existsSync(userJsFile)) {
       content = await readFile(userJsFile, "utf-8");
     }
 
-    let updated = false;
-    for (const [key, value] of Object.entries(preferences)) {
-      const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-      const regex = new RegExp(`user_pref\\("${escaped}",\\s*[^)]+\\)`);
-      if (regex.test(content)) {
-        content = content.replace(regex, `user_pref("${key}", ${value})`);
-        updated = true;
-      } else if (!content.includes(`user_pref("${key}"`)) {
-        content += `\nuser_pref("${key}", ${value});`;
-        updated = true;
+    // Only the managed block is edited (lib/managed-block.js): prefs in it
+    // change in place, new ones go under their category heading
+    const ast = parsePrefs(content);
+    const { changed, added } = updateManagedPrefs(ast, typedValues, allCategories(), {
+      regenerateComments: req.body.regenerateComments === true,
+    });
+
+    if (ast.edits.length > 0) {
+      const updated = printPrefs(ast);
+
+      // The whole file has to pass validation before it is written; errors
+      // inside the statements just written are reported per key (one at a
+      // statement's first token is the previous statement's)
+      const validation = validateUserJS(updated);
+      if (!validation.valid) {
+        const written = [...findManagedBlock(parsePrefs(updated)).prefs.values()].filter(
+          (node) => node.name in typedValues,
+        );
+        const keyErrors = Object.create(null);
+        for (const diagnostic of validation.diagnostics) {
+          if (diagnostic.severity !== "error") continue;
+          const node = written.find((n) => diagnostic.from > n.start && diagnostic.from < n.end);
+          if (node && !keyErrors[node.name]) keyErrors[node.name] = diagnostic.message;
+        }
+        return res.status(400).json({
+          error: `user.js would not pass validation: ${validation.reason}`,
+          errors: keyErrors,
+          diagnostics: validation.diagnostics,
+        });
       }
-    }
 
-    if (updated) {
-      await writeFile(userJsFile, content);
+      const backupPath = await backupUserJs(profile, "apply-preferences");
+      await writeFile(userJsFile, updated);
       const msg = backupPath
         ? "Preferences applied! Backup created. Restart Firefox to apply."
         : "Preferences applied! Restart Firefox to apply changes.";
-      res.json({ message: msg });
+      res.json({
+        message: msg,
+        profile: describeProfile(profile),
+        changed,
+        added,
+        warnings: overrideWarnings(updated),
+      });
     } else {
-      res.json({ message: "All preferences already present in user.js" });
+      res.json({
+        message: "All preferences already present in user.js",
+        profile: describeProfile(profile),
+        warnings: overrideWarnings(content),
+      });
     }
   } catch (error) {
-    res.status(500).json(safeError(error));
+    res.status(error.status || 500).json(safeError(error));
   }
 });
 
@@ -2273,75 +2439,81 @@ app.post("/api/play-in-external-player", async (req, res) => {
 // NEW: Auto-fix all preference issues (one-click fix with auto-close and auto-restart)
 app.post("/api/auto-fix", async (req, res) => {
   try {
-    // 1. Close Firefox if running
-    if (await isFirefoxRunning()) {
-      try {
-        // Kill all Firefox processes (graceful first, then force)
-        try {
-          await execFileAsync("pkill", ["firefox"], { timeout: 3000 });
-          await new Promise(resolve => setTimeout(resolve, 2000));
-        } catch {
-          // Graceful kill failed, force kill
-          await execFileAsync("pkill", ["-9", "firefox"], { timeout: 3000 });
-        }
-
-        // Wait for processes to fully terminate and profile to unlock
-        await new Promise(resolve => setTimeout(resolve, 5000));
-
-        // Verify Firefox is actually closed
-        if (await isFirefoxRunning()) {
-          return res.status(409).json({
-            error: "Failed to close Firefox automatically. Please close it manually and try again.",
-          });
-        }
-      } catch (error) {
-        // pkill returns non-zero if no processes found, which is fine
-        // Continue to check if Firefox is actually closed
-        if (await isFirefoxRunning()) {
-          return res.status(409).json({
-            error: "Failed to close Firefox automatically. Please close it manually and try again.",
-          });
-        }
+    // 0. Resolve target profiles up front (before closing Firefox)
+    const targets = req.body?.allProfiles
+      ? (await listProfiles(targetSelector(req))).profiles.filter((p) => p.exists)
+      : [await profileFor(req)];
+    if (targets.length === 0) {
+      return res.status(404).json({ error: `No ${getTarget(targetSelector(req)).name} profiles found` });
+    }
+
+    // 1. Regenerate the managed block of each user.js from the catalog and
+    // selected preset, keeping prefs in it the catalog does not have (adopted
+    // or applied ones); a profile without user.js gets the full template
+    const { preset, categories } = await categoriesFor(req);
+    const managed = generateManagedPrefs(categories, preset);
+    const catalogPrefs = new Set(Object.values(allCategories()).flatMap((prefs) => Object.keys(prefs)));
+    const keep = (pref) => !catalogPrefs.has(pref);
+    const updates = [];
+    for (const profile of targets) {
+      const userJsFile = `${profile.path}/user.js`;
+      const content = existsSync(userJsFile)
+        ? replaceManagedBlock(await readFile(userJsFile, "utf-8"), managed, { keep })
+        : generateTemplate(categories, preset);
+
+      // 2. Validate content (before anything is closed)
+      const validation = validateUserJS(content);
+      if (!validation.valid) {
+        return res.status(400).json({ error: validation.reason, profile: describeProfile(profile) });
       }
+      updates.push({ profile, userJsFile, content });
     }
 
-    // 2. Generate optimal user.js content from PREF_CATEGORIES
-    const content = generateTemplate();
-
-    // 3. Validate content
-    const validation = validateUserJS(content);
-    if (!validation.valid) {
-      return res.status(400).json({ error: validation.reason });
+    // 3. Close the Firefox instance holding each target profile (if any)
+    for (const profile of targets) {
+      const lock = await closeProfile(profile);
+      if (lock.locked) {
+        return res.status(409).json({
+          ...profileLockedError(profile, lock),
+          error: `Failed to close ${getTarget(profile.target).name} (PID ${lock.pid}) automatically. Please close it manually and try again.`,
+        });
+      }
     }
 
-    // 4. Get profile path and create backup
-    const profilePath = await resolveProfile();
-    const userJsFile = `${MOZILLA_DIR}/${profilePath}/user.js`;
-    const backupPath = await rotateBackups(userJsFile);
-
-    // 5. Write user.js
-    await writeFile(userJsFile, content, "utf-8");
+    // 4-5. Back up and write user.js in each target profile
+    const results = [];
+    for (const { profile, userJsFile, content } of updates) {
+      const backupPath = await backupUserJs(profile, "auto-fix");
+      await writeFile(userJsFile, content, "utf-8");
+      results.push({
+        profile: describeProfile(profile),
+        backupPath: backupPath || null,
+        warnings: overrideWarnings(content),
+      });
+    }
+    const backupPath = results[0].backupPath;
 
     // Wait for filesystem to flush (ensures user.js is fully written)
     await new Promise(resolve => setTimeout(resolve, 1000));
 
-    // 6. Count issues fixed (all preferences in PREF_CATEGORIES)
+    // 6. Count issues fixed (all preferences in the catalog)
     const flatPrefs = {};
-    for (const cat of Object.values(PREF_CATEGORIES)) {
+    for (const cat of Object.values(categories)) {
       for (const key of Object.keys(cat)) {
         flatPrefs[key] = true;
       }
     }
     const issuesFixed = Object.keys(flatPrefs).length;
 
-    // 7. Restart Firefox automatically with the tuner URL
+    // 7. Restart the application automatically (browsers reopen the tuner URL)
+    const target = getTarget(targets[0].target);
     try {
       // Wait a bit more before restarting to ensure clean profile state
       await new Promise(resolve => setTimeout(resolve, 2000));
 
-      // Launch Firefox with the tuner page (detached process)
-      // This allows user to continue using the tool immediately
-      execFileAsync("firefox", ["http://localhost:3000"], {
+      // Launch detached — this allows user to continue using the tool immediately
+      const args = target.isBrowser ? ["http://localhost:3000"] : [];
+      execFileAsync(target.binaries[0], args, {
         detached: true,
         stdio: 'ignore'
       }).catch(() => {
@@ -2354,41 +2526,53 @@ app.post("/api/auto-fix", async (req, res) => {
     // 8. Return success response
     res.json({
       success: true,
-      message: `Auto-fixed ${issuesFixed} preference issues`,
+      message:
+        results.length > 1
+          ? `Auto-fixed ${issuesFixed} preference issues in ${results.length} profiles`
+          : `Auto-fixed ${issuesFixed} preference issues`,
       issuesFixed,
       issues: Object.keys(flatPrefs),
       backupCreated: !!backupPath,
       backupPath: backupPath || "none",
+      profiles: results,
+      warnings: results.flatMap((result) => result.warnings),
       firefoxRestarted: true,
       nextSteps: [
-        "Firefox is restarting automatically",
+        `${target.name} is restarting automatically`,
         "Verify preferences in about:config",
         "Test video playback and tab performance",
       ],
     });
   } catch (error) {
-    res.status(500).json(safeError(error));
+    res.status(error.status || 500).json(safeError(error));
   }
 });
 
 // Get user.js content (returns template if file doesn't exist)
 app.get("/api/user-js", async (req, res) => {
   try {
-    const profilePath = await resolveProfile();
-    const userJsFile = `${MOZILLA_DIR}/${profilePath}/user.js`;
+    const profile = await profileFor(req);
+    const userJsFile = `${profile.path}/user.js`;
 
     if (!existsSync(userJsFile)) {
+      const { preset, categories } = await categoriesFor(req);
       return res.json({
-        content: generateTemplate(),
+        content: generateTemplate(categories, preset),
         path: userJsFile,
+        profile: describeProfile(profile),
         isTemplate: true,
       });
     }
 
     const content = await readFile(userJsFile, "utf-8");
-    res.json({ content, path: userJsFile, isTemplate: false });
+    res.json({
+      content,
+      path: userJsFile,
+      profile: describeProfile(profile),
+      isTemplate: false,
+    });
   } catch (error) {
-    res.status(500).json(safeError(error));
+    res.status(error.status || 500).json(safeError(error));
   }
 });
 
@@ -2396,62 +2580,94 @@ app.get("/api/user-js", async (req, res) => {
 app.post("/api/user-js/validate", async (req, res) => {
   try {
     const { content } = req.body;
-    const validation = validateUserJS(content);
+    const profile = await profileFor(req);
+    const appVersion = await detectAppVersion(getTarget(profile.target), profile.path);
+    const facts = hardwareFacts(await detectHardware());
+    const validation = validateUserJS(content, { appVersion, facts });
 
     if (!validation.valid) {
       return res.status(400).json({
         valid: false,
         error: validation.reason,
         safe: false,
+        diagnostics: validation.diagnostics,
       });
     }
 
-    // Count preferences
-    const lines = content.split("\n");
-    const prefCount = lines.filter(line =>
-      line.trim().startsWith("user_pref(")
-    ).length;
+    const prefCount = prefNodes(parsePrefs(content)).length;
 
-    // Check if Firefox is running (warning, not error)
-    const firefoxRunning = await isFirefoxRunning();
+    // Check if Firefox holds the target profile (warning, not error)
+    const lock = await getProfileLock(profile.path);
 
     res.json({
       valid: true,
       safe: true,
       prefCount,
       warnings: validation.warnings || [],
-      firefoxRunning,
-      message: firefoxRunning
-        ? "⚠️ Close Firefox before applying changes"
+      diagnostics: validation.diagnostics,
+      appVersion,
+      firefoxRunning: lock.locked,
+      lockPid: lock.pid,
+      profile: describeProfile(profile),
+      message: lock.locked
+        ? `⚠️ Close ${getTarget(profile.target).name} (PID ${lock.pid}) before applying changes`
         : "✅ Safe to apply (validation passed)",
     });
   } catch (error) {
-    res.status(500).json(safeError(error));
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
+
+// Format user.js: dedupe, group by category, sort, normalize values. Returns
+// the result as a diff preview; nothing is written (save it via /api/user-js)
+app.post("/api/user-js/format", async (req, res) => {
+  try {
+    const profile = await profileFor(req);
+    let { content } = req.body;
+    if (content === undefined) {
+      const userJsFile = `${profile.path}/user.js`;
+      content = existsSync(userJsFile) ? await readFile(userJsFile, "utf-8") : "";
+    }
+    if (typeof content !== "string") {
+      return res.status(400).json({ error: "content must be a string" });
+    }
+
+    const formatted = formatUserJs(content, allCategories());
+    const diff = diffLines(content, formatted.content);
+    res.json({
+      content: formatted.content,
+      diff,
+      hasChanges: diff.some((part) => part.added || part.removed),
+      duplicates: formatted.duplicates,
+      unknown: formatted.unknown,
+      prefCount: formatted.prefCount,
+      profile: describeProfile(profile),
+    });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
   }
 });
 
 // Save user.js content (with validation, Firefox check, backup rotation)
 app.post("/api/user-js", async (req, res) => {
   try {
-    if (await isFirefoxRunning()) {
-      return res
-        .status(409)
-        .json({
-          error:
-            "Close Firefox before modifying user.js — profile is locked while running",
-        });
+    const profile = await profileFor(req);
+    const lock = await getProfileLock(profile.path);
+    if (lock.locked) {
+      return res.status(409).json(profileLockedError(profile, lock));
     }
 
     const { content } = req.body;
-    const validation = validateUserJS(content);
+    const appVersion = await detectAppVersion(getTarget(profile.target), profile.path);
+    const facts = hardwareFacts(await detectHardware());
+    const validation = validateUserJS(content, { appVersion, facts });
     if (!validation.valid) {
       return res.status(400).json({ error: validation.reason });
     }
 
-    const profilePath = await resolveProfile();
-    const userJsFile = `${MOZILLA_DIR}/${profilePath}/user.js`;
+    const userJsFile = `${profile.path}/user.js`;
 
-    const backupPath = await rotateBackups(userJsFile);
+    const backupPath = await backupUserJs(profile, "editor-save");
 
     await writeFile(userJsFile, content, "utf-8");
 
@@ -2467,102 +2683,261 @@ app.post("/api/user-js", async (req, res) => {
     res.json({
       message: msg,
       path: userJsFile,
+      profile: describeProfile(profile),
       backupPath,
       warnings: validation.warnings || [],
     });
   } catch (error) {
-    res.status(500).json(safeError(error));
+    res.status(error.status || 500).json(safeError(error));
   }
 });
 
-// Restore user.js from most recent backup
+// Body of a restore: {backup?, allowUntracked?} (both optional, POST may have no body)
+function restoreRequest(req) {
+  const { backup, allowUntracked = false } = req.body ?? {};
+  if (backup !== undefined && typeof backup !== "string") {
+    return { error: '"backup" must be the file name of a backup' };
+  }
+  if (typeof allowUntracked !== "boolean") {
+    return { error: '"allowUntracked" must be true or false' };
+  }
+  return { backup, allowUntracked };
+}
+
+// Backup to restore: the one named in the request body, or the most recent
+async function pickBackup(profile, name) {
+  if (name !== undefined) return name;
+  const [latest] = await listBackups(profile.path);
+  if (!latest) throw new BackupError("No backup file found");
+  return latest.name;
+}
+
+// Replace user.js with a verified backup, backing up the current user.js first
+// so the restore can be undone; callers check the profile lock. A backup the
+// manifest does not know is only restored when the request confirms it
+// (`allowUntracked: true`).
+async function restoreUserJs(profile, name, { allowUntracked = false } = {}) {
+  const { content, verified } = await readVerifiedBackup(profile.path, name, { allowUntracked });
+  const backupPath = await backupUserJs(profile, "restore");
+  await writeFile(`${profile.path}/user.js`, content, "utf-8");
+  return { content, verified, backupPath };
+}
+
+// Restore user.js from a backup (most recent unless `backup` names one)
 app.post("/api/user-js/restore", async (req, res) => {
   try {
-    const profilePath = await resolveProfile();
-    const userJsFile = `${MOZILLA_DIR}/${profilePath}/user.js`;
-    const dir = path.dirname(userJsFile);
-    const base = path.basename(userJsFile);
-
-    // Find the most recent backup (supports both old .backup and new timestamped format)
-    const files = await readdir(dir);
-    const backups = files
-      .filter((f) => f === `${base}.backup` || f.startsWith(`${base}.backup-`))
-      .sort()
-      .reverse();
+    const { backup, allowUntracked, error } = restoreRequest(req);
+    if (error) return res.status(400).json({ error });
 
-    if (backups.length === 0) {
-      return res.status(404).json({ error: "No backup file found" });
+    const profile = await profileFor(req);
+    const lock = await getProfileLock(profile.path);
+    if (lock.locked) {
+      return res.status(409).json(profileLockedError(profile, lock));
     }
 
-    const latestBackup = path.join(dir, backups[0]);
-    await copyFile(latestBackup, userJsFile);
-    const content = await readFile(userJsFile, "utf-8");
+    const name = await pickBackup(profile, backup);
+    const { content, verified, backupPath } = await restoreUserJs(profile, name, { allowUntracked });
     res.json({
-      message: `Restored from ${backups[0]}! Restart Firefox to apply.`,
+      message: `Restored from ${name}! Restart Firefox to apply.`,
       content,
+      verified,
+      backupPath,
+      profile: describeProfile(profile),
     });
   } catch (error) {
-    res.status(500).json(safeError(error));
+    res.status(error.status || 500).json(safeError(error));
   }
 });
 
-// === ZERO-MISTAKE CONFIGURATION WIZARD ENDPOINTS ===
-// Production-grade wizard with robust profile detection, diff preview, rollback
+// === BACKUP BROWSER ===
+// Every user.js backup of a profile: list, view, diff, restore, pin
 
-/**
- * Detect Firefox profile with support for normal/Flatpak/Snap installs
- * Returns absolute path to profile directory
- */
-async function detectProfileRobust() {
-  const candidates = [
-    `${process.env.HOME}/.mozilla/firefox`,
-    `${process.env.HOME}/.var/app/org.mozilla.firefox/.mozilla/firefox`,
-    `${process.env.HOME}/snap/firefox/common/.mozilla/firefox`,
-  ];
+app.get("/api/backups", async (req, res) => {
+  try {
+    const profile = await profileFor(req);
+    res.json({ backups: await listBackups(profile.path), profile: describeProfile(profile) });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
 
-  for (const base of candidates) {
-    const iniPath = `${base}/profiles.ini`;
-    if (!existsSync(iniPath)) continue;
+// How many unpinned backups to keep per profile, and for how many days
+app.get("/api/backups/retention", async (req, res) => {
+  try {
+    res.json(await readRetention());
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
 
-    try {
-      const iniContent = await readFile(iniPath, "utf8");
-      const lines = iniContent.split("\n");
+app.put("/api/backups/retention", async (req, res) => {
+  try {
+    const { maxCount, maxAgeDays } = req.body;
+    res.json(await writeRetention({ maxCount, maxAgeDays }));
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
 
-      let currentPath = null;
-      for (const line of lines) {
-        if (line.startsWith("Path=")) {
-          currentPath = line.split("=")[1].trim();
-        }
-        if (line.startsWith("Default=1") && currentPath) {
-          const fullPath = `${base}/${currentPath}`;
-          if (existsSync(fullPath)) {
-            return fullPath;
-          }
-        }
+// Diff two backups, or a backup against the current user.js (no `to`)
+app.get("/api/backups/diff", async (req, res) => {
+  try {
+    const profile = await profileFor(req);
+    const { from, to } = req.query;
+    const userJsFile = `${profile.path}/user.js`;
+    const before = await readBackup(profile.path, from);
+    const after =
+      to !== undefined
+        ? await readBackup(profile.path, to)
+        : existsSync(userJsFile)
+          ? await readFile(userJsFile, "utf-8")
+          : "";
+
+    const diff = diffLines(before, after);
+    res.json({
+      from,
+      to: to ?? "user.js",
+      diff,
+      hasChanges: diff.some((part) => part.added || part.removed),
+      profile: describeProfile(profile),
+    });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
+
+app.get("/api/backups/:name", async (req, res) => {
+  try {
+    const profile = await profileFor(req);
+    const content = await readBackup(profile.path, req.params.name);
+    res.json({ name: req.params.name, content, profile: describeProfile(profile) });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
+
+// Restore a backup; the current user.js is backed up first so this can be undone
+app.post("/api/backups/:name/restore", async (req, res) => {
+  try {
+    const { allowUntracked, error } = restoreRequest(req);
+    if (error) return res.status(400).json({ error });
+
+    const profile = await profileFor(req);
+    const lock = await getProfileLock(profile.path);
+    if (lock.locked) {
+      return res.status(409).json(profileLockedError(profile, lock));
+    }
+
+    const { name } = req.params;
+    const { content, verified, backupPath } = await restoreUserJs(profile, name, { allowUntracked });
+    res.json({
+      message: `Restored from ${name}! Restart Firefox to apply.`,
+      content,
+      verified,
+      backupPath,
+      profile: describeProfile(profile),
+    });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
+
+// prefs.js / policies.json snapshot taken with a backup (verified like restores)
+app.get("/api/backups/:name/snapshots/:file", async (req, res) => {
+  try {
+    const profile = await profileFor(req);
+    const { name, file } = req.params;
+    const { content, source, timestamp } = await readSnapshot(profile.path, name, file);
+    res.json({ name, file, source, timestamp, content, profile: describeProfile(profile) });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
+
+// Put a snapshot back where it was copied from: the profile's prefs.js (with
+// the browser closed — it rewrites prefs.js on exit) or a policies.json of the
+// target (root-owned, through pkexec). user.js is backed up first, which
+// snapshots the current prefs.js and policies.json, so this can be undone.
+app.post("/api/backups/:name/snapshots/:file/restore", async (req, res) => {
+  try {
+    const profile = await profileFor(req);
+    const target = getTarget(profile.target);
+    const { name, file } = req.params;
+    const { content, source } = await readSnapshot(profile.path, name, file);
+
+    const isPrefsJs = source === `${profile.path}/prefs.js`;
+    if (!isPrefsJs && !target.policyPaths.includes(source)) {
+      return res.status(400).json({
+        error: `${file} was copied from ${source}, which is neither this profile's prefs.js nor a ${target.name} policies.json`,
+      });
+    }
+    if (isPrefsJs) {
+      const lock = await getProfileLock(profile.path);
+      if (lock.locked) {
+        return res.status(409).json(profileLockedError(profile, lock));
       }
-    } catch (_err) {
-      continue;
     }
+
+    const backupPath = await backupUserJs(profile, "restore");
+    if (isPrefsJs) {
+      await writeFile(source, content, "utf-8");
+    } else {
+      const staged = `${STATE_DIR}/restore-policies.json`;
+      await writeFile(staged, content, { mode: 0o644 });
+      try {
+        await execFileAsync("pkexec", ["install", "-D", "-m", "644", staged, source], {
+          timeout: 60000,
+        });
+      } finally {
+        await unlink(staged).catch(() => {});
+      }
+    }
+    res.json({
+      message: `Restored ${source} from backup ${name}. Restart ${target.name} to apply.`,
+      source,
+      backupPath,
+      profile: describeProfile(profile),
+    });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
   }
+});
 
-  throw new Error("No Firefox profile found (checked normal, Flatpak, Snap)");
-}
+// Pinned backups are never pruned by rotateBackups()
+app.post("/api/backups/:name/pin", async (req, res) => {
+  try {
+    const pinned = req.body?.pinned;
+    if (typeof pinned !== "boolean") {
+      return res.status(400).json({ error: '"pinned" must be true or false' });
+    }
+    const profile = await profileFor(req);
+    await pinBackup(profile.path, req.params.name, pinned);
+    res.json({ name: req.params.name, pinned, profile: describeProfile(profile) });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
+
+// === ZERO-MISTAKE CONFIGURATION WIZARD ENDPOINTS ===
+// Production-grade wizard with robust profile detection, diff preview, rollback
 
 // Step 1: Detect profile and verify prefs.js exists
-app.get("/api/wizard/profile", async (_req, res) => {
+app.get("/api/wizard/profile", async (req, res) => {
   try {
-    const profilePath = await detectProfileRobust();
-    const prefsPath = `${profilePath}/prefs.js`;
-    const userJsPath = `${profilePath}/user.js`;
+    const profile = await profileFor(req);
+    const prefsPath = `${profile.path}/prefs.js`;
+    const userJsPath = `${profile.path}/user.js`;
+    const lock = await getProfileLock(profile.path);
 
     res.json({
-      profile: profilePath,
+      profile: describeProfile(profile),
       prefsExists: existsSync(prefsPath),
       userJsExists: existsSync(userJsPath),
-      firefoxRunning: await isFirefoxRunning(),
+      firefoxRunning: lock.locked,
+      lockPid: lock.pid,
     });
   } catch (error) {
-    res.status(404).json({ error: error.message });
+    res.status(error.status || 404).json({ error: error.message });
   }
 });
 
@@ -2575,8 +2950,8 @@ app.post("/api/wizard/diff", async (req, res) => {
       return res.status(400).json({ error: "Invalid content (max 512KB)" });
     }
 
-    const profilePath = await detectProfileRobust();
-    const userJsPath = `${profilePath}/user.js`;
+    const profile = await profileFor(req);
+    const userJsPath = `${profile.path}/user.js`;
 
     let currentContent = "";
     if (existsSync(userJsPath)) {
@@ -2587,21 +2962,24 @@ app.post("/api/wizard/diff", async (req, res) => {
 
     res.json({
       diff,
+      profile: describeProfile(profile),
       currentSize: currentContent.length,
       newSize: newContent.length,
       hasChanges: diff.some((part) => part.added || part.removed),
     });
   } catch (error) {
-    res.status(500).json(safeError(error));
+    res.status(error.status || 500).json(safeError(error));
   }
 });
 
 // Step 3: Apply configuration safely (with Firefox check + rotating backups)
 app.post("/api/wizard/apply", async (req, res) => {
   try {
-    if (await isFirefoxRunning()) {
+    const profile = await profileFor(req);
+    const lock = await getProfileLock(profile.path);
+    if (lock.locked) {
       return res.status(409).json({
-        error: "Firefox is running",
+        ...profileLockedError(profile, lock),
         message: "Close Firefox before applying configuration",
       });
     }
@@ -2619,11 +2997,10 @@ app.post("/api/wizard/apply", async (req, res) => {
         .json({ error: validation.reason || "Invalid user.js content" });
     }
 
-    const profilePath = await detectProfileRobust();
-    const userJsPath = `${profilePath}/user.js`;
+    const userJsPath = `${profile.path}/user.js`;
 
-    // Rotate backups (keep last 5)
-    const backupPath = await rotateBackups(userJsPath);
+    // Rotate backups (retention from /api/backups/retention)
+    const backupPath = await backupUserJs(profile, "wizard-apply");
 
     // Write new user.js
     await writeFile(userJsPath, newContent, "utf8");
@@ -2631,44 +3008,291 @@ app.post("/api/wizard/apply", async (req, res) => {
     res.json({
       success: true,
       path: userJsPath,
+      profile: describeProfile(profile),
       backupCreated: !!backupPath,
     });
   } catch (error) {
-    res.status(500).json(safeError(error));
+    res.status(error.status || 500).json(safeError(error));
   }
 });
 
-// Step 4: Rollback to most recent backup (supports timestamped backups from rotateBackups)
-app.post("/api/wizard/rollback", async (_req, res) => {
+// Step 4: Rollback to a backup (most recent unless `backup` names one)
+app.post("/api/wizard/rollback", async (req, res) => {
   try {
-    const profilePath = await detectProfileRobust();
-    const userJsPath = `${profilePath}/user.js`;
-    const dir = path.dirname(userJsPath);
-    const base = path.basename(userJsPath);
-
-    // Find most recent backup (timestamped format: user.js.backup-2026-02-09T...)
-    const files = await readdir(dir);
-    const backups = files
-      .filter((f) => f === `${base}.backup` || f.startsWith(`${base}.backup-`))
-      .sort()
-      .reverse();
+    const { backup, allowUntracked, error } = restoreRequest(req);
+    if (error) return res.status(400).json({ error });
 
+    const profile = await profileFor(req);
+    const lock = await getProfileLock(profile.path);
+    if (lock.locked) {
+      return res.status(409).json(profileLockedError(profile, lock));
+    }
+    const backups = await listBackups(profile.path);
     if (backups.length === 0) {
       return res.status(404).json({ error: "No backup available" });
     }
 
-    const latestBackup = path.join(dir, backups[0]);
-    await copyFile(latestBackup, userJsPath);
+    const name = await pickBackup(profile, backup);
+    const { verified, backupPath } = await restoreUserJs(profile, name, { allowUntracked });
 
     res.json({
       success: true,
       restored: true,
-      path: userJsPath,
-      backupUsed: latestBackup,
+      verified,
+      path: `${profile.path}/user.js`,
+      backupPath,
+      profile: describeProfile(profile),
+      backupUsed: path.join(profile.path, name),
       availableBackups: backups.length,
     });
   } catch (error) {
-    res.status(500).json(safeError(error));
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
+
+// === PROFILE EXPORT / IMPORT BUNDLES ===
+// Move a known-good configuration between machines as one .tar.gz
+
+const bundleUpload = express.raw({
+  type: ["application/gzip", "application/x-gzip", "application/octet-stream"],
+  limit: "10mb",
+});
+
+// Download user.js, managed prefs.js values and user.js backups of a profile
+app.get("/api/profile/export", async (req, res) => {
+  try {
+    const profile = await profileFor(req);
+    const userJsPath = `${profile.path}/user.js`;
+    const userJs = existsSync(userJsPath) ? await readFile(userJsPath, "utf8") : null;
+
+    const backups = [];
+    for (const name of (await readdir(profile.path)).filter((f) => BACKUP_NAME.test(f)).sort()) {
+      backups.push({ name, content: await readFile(`${profile.path}/${name}`, "utf8") });
+    }
+
+    const bundle = await packBundle({
+      profile: describeProfile(profile),
+      userJs,
+      managedPrefs: await readManagedPrefs(profile.path),
+      backups,
+      preset: await readSelectedPreset(PREF_PRESETS),
+    });
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    const safeName = profile.name.replace(/[^\w.-]+/g, "_");
+    res.setHeader("Content-Type", "application/gzip");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="firefox-hud-${safeName}-${stamp}.tar.gz"`,
+    );
+    res.send(bundle);
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
+
+// Preview an uploaded bundle against the selected profile (nothing is written)
+app.post("/api/profile/import/preview", bundleUpload, async (req, res) => {
+  try {
+    const bundle = await unpackBundle(req.body);
+    const profile = await profileFor(req);
+    const userJsPath = `${profile.path}/user.js`;
+    const currentContent = existsSync(userJsPath) ? await readFile(userJsPath, "utf8") : "";
+    const diff = diffLines(currentContent, bundle.userJs ?? "");
+
+    // Runtime values differ until the imported user.js is loaded by a restart
+    const currentPrefs = await readManagedPrefs(profile.path);
+    // Older bundles carry raw prefs.js literals — compare typed values
+    const catalog = effectiveCatalog();
+    const prefDifferences = Object.entries(bundle.managedPrefs)
+      .map(([pref, value]) => [pref, coerceValue(findPrefSchema(catalog, pref), value)])
+      .filter(([pref, value]) => currentPrefs[pref] !== value)
+      .map(([pref, value]) => ({ pref, current: currentPrefs[pref] ?? null, bundled: value }));
+
+    res.json({
+      manifest: bundle.manifest,
+      profile: describeProfile(profile),
+      diff,
+      hasChanges: diff.some((part) => part.added || part.removed),
+      prefDifferences,
+      backups: bundle.backups.map((b) => b.name),
+    });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
+
+// Import a bundle: back up and replace user.js, add bundled backups that are not present yet
+app.post("/api/profile/import", bundleUpload, async (req, res) => {
+  try {
+    const bundle = await unpackBundle(req.body);
+    const profile = await profileFor(req);
+    const lock = await getProfileLock(profile.path);
+    if (lock.locked) {
+      return res.status(409).json(profileLockedError(profile, lock));
+    }
+
+    // Everything is checked before anything is written
+    const userJsPath = `${profile.path}/user.js`;
+    if (bundle.userJs !== null) {
+      const validation = validateUserJS(bundle.userJs);
+      if (!validation.valid) {
+        return res
+          .status(400)
+          .json({ error: validation.reason || "Bundled user.js is invalid" });
+      }
+    }
+    const newBackups = bundle.backups.filter(
+      (backup) => BACKUP_NAME.test(backup.name) && !existsSync(`${profile.path}/${backup.name}`),
+    );
+
+    // Back up the current user.js before the bundled backups are added, so its
+    // rotation cannot prune them
+    const backupPath = bundle.userJs !== null ? await backupUserJs(profile, "import") : null;
+
+    // Bundled backups next, recorded in the manifest with the checksums the
+    // bundle carries so restores verify them like local ones; if one fails,
+    // the ones written are removed and user.js is left alone
+    const importedBackups = [];
+    try {
+      for (const backup of newBackups) {
+        const dest = `${profile.path}/${backup.name}`;
+        await writeFile(dest, backup.content, "utf8");
+        importedBackups.push(dest);
+        await recordBackup(dest, { sha256: backup.sha256, action: "import" });
+      }
+    } catch (error) {
+      for (const dest of importedBackups) await unlink(dest).catch(() => {});
+      throw error;
+    }
+
+    if (bundle.userJs !== null) {
+      await writeFile(userJsPath, bundle.userJs, "utf8");
+    }
+
+    res.json({
+      success: true,
+      path: userJsPath,
+      profile: describeProfile(profile),
+      backupCreated: !!backupPath,
+      importedBackups: newBackups.map((backup) => backup.name),
+      message:
+        bundle.userJs !== null
+          ? `Imported configuration from ${bundle.manifest.host || "bundle"}. Restart ${getTarget(profile.target).name} to apply.`
+          : "Bundle had no user.js — only backups were imported",
+    });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
+
+// === DISPOSABLE TEST PROFILES ===
+// Try a candidate user.js in a throwaway profile, then promote or discard it
+
+app.get("/api/test-profiles", async (_req, res) => {
+  try {
+    const testProfiles = await listTestProfiles();
+    for (const testProfile of testProfiles) {
+      testProfile.running = (await getProfileLock(testProfile.path)).locked;
+    }
+    res.json({ testProfiles });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
+
+// Clone the selected profile's prefs, write the candidate user.js and launch it
+app.post("/api/test-profiles", async (req, res) => {
+  try {
+    const { newContent } = req.body;
+
+    if (typeof newContent !== "string" || newContent.length > 512 * 1024) {
+      return res.status(400).json({ error: "Invalid content (max 512KB)" });
+    }
+
+    const validation = validateUserJS(newContent);
+    if (!validation.valid) {
+      return res
+        .status(400)
+        .json({ error: validation.reason || "Invalid user.js content" });
+    }
+
+    const profile = await profileFor(req);
+    let testProfile = await createTestProfile(profile, newContent);
+    let launchError = null;
+    try {
+      testProfile = await launchTestProfile(testProfile.id);
+    } catch (error) {
+      launchError = error.message; // profile stays — it can be launched by hand
+    }
+
+    res.status(201).json({
+      success: true,
+      testProfile,
+      launched: !launchError,
+      launchError,
+      profile: describeProfile(profile),
+      message: launchError
+        ? `Test profile created but not launched: ${launchError}`
+        : `${getTarget(profile.target).name} started on a test profile (PID ${testProfile.pid})`,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
+
+// Copy the test profile's user.js into the real profile it was cloned from, then discard it
+app.post("/api/test-profiles/:id/promote", async (req, res) => {
+  try {
+    const testProfile = await getTestProfile(req.params.id);
+    const profile = await resolveProfile(testProfile.source.id, testProfile.target);
+    const lock = await getProfileLock(profile.path);
+    if (lock.locked) {
+      return res.status(409).json(profileLockedError(profile, lock));
+    }
+
+    const content = await readTestUserJs(testProfile.id);
+    const validation = validateUserJS(content);
+    if (!validation.valid) {
+      return res
+        .status(400)
+        .json({ error: validation.reason || "Invalid user.js content" });
+    }
+
+    const userJsPath = `${profile.path}/user.js`;
+    const backupPath = await backupUserJs(profile, "test-profile-promote");
+    await writeFile(userJsPath, content, "utf8");
+
+    await closeProfile(testProfile);
+    await removeTestProfile(testProfile.id);
+
+    res.json({
+      success: true,
+      path: userJsPath,
+      profile: describeProfile(profile),
+      backupCreated: !!backupPath,
+      message: `Test configuration promoted to "${profile.name}"`,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
+
+// Close the test instance (if still running) and delete the test profile
+app.delete("/api/test-profiles/:id", async (req, res) => {
+  try {
+    const testProfile = await getTestProfile(req.params.id);
+    const lock = await closeProfile(testProfile);
+    if (lock.locked) {
+      return res.status(409).json({
+        error: `Test profile is still in use (PID ${lock.pid})`,
+        pid: lock.pid,
+      });
+    }
+    await removeTestProfile(testProfile.id);
+    res.json({ success: true, discarded: testProfile.id });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
   }
 });
 
@@ -2677,9 +3301,12 @@ app.post("/api/wizard/rollback", async (_req, res) => {
 // ============================================================================
 
 // Check current telemetry blocking status
-app.get("/api/telemetry/status", async (_req, res) => {
+app.get("/api/telemetry/status", async (req, res) => {
   try {
+    const target = getTarget(targetSelector(req));
     const status = {
+      target: target.id,
+      policyDir: target.policyDir,
       dnsBlocking: false,
       enterprisePolicy: false,
       dnsBlockedDomains: [],
@@ -2706,13 +3333,8 @@ app.get("/api/telemetry/status", async (_req, res) => {
       }
     }
 
-    // Check Enterprise Policy
-    const policyPaths = [
-      "/etc/firefox/policies/policies.json",
-      "/usr/lib64/firefox/distribution/policies.json",
-    ];
-
-    for (const policyPath of policyPaths) {
+    // Check Enterprise Policy (every location the target reads policies.json from)
+    for (const policyPath of target.policyPaths) {
       if (existsSync(policyPath)) {
         try {
           const policyContent = await readFile(policyPath, "utf8");
@@ -2743,7 +3365,7 @@ app.get("/api/telemetry/status", async (_req, res) => {
     res.json(status);
   } catch (error) {
     console.error("Telemetry status check error:", error);
-    res.status(500).json(safeError(error));
+    res.status(error.status || 500).json(safeError(error));
   }
 });
 
@@ -2799,18 +3421,28 @@ app.post("/api/telemetry/block-dns", async (req, res) => {
 
 // Install Enterprise Policy
 app.post("/api/telemetry/install-policy", async (req, res) => {
+  let target;
+  try {
+    target = getTarget(targetSelector(req));
+  } catch (error) {
+    return res.status(error.status || 500).json(safeError(error));
+  }
+
   try {
-    const policyDir = "/etc/firefox/policies";
+    const policyDir = target.policyDir;
     const policyFile = `${policyDir}/policies.json`;
 
     const policy = {
       policies: {
         DisableTelemetry: true,
         DisableFirefoxStudies: true,
-        DisablePocket: true,
-        DisableFormHistory: true,
-        DontCheckDefaultBrowser: true,
-        DisableFirefoxAccounts: true,
+        // Browser-only policies — Thunderbird reports these as unknown
+        ...(target.isBrowser && {
+          DisablePocket: true,
+          DisableFormHistory: true,
+          DontCheckDefaultBrowser: true,
+          DisableFirefoxAccounts: true,
+        }),
         OverrideFirstRunPage: "",
         OverridePostUpdatePage: "",
       },
@@ -2847,7 +3479,7 @@ echo "SUCCESS: Enterprise policy installed at ${policyFile}"
       policyContent: policy,
       verification: policyExists ? "SUCCESS" : "FAILED",
       nextSteps: [
-        "Restart Firefox to apply policy",
+        `Restart ${target.name} to apply policy`,
         "Policy applies to all users on this system",
         "Policy cannot be overridden by user.js",
         "Verify in about:policies",
@@ -2862,6 +3494,240 @@ echo "SUCCESS: Enterprise policy installed at ${policyFile}"
   }
 });
 
+// === IGNORED PREFS (user.js prefs missing from prefs.js after a restart) ===
+
+// Compare user.js with prefs.js; restartPending means user.js changed since
+// Firefox last wrote prefs.js, so the comparison is not meaningful yet
+async function ignoredPrefsFor(profile) {
+  const userJsPath = `${profile.path}/user.js`;
+  const prefsJsPath = `${profile.path}/prefs.js`;
+  if (!existsSync(userJsPath)) {
+    throw new IgnoredPrefsError("This profile has no user.js", 404);
+  }
+  if (!existsSync(prefsJsPath)) {
+    throw new IgnoredPrefsError(
+      `No prefs.js yet — start ${getTarget(profile.target).name} once with this profile`,
+    );
+  }
+
+  const [userJs, prefsJs, userJsStat, prefsJsStat] = await Promise.all([
+    readFile(userJsPath, "utf8"),
+    readFile(prefsJsPath, "utf8"),
+    stat(userJsPath),
+    stat(prefsJsPath),
+  ]);
+  const target = getTarget(profile.target);
+  const appVersion = await detectAppVersion(target, profile.path);
+  const builtIn = await loadFirefoxDefaults(target, profile.install);
+  return {
+    userJsPath,
+    userJs,
+    appVersion,
+    restartPending: userJsStat.mtimeMs > prefsJsStat.mtimeMs,
+    ignored: findIgnoredPrefs(userJs, prefsJs, effectiveCatalog(), appVersion.major, builtIn),
+  };
+}
+
+// List ignored prefs, classified as "default", "unknown" (or removed) and "locked"
+app.get("/api/ignored-prefs", async (req, res) => {
+  try {
+    const profile = await profileFor(req);
+    const { appVersion, restartPending, ignored } = await ignoredPrefsFor(profile);
+    const summary = Object.fromEntries(
+      IGNORED_KINDS.map((kind) => [kind, ignored.filter((entry) => entry.kind === kind).length]),
+    );
+    res.json({ appVersion, restartPending, summary, ignored, profile: describeProfile(profile) });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
+
+// Comment out or remove ignored prefs — body: { prefs: [...], action: "comment"|"remove" }
+app.post("/api/ignored-prefs/fix", async (req, res) => {
+  try {
+    const { prefs, action = "comment" } = req.body || {};
+    if (!FIX_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `"action" must be one of ${FIX_ACTIONS.join(", ")}` });
+    }
+    if (!Array.isArray(prefs) || prefs.length === 0) {
+      return res.status(400).json({ error: "Select at least one ignored pref" });
+    }
+
+    const profile = await profileFor(req);
+    const lock = await getProfileLock(profile.path);
+    if (lock.locked) {
+      return res.status(409).json(profileLockedError(profile, lock));
+    }
+
+    // Only prefs the server itself detects as ignored may be touched
+    const { userJsPath, userJs, ignored } = await ignoredPrefsFor(profile);
+    const detected = new Set(ignored.map((entry) => entry.pref));
+    const notIgnored = prefs.filter((pref) => !detected.has(pref));
+    if (notIgnored.length > 0) {
+      return res.status(400).json({
+        error: `Not ignored by ${getTarget(profile.target).name}: ${notIgnored.slice(0, 10).join(", ")}`,
+      });
+    }
+
+    const { content, changed } = fixIgnoredPrefs(userJs, prefs, action);
+    const validation = validateUserJS(content);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.reason });
+    }
+
+    const backupPath = await backupUserJs(profile, "ignored-prefs-fix");
+    await writeFile(userJsPath, content, "utf8");
+
+    const verb = action === "comment" ? "Commented out" : "Removed";
+    res.json({
+      success: true,
+      action,
+      changed,
+      path: userJsPath,
+      profile: describeProfile(profile),
+      backupCreated: !!backupPath,
+      message: `${verb} ${changed.length} ignored pref${changed.length === 1 ? "" : "s"} in user.js`,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
+
+// === UPSTREAM USER.JS IMPORT (Betterfox / arkenfox) ===
+// Compare an upstream user.js with the catalog and the profile's user.js, then
+// adopt selected upstream prefs into user.js
+
+// Parse the pasted/uploaded upstream file from a request body (400 when unusable)
+function upstreamFrom(req) {
+  const { content } = req.body;
+  if (typeof content !== "string" || content.length === 0 || content.length > 512 * 1024) {
+    return { error: "Paste or load an upstream user.js (max 512KB)" };
+  }
+  const upstream = parseUpstreamUserJs(content);
+  if (upstream.entries.length === 0) {
+    return { error: "No user_pref() lines found — is this a user.js file?" };
+  }
+  return { upstream };
+}
+
+const upstreamLabel = (upstream) =>
+  upstream.version ? `${upstream.name} v${upstream.version}` : upstream.name;
+
+app.post("/api/upstream/compare", async (req, res) => {
+  try {
+    const { upstream, error } = upstreamFrom(req);
+    if (error) return res.status(400).json({ error });
+
+    const profile = await profileFor(req);
+    const { preset, categories } = await categoriesFor(req);
+    const rows = compareUpstream(
+      upstream.entries,
+      categories,
+      await readUserJsValues(profile.path),
+      upstreamLabel(upstream),
+    );
+
+    const summary = { new: 0, changed: 0, same: 0, "catalog-only": 0 };
+    for (const row of rows) summary[row.status]++;
+
+    res.json({
+      upstream: {
+        project: upstream.project,
+        name: upstream.name,
+        version: upstream.version,
+        label: upstreamLabel(upstream),
+        prefCount: upstream.entries.length,
+        inactive: upstream.inactive,
+      },
+      preset: preset.id,
+      summary,
+      rows,
+      profile: describeProfile(profile),
+    });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
+
+app.post("/api/upstream/adopt", async (req, res) => {
+  try {
+    const { upstream, error } = upstreamFrom(req);
+    if (error) return res.status(400).json({ error });
+
+    // Values come from the re-parsed upstream file, never from the client
+    const { prefs } = req.body;
+    if (!Array.isArray(prefs) || prefs.length === 0) {
+      return res.status(400).json({ error: "Select at least one upstream pref to adopt" });
+    }
+    const byName = new Map(upstream.entries.map((entry) => [entry.pref, entry]));
+    const missing = prefs.filter((pref) => !byName.has(pref));
+    if (missing.length > 0) {
+      return res.status(400).json({
+        error: `Not in the upstream file: ${missing.slice(0, 10).join(", ")}`,
+      });
+    }
+
+    const profile = await profileFor(req);
+    const lock = await getProfileLock(profile.path);
+    if (lock.locked) {
+      return res.status(409).json(profileLockedError(profile, lock));
+    }
+
+    const userJsPath = `${profile.path}/user.js`;
+    const ast = parsePrefs(existsSync(userJsPath) ? await readFile(userJsPath, "utf8") : "");
+
+    // Adopted prefs go through the managed block like applied ones — changed
+    // in place, or added under their category heading ("Other" with the
+    // upstream description when the catalog lacks them) — so they do not end
+    // up after the block overriding managed values
+    const values = {};
+    const descriptions = {};
+    for (const pref of prefs) {
+      const entry = byName.get(pref);
+      values[pref] = entry.value;
+      if (entry.description) descriptions[pref] = entry.description;
+    }
+    const { changed, added } = updateManagedPrefs(ast, values, allCategories(), { descriptions });
+    if (ast.edits.length === 0) {
+      return res.json({
+        success: true,
+        adopted: [],
+        path: userJsPath,
+        profile: describeProfile(profile),
+        backupCreated: false,
+        warnings: [],
+        message: "The managed block already has the upstream values of the selected prefs",
+      });
+    }
+    const content = printPrefs(ast);
+
+    const validation = validateUserJS(content);
+    if (!validation.valid) {
+      return res
+        .status(400)
+        .json({ error: validation.reason || "Adopted prefs produce an invalid user.js" });
+    }
+
+    const adopted = [...changed, ...added];
+    const backupPath = await backupUserJs(profile, "upstream-adopt");
+    await writeFile(userJsPath, content, "utf8");
+
+    res.json({
+      success: true,
+      adopted,
+      changed,
+      added,
+      path: userJsPath,
+      profile: describeProfile(profile),
+      backupCreated: !!backupPath,
+      warnings: validation.warnings || [],
+      message: `Adopted ${adopted.length} pref${adopted.length === 1 ? "" : "s"} from ${upstreamLabel(upstream)}. Restart ${getTarget(profile.target).name} to apply.`,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json(safeError(error));
+  }
+});
+
 // === START SERVER (LOCALHOST ONLY — OWASP: bind to loopback) ===
 const PORT = 3001;
 const HOST = "127.0.0.1";
@@ -2869,4 +3735,9 @@ app.listen(PORT, HOST, () => {
   console.log(
     `Firefox Performance Tuner API running on http://${HOST}:${PORT}`,
   );
+  watchProfiles((root, target) =>
+    console.log(
+      `[profiles] ${target.name} profiles.ini changed in ${root.dir} — cache cleared`,
+    ),
+  );
 });
@@ -18,6 +18,8 @@ import {
   Toolbar as MuiToolbar,
   IconButton,
   Fade,
+  Checkbox,
+  FormControlLabel,
 } from "@mui/material";
 import RefreshIcon from "@mui/icons-material/Refresh";
 import PlayArrowIcon from "@mui/icons-material/PlayArrow";
@@ -34,7 +36,11 @@ import ToastContainer, { showToast } from "./components/Toast";
 import StatusBadge from "./components/StatusBadge";
 import CopyButton from "./components/CopyButton";
 import ServerStatus from "./components/ServerStatus";
+import ProfileSwitcher from "./components/ProfileSwitcher";
+import PresetSelector from "./components/PresetSelector";
+import CustomCategories from "./components/CustomCategories";
 import { generatePreferenceScript } from "./utils/clipboard";
+import { apiUrl } from "./utils/api";
 import "./App.css";
 
 const TABS = [
@@ -55,9 +61,18 @@ function App() {
   const [isMonitoring, setIsMonitoring] = useState(false);
   const [loading, setLoading] = useState(true);
   const [confirmAction, setConfirmAction] = useState(null);
+  const [regenerateComments, setRegenerateComments] = useState(false);
   const [benchmark, setBenchmark] = useState(null);
   const [benchLoading, setBenchLoading] = useState(false);
   const [apiMode, setApiMode] = useState("checking"); // 'full' | 'demo' | 'disconnected' | 'checking'
+  const [profileList, setProfileList] = useState({ profiles: [], defaultProfile: null });
+  const [profile, setProfile] = useState(""); // "" = server default profile
+  const [targets, setTargets] = useState([]);
+  const [target, setTarget] = useState(""); // "" = Firefox
+  const [presetInfo, setPresetInfo] = useState({ presets: [], selected: null });
+  const [appVersion, setAppVersion] = useState(null);
+  const [ruleFindings, setRuleFindings] = useState([]);
+  const [prefDefaults, setPrefDefaults] = useState({ defaults: {} });
 
   const fetchData = useCallback(async (url, setter, label) => {
     try {
@@ -96,14 +111,53 @@ function App() {
     if (mode === "full") {
       await Promise.all([
         fetchData("/api/system-info", setSystemInfo, "system info"),
-        fetchData("/api/preferences", setPreferences, "preferences"),
+        fetchData(apiUrl("/api/preferences", { profile, target }), setPreferences, "preferences"),
         fetchData("/api/pref-categories", setPrefCategories, "categories"),
-        fetchData("/api/processes", setProcesses, "processes"),
+        fetchData("/api/presets", setPresetInfo, "presets"),
+        fetchData(apiUrl("/api/app-version", { profile, target }), setAppVersion, "app version"),
+        fetchData(
+          apiUrl("/api/preferences/defaults", { profile, target }),
+          setPrefDefaults,
+          "built-in defaults",
+        ),
+        fetchData(
+          apiUrl("/api/preferences/rules", { profile, target }),
+          (data) => setRuleFindings(data.findings),
+          "preference rules",
+        ),
+        fetchData("/api/targets", (data) => setTargets(data.targets), "targets"),
+        fetchData(apiUrl("/api/profiles", { target }), setProfileList, "profiles"),
+        fetchData(apiUrl("/api/processes", { target }), setProcesses, "processes"),
         fetchData("/api/logs", setLogs, "logs"),
       ]);
     }
     setLoading(false);
-  }, [fetchData, checkApiMode]);
+  }, [fetchData, checkApiMode, profile, target]);
+
+  // Switching preset changes every expected value — refetch the categories
+  const selectPreset = async (preset) => {
+    try {
+      const response = await fetch("/api/presets/select", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ preset }),
+      });
+      const result = await response.json();
+      showToast(result.message || result.error, response.ok ? "success" : "error");
+      await Promise.all([
+        fetchData("/api/presets", setPresetInfo, "presets"),
+        fetchData("/api/pref-categories", setPrefCategories, "categories"),
+      ]);
+    } catch (_error) {
+      showToast("Failed to select preset", "error");
+    }
+  };
+
+  // Profiles belong to one application — switching target resets to its default
+  const changeTarget = (next) => {
+    setTarget(next);
+    setProfile("");
+  };
 
   const getCriticalPrefs = () => {
     const flat = {};
@@ -120,11 +174,31 @@ function App() {
       const response = await fetch("/api/apply-preferences", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ preferences: getCriticalPrefs() }),
+        body: JSON.stringify({
+          preferences: getCriticalPrefs(),
+          regenerateComments,
+          profile,
+          target,
+        }),
       });
       const result = await response.json();
-      showToast(result.message, "success");
-      fetchData("/api/preferences", setPreferences, "preferences");
+      const keyErrors = Object.entries(result.errors || {}).map(([pref, message]) => `${pref}: ${message}`);
+      showToast(
+        [result.message || result.error, ...keyErrors].join("\n"),
+        response.ok ? "success" : "error",
+      );
+      if (result.warnings?.length > 0) {
+        showToast(
+          `⚠️ ${result.warnings.length} line(s) after the managed block in user.js override applied prefs — see the user.js editor`,
+          "warning",
+        );
+      }
+      fetchData(apiUrl("/api/preferences", { profile, target }), setPreferences, "preferences");
+      fetchData(
+        apiUrl("/api/preferences/rules", { profile, target }),
+        (data) => setRuleFindings(data.findings),
+        "preference rules",
+      );
     } catch (_error) {
       showToast("Failed to apply preferences", "error");
     }
@@ -156,13 +230,13 @@ function App() {
     if (isMonitoring) {
       const interval = setInterval(() => {
         fetchData("/api/system-info", setSystemInfo, "system info");
-        fetchData("/api/preferences", setPreferences, "preferences");
-        fetchData("/api/processes", setProcesses, "processes");
+        fetchData(apiUrl("/api/preferences", { profile, target }), setPreferences, "preferences");
+        fetchData(apiUrl("/api/processes", { target }), setProcesses, "processes");
         fetchData("/api/logs", setLogs, "logs");
       }, refreshInterval * 1000);
       return () => clearInterval(interval);
     }
-  }, [isMonitoring, refreshInterval, fetchData]);
+  }, [isMonitoring, refreshInterval, fetchData, profile, target]);
 
   const prefIssueCount = Object.keys(getCriticalPrefs()).filter((key) => {
     const expected = getCriticalPrefs()[key];
@@ -209,6 +283,17 @@ function App() {
             <DialogTitle>{confirmAction.title}</DialogTitle>
             <DialogContent>
               <DialogContentText>{confirmAction.message}</DialogContentText>
+              {confirmAction.commentOption && (
+                <FormControlLabel
+                  control={
+                    <Checkbox
+                      checked={regenerateComments}
+                      onChange={(e) => setRegenerateComments(e.target.checked)}
+                    />
+                  }
+                  label="Rewrite description comments from the catalog"
+                />
+              )}
             </DialogContent>
             <DialogActions>
               <Button onClick={() => setConfirmAction(null)} color="inherit">
@@ -230,6 +315,15 @@ function App() {
       <header className="header">
         <div className="header-top">
           <h1>🦊 Firefox Performance Tuner</h1>
+          <ProfileSwitcher
+            profiles={profileList.profiles}
+            defaultProfile={profileList.defaultProfile}
+            value={profile}
+            onChange={setProfile}
+            targets={targets}
+            target={target}
+            onTargetChange={changeTarget}
+          />
           <StatusBadge
             isMonitoring={isMonitoring}
             refreshInterval={refreshInterval}
@@ -332,8 +426,9 @@ function App() {
               setConfirmAction({
                 title: "Apply All Optimized Preferences?",
                 message:
-                  "This will write all recommended values to user.js. A backup will be created. Firefox must be restarted to apply changes.",
+                  "This will write all recommended values to the tuner's block in user.js. A backup will be created. Firefox must be restarted to apply changes.",
                 confirmLabel: "Apply",
+                commentOption: true,
                 onConfirm: applyPreferences,
               })
             }
@@ -456,11 +551,14 @@ function App() {
             <AutoFix
               preferences={preferences}
               categories={prefCategories}
+              profile={profile}
+              target={target}
+              profileCount={profileList.profiles.filter((p) => p.exists).length}
               showToast={showToast}
               onFixed={fetchAll}
             />
 
-            <TelemetryBlocker />
+            <TelemetryBlocker target={target} />
 
             <div className="section" style={{ marginTop: "16px" }}>
               <div className="section-title">🧪 Performance Benchmark</div>
@@ -500,6 +598,12 @@ function App() {
 
               {benchmark && (
                 <div className="bench-results">
+                  <PresetSelector
+                    presets={presetInfo.presets}
+                    selected={presetInfo.selected}
+                    suggested={benchmark.suggestedPreset}
+                    onSelect={selectPreset}
+                  />
                   <div
                     className="summary-cards"
                     style={{ marginBottom: "16px" }}
@@ -612,26 +716,45 @@ function App() {
         )}
 
         {activeTab === "prefs" && (
-          <PreferencesPanel
-            preferences={preferences}
-            categories={prefCategories}
-            onApply={() =>
-              setConfirmAction({
-                title: "Apply All Optimized Preferences?",
-                message:
-                  "This will write all recommended values to user.js. A backup will be created. Firefox must be restarted to apply changes.",
-                confirmLabel: "Apply",
-                onConfirm: applyPreferences,
-              })
-            }
-          />
+          <>
+            <PresetSelector
+              presets={presetInfo.presets}
+              selected={presetInfo.selected}
+              suggested={benchmark?.suggestedPreset}
+              onSelect={selectPreset}
+            />
+            <CustomCategories showToast={showToast} onChanged={fetchAll} />
+            <PreferencesPanel
+              preferences={preferences}
+              categories={prefCategories}
+              appVersion={appVersion}
+              ruleFindings={ruleFindings}
+              defaults={prefDefaults.defaults}
+              profile={profile}
+              target={target}
+              onApply={() =>
+                setConfirmAction({
+                  title: "Apply All Optimized Preferences?",
+                  message:
+                    "This will write all recommended values to the tuner's block in user.js. A backup will be created. Firefox must be restarted to apply changes.",
+                  confirmLabel: "Apply",
+                  commentOption: true,
+                  onConfirm: applyPreferences,
+                })
+              }
+            />
+          </>
         )}
 
         {activeTab === "editor" && (
           <UserJsEditor
+            profile={profile}
+            target={target}
             showToast={showToast}
             systemInfo={systemInfo}
             apiMode={apiMode}
+            categories={prefCategories}
+            preferences={preferences}
           />
         )}
 
@@ -1,8 +1,17 @@
 import { useState, useEffect } from "react";
 import "./AutoFix.css";
 
-export default function AutoFix({ preferences, categories, showToast, onFixed }) {
+export default function AutoFix({
+  preferences,
+  categories,
+  profile,
+  target,
+  profileCount,
+  showToast,
+  onFixed,
+}) {
   const [fixing, setFixing] = useState(false);
+  const [allProfiles, setAllProfiles] = useState(false);
   const [result, setResult] = useState(null);
   const [externalPlayers, setExternalPlayers] = useState(null);
   const [loadingPlayers, setLoadingPlayers] = useState(false);
@@ -27,7 +36,8 @@ export default function AutoFix({ preferences, categories, showToast, onFixed })
     const confirmed = window.confirm(
       `Auto-fix will:\n\n` +
       `✅ Close Firefox (this page will close too!)\n` +
-      `✅ Fix ${issueCount} preference issues\n` +
+      `✅ Fix ${issueCount} preference issues` +
+      (allProfiles ? ` in all ${profileCount} profiles\n` : `\n`) +
       `✅ Create automatic backup\n` +
       `✅ Apply optimal settings\n` +
       `✅ Restart Firefox and reopen this page\n\n` +
@@ -45,6 +55,7 @@ export default function AutoFix({ preferences, categories, showToast, onFixed })
       const response = await fetch("/api/auto-fix", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ profile, target, allProfiles }),
       });
 
       const data = await response.json();
@@ -156,6 +167,17 @@ export default function AutoFix({ preferences, categories, showToast, onFixed })
           <p className="auto-fix-hint">
             ⚡ One-click fix for video buffering, tab suspension, and performance
           </p>
+          {profileCount > 1 && (
+            <label className="auto-fix-all-profiles">
+              <input
+                type="checkbox"
+                checked={allProfiles}
+                onChange={(e) => setAllProfiles(e.target.checked)}
+                disabled={fixing}
+              />
+              Apply tuned template to all {profileCount} profiles
+            </label>
+          )}
         </div>
       )}
 
@@ -163,7 +185,28 @@ export default function AutoFix({ preferences, categories, showToast, onFixed })
         <div className="auto-fix-result success">
           <h4>✅ Auto-Fix Complete!</h4>
           <p><strong>Fixed {result.issuesFixed} issues</strong></p>
-          <p>Backup created: <code>{result.backupPath}</code></p>
+          {result.profiles?.length > 1 ? (
+            <ul>
+              {result.profiles.map((p) => (
+                <li key={p.profile}>
+                  <code>{p.profile}</code>
+                  {p.backupPath ? " — backup created" : " — no previous user.js"}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p>Backup created: <code>{result.backupPath}</code></p>
+          )}
+          {result.warnings?.length > 0 && (
+            <>
+              <p>⚠️ Your own user.js lines override managed prefs:</p>
+              <ul>
+                {result.warnings.map((warning, i) => (
+                  <li key={i}>{warning}</li>
+                ))}
+              </ul>
+            </>
+          )}
           <div className="next-steps">
             <h5>Next Steps:</h5>
             <ol>
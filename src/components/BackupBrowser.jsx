@@ -0,0 +1,365 @@
+import { useState } from "react";
+import DiffView from "./DiffView";
+import { apiUrl } from "../utils/api";
+import "./ConfigWizard.css"; // shared dialog layout
+import "./BackupBrowser.css";
+
+const INTEGRITY = {
+  ok: { label: "✓", title: "SHA-256 matches the manifest" },
+  modified: { label: "⚠️", title: "Changed since it was made — restore is refused" },
+  untracked: { label: "–", title: "Not in the backup manifest; cannot be verified — restore asks to confirm" },
+};
+
+function formatSize(bytes) {
+  return bytes >= 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${bytes} B`;
+}
+
+// Every user.js backup of the profile: view one, diff it against user.js or
+// another backup, restore it (after its checksum is verified), or pin it so
+// rotation never prunes it; the prefs.js / policies.json snapshots taken with
+// a backup can be viewed and restored the same way; plus how many backups
+// rotation keeps
+export default function BackupBrowser({ profile, target, showToast, onRestored }) {
+  const [open, setOpen] = useState(false);
+  const [backups, setBackups] = useState(null);
+  const [compare, setCompare] = useState([]); // up to two backup names
+  const [preview, setPreview] = useState(null); // {title, content, snapshot?} or {title, diff}
+  const [busy, setBusy] = useState(false);
+  const [retention, setRetention] = useState(null); // {maxCount, maxAgeDays}
+
+  const notify = showToast || (() => {});
+
+  const parse = async (res) => {
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || `${res.status}`);
+    return data;
+  };
+
+  const get = async (path, params = {}) =>
+    parse(await fetch(apiUrl(path, { ...params, profile, target })));
+
+  const post = async (path, body = {}) =>
+    parse(
+      await fetch(apiUrl(path), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...body, profile, target }),
+      }),
+    );
+
+  const load = async () => {
+    try {
+      const [data, limits] = await Promise.all([get("/api/backups"), get("/api/backups/retention")]);
+      setBackups(data.backups);
+      setRetention(limits);
+      setCompare((names) => names.filter((name) => data.backups.some((b) => b.name === name)));
+    } catch (error) {
+      notify(`❌ ${error.message || "Could not list backups"}`, "error");
+      setOpen(false);
+    }
+  };
+
+  const show = () => {
+    setOpen(true);
+    setPreview(null);
+    load();
+  };
+
+  const close = () => {
+    setOpen(false);
+    setBackups(null);
+    setCompare([]);
+    setPreview(null);
+  };
+
+  const view = async (name) => {
+    try {
+      const data = await get(`/api/backups/${encodeURIComponent(name)}`);
+      setPreview({ title: name, content: data.content });
+    } catch (error) {
+      notify(`❌ ${error.message}`, "error");
+    }
+  };
+
+  const viewSnapshot = async (backup, file) => {
+    try {
+      const data = await get(
+        `/api/backups/${encodeURIComponent(backup.name)}/snapshots/${encodeURIComponent(file)}`,
+      );
+      setPreview({
+        title: `${data.source} (taken with ${backup.name})`,
+        content: data.content,
+        snapshot: { backup, file, source: data.source },
+      });
+    } catch (error) {
+      notify(`❌ ${error.message}`, "error");
+    }
+  };
+
+  // Against the current user.js, or between the two selected backups (older first)
+  const diff = async (from, to) => {
+    try {
+      const data = await get("/api/backups/diff", { from, to });
+      setPreview({
+        title: `${from} → ${data.to}`,
+        diff: data.diff,
+        hasChanges: data.hasChanges,
+      });
+    } catch (error) {
+      notify(`❌ ${error.message}`, "error");
+    }
+  };
+
+  const compareSelected = () => {
+    const [newer, older] = backups.filter((b) => compare.includes(b.name)).map((b) => b.name);
+    diff(older, newer);
+  };
+
+  const toggleCompare = (name) => {
+    setCompare((names) =>
+      names.includes(name) ? names.filter((n) => n !== name) : [...names, name].slice(-2),
+    );
+  };
+
+  const restore = async (backup) => {
+    const when = new Date(backup.timestamp).toLocaleString();
+    const untracked = backup.integrity === "untracked";
+    const question = untracked
+      ? `The backup from ${when} is not in the backup manifest, so it cannot be checked for changes since it was made. Replace user.js with it anyway? The current user.js is backed up first.`
+      : `Replace user.js with the backup from ${when}? The current user.js is backed up first.`;
+    if (!window.confirm(question)) {
+      return;
+    }
+    setBusy(true);
+    try {
+      const data = await post(`/api/backups/${encodeURIComponent(backup.name)}/restore`, {
+        allowUntracked: untracked,
+      });
+      notify(`✅ ${data.message}`, "success");
+      close();
+      if (onRestored) onRestored();
+    } catch (error) {
+      notify(`❌ ${error.message || "Restore failed"}`, "error");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const restoreSnapshot = async ({ backup, file, source }) => {
+    const when = new Date(backup.timestamp).toLocaleString();
+    const question =
+      file === "prefs.js"
+        ? `Replace ${source} with the copy taken on ${when}? The browser must be closed. user.js is backed up first, together with the current prefs.js.`
+        : `Replace ${source} with the copy taken on ${when}? This asks for administrator rights and affects every profile. user.js is backed up first, together with the current policies.json.`;
+    if (!window.confirm(question)) {
+      return;
+    }
+    setBusy(true);
+    try {
+      const data = await post(
+        `/api/backups/${encodeURIComponent(backup.name)}/snapshots/${encodeURIComponent(file)}/restore`,
+      );
+      notify(`✅ ${data.message}`, "success");
+      load();
+    } catch (error) {
+      notify(`❌ ${error.message || "Restore failed"}`, "error");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const togglePin = async (backup) => {
+    try {
+      await post(`/api/backups/${encodeURIComponent(backup.name)}/pin`, { pinned: !backup.pinned });
+      load();
+    } catch (error) {
+      notify(`❌ ${error.message}`, "error");
+    }
+  };
+
+  const saveRetention = async () => {
+    try {
+      const res = await fetch(apiUrl("/api/backups/retention"), {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(retention),
+      });
+      const data = await parse(res);
+      setRetention(data);
+      notify("✅ Backup retention saved — applied on the next backup", "success");
+    } catch (error) {
+      notify(`❌ ${error.message}`, "error");
+    }
+  };
+
+  const setLimit = (field) => (e) =>
+    setRetention({ ...retention, [field]: Number.parseInt(e.target.value, 10) || 0 });
+
+  return (
+    <>
+      <button onClick={show} title="Browse, compare and restore user.js backups">
+        🗂️ Backups
+      </button>
+
+      {open && (
+        <div className="wizard-overlay" onClick={close}>
+          <div className="wizard-dialog backup-dialog" onClick={(e) => e.stopPropagation()}>
+            <div className="wizard-header">
+              <h2>🗂️ user.js Backups</h2>
+              <button className="wizard-close" onClick={close}>
+                ×
+              </button>
+            </div>
+            <div className="wizard-content">
+              {!backups ? (
+                <p className="wizard-description">Loading backups...</p>
+              ) : backups.length === 0 ? (
+                <p className="wizard-description">
+                  No backups yet — one is made every time user.js is written.
+                </p>
+              ) : (
+                <>
+                  <p className="wizard-description">
+                    Newest first. Pinned backups are never pruned. Tick two
+                    backups to compare them.
+                  </p>
+                  <table className="backup-table">
+                    <thead>
+                      <tr>
+                        <th />
+                        <th>Created</th>
+                        <th>Made by</th>
+                        <th>Size</th>
+                        <th>Prefs</th>
+                        <th />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {backups.map((backup) => (
+                        <tr key={backup.name} className={backup.pinned ? "backup-pinned" : ""}>
+                          <td>
+                            <input
+                              type="checkbox"
+                              checked={compare.includes(backup.name)}
+                              onChange={() => toggleCompare(backup.name)}
+                            />
+                          </td>
+                          <td title={backup.name}>
+                            <span
+                              className={`backup-integrity backup-integrity-${backup.integrity}`}
+                              title={INTEGRITY[backup.integrity].title}
+                            >
+                              {INTEGRITY[backup.integrity].label}
+                            </span>{" "}
+                            {new Date(backup.timestamp).toLocaleString()}
+                          </td>
+                          <td>
+                            {backup.action || "—"}
+                            {backup.snapshots.map((file) => (
+                              <button
+                                key={file}
+                                className="backup-snapshot"
+                                onClick={() => viewSnapshot(backup, file)}
+                                title={`View the ${file} saved with this backup`}
+                              >
+                                {file}
+                              </button>
+                            ))}
+                          </td>
+                          <td>{formatSize(backup.size)}</td>
+                          <td>{backup.prefCount}</td>
+                          <td className="backup-actions">
+                            <button
+                              onClick={() => togglePin(backup)}
+                              title={backup.pinned ? "Unpin" : "Pin (never prune)"}
+                            >
+                              {backup.pinned ? "📌" : "📍"}
+                            </button>
+                            <button onClick={() => view(backup.name)}>View</button>
+                            <button onClick={() => diff(backup.name)}>Diff vs current</button>
+                            <button
+                              onClick={() => restore(backup)}
+                              disabled={busy || backup.integrity === "modified"}
+                            >
+                              Restore
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+
+                  {preview && (
+                    <div className="backup-preview">
+                      <h3>{preview.title}</h3>
+                      {preview.diff ? (
+                        preview.hasChanges ? (
+                          <DiffView diff={preview.diff} />
+                        ) : (
+                          <p className="wizard-description">Identical — no differences</p>
+                        )
+                      ) : (
+                        <pre className="backup-content">{preview.content}</pre>
+                      )}
+                      {preview.snapshot && (
+                        <div className="wizard-actions">
+                          <button
+                            className="wizard-btn-primary"
+                            onClick={() => restoreSnapshot(preview.snapshot)}
+                            disabled={busy}
+                          >
+                            Restore {preview.snapshot.file}
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  )}
+
+                  {retention && (
+                    <div className="backup-retention">
+                      <label>
+                        Keep the newest{" "}
+                        <input
+                          type="number"
+                          min="1"
+                          max="100"
+                          value={retention.maxCount}
+                          onChange={setLimit("maxCount")}
+                        />{" "}
+                        unpinned backups
+                      </label>
+                      <label>
+                        , none older than{" "}
+                        <input
+                          type="number"
+                          min="0"
+                          value={retention.maxAgeDays}
+                          onChange={setLimit("maxAgeDays")}
+                        />{" "}
+                        days (0 = no limit)
+                      </label>
+                      <button onClick={saveRetention}>Save</button>
+                    </div>
+                  )}
+
+                  <div className="wizard-actions">
+                    <button className="wizard-btn-secondary" onClick={load}>
+                      🔄 Refresh
+                    </button>
+                    <button
+                      className="wizard-btn-primary"
+                      onClick={compareSelected}
+                      disabled={compare.length !== 2}
+                    >
+                      Compare selected
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
@@ -7,9 +7,13 @@ import {
   generateEmergencyRecoveryScript,
 } from "../utils/clipboard";
 import CopyButton from "./CopyButton";
+import DiffView from "./DiffView";
+import { apiUrl } from "../utils/api";
 import "./ConfigWizard.css";
 
 export default function ConfigWizard({
+  profileSelector,
+  target,
   systemInfo,
   userJsContent,
   showToast,
@@ -19,10 +23,13 @@ export default function ConfigWizard({
   const [step, setStep] = useState(1);
   const [profile, setProfile] = useState(null);
   const [prefsOk, setPrefsOk] = useState(false);
+  const [lockPid, setLockPid] = useState(null);
   const [diff, setDiff] = useState([]);
   const [diffPreview, setDiffPreview] = useState(false);
   const [applying, setApplying] = useState(false);
   const [applied, setApplied] = useState(false);
+  const [testProfile, setTestProfile] = useState(null);
+  const [testing, setTesting] = useState(false);
 
   // Detect operational mode on mount
   useEffect(() => {
@@ -31,17 +38,28 @@ export default function ConfigWizard({
       .then(() => {
         setMode("full");
         // Auto-detect profile in FULL mode
-        return fetch("/api/wizard/profile");
+        return fetch(apiUrl("/api/wizard/profile", { profile: profileSelector, target }));
       })
       .then((r) => r?.json())
       .then((data) => {
         if (data) {
-          setProfile(data.profile);
+          setProfile(data.profile?.path || null);
           setPrefsOk(data.prefsExists);
+          setLockPid(data.firefoxRunning ? data.lockPid : null);
+          // Pick up a test profile left over from an earlier session
+          return fetch("/api/test-profiles")
+            .then((r) => r.json())
+            .then((list) =>
+              setTestProfile(
+                list.testProfiles?.find(
+                  (t) => t.source.path === data.profile?.path,
+                ) || null,
+              ),
+            );
         }
       })
       .catch(() => setMode("demo"));
-  }, []);
+  }, [profileSelector, target]);
 
   // FULL mode wizard functions
   const previewDiff = async () => {
@@ -51,7 +69,11 @@ export default function ConfigWizard({
       const res = await fetch("/api/wizard/diff", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ newContent: userJsContent }),
+        body: JSON.stringify({
+          newContent: userJsContent,
+          profile: profileSelector,
+          target,
+        }),
       });
       const data = await res.json();
       setDiff(data.diff);
@@ -69,7 +91,11 @@ export default function ConfigWizard({
       const res = await fetch("/api/wizard/apply", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ newContent: userJsContent }),
+        body: JSON.stringify({
+          newContent: userJsContent,
+          profile: profileSelector,
+          target,
+        }),
       });
 
       if (res.ok) {
@@ -90,11 +116,89 @@ export default function ConfigWizard({
     }
   };
 
+  // Disposable test profile: clone prefs, write candidate user.js, launch it
+  const tryInTestProfile = async () => {
+    if (mode !== "full") return;
+
+    setTesting(true);
+    try {
+      const res = await fetch("/api/test-profiles", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          newContent: userJsContent,
+          profile: profileSelector,
+          target,
+        }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setTestProfile(data.testProfile);
+        showToast(
+          `🧪 ${data.message}`,
+          data.launched ? "success" : "warning",
+          4000,
+        );
+      } else {
+        showToast(`❌ ${data.error || "Failed to create test profile"}`, "error", 3000);
+      }
+    } catch (_error) {
+      showToast("❌ Failed to create test profile", "error", 3000);
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const promoteTestProfile = async () => {
+    setTesting(true);
+    try {
+      const res = await fetch(`/api/test-profiles/${testProfile.id}/promote`, {
+        method: "POST",
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setTestProfile(null);
+        setApplied(true);
+        showToast(`✅ ${data.message}`, "success", 3000);
+      } else {
+        showToast(`❌ ${data.error || "Promote failed"}`, "error", 3000);
+      }
+    } catch (_error) {
+      showToast("❌ Promote failed", "error", 3000);
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const discardTestProfile = async () => {
+    setTesting(true);
+    try {
+      const res = await fetch(`/api/test-profiles/${testProfile.id}`, {
+        method: "DELETE",
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setTestProfile(null);
+        showToast("🗑️ Test profile discarded", "success", 3000);
+      } else {
+        showToast(`❌ ${data.error || "Discard failed"}`, "error", 3000);
+      }
+    } catch (_error) {
+      showToast("❌ Discard failed", "error", 3000);
+    } finally {
+      setTesting(false);
+    }
+  };
+
   const rollback = async () => {
     if (mode !== "full") return;
 
     try {
-      const res = await fetch("/api/wizard/rollback", { method: "POST" });
+      const res = await fetch("/api/wizard/rollback", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ profile: profileSelector, target }),
+      });
       if (res.ok) {
         showToast("✅ Rolled back to previous configuration", "success", 3000);
         setApplied(false);
@@ -187,8 +291,45 @@ export default function ConfigWizard({
                 <strong>prefs.js present:</strong>{" "}
                 {prefsOk ? "✅ Yes" : "❌ No"}
               </p>
+              {lockPid && (
+                <p className="wizard-warning">
+                  ⚠️ Profile is open in Firefox (PID {lockPid}) — close it
+                  before applying
+                </p>
+              )}
             </div>
 
+            {testProfile && !applied && (
+              <div className="wizard-step wizard-test-profile">
+                <h3>🧪 Test Profile Active</h3>
+                <p>
+                  Candidate user.js is running in a throwaway profile cloned
+                  from <strong>{testProfile.source.name}</strong> (prefs only —
+                  no history or cookies).
+                </p>
+                <p>
+                  <code>{testProfile.path}</code>
+                </p>
+                <div className="wizard-actions">
+                  <button
+                    className="wizard-btn-secondary"
+                    onClick={discardTestProfile}
+                    disabled={testing}
+                  >
+                    🗑️ Discard
+                  </button>
+                  <button
+                    className="wizard-btn-primary"
+                    onClick={promoteTestProfile}
+                    disabled={testing || !!lockPid}
+                    title={lockPid ? "Close the real profile first" : undefined}
+                  >
+                    ⬆️ Promote to Real Profile
+                  </button>
+                </div>
+              </div>
+            )}
+
             {!diffPreview && !applied && (
               <div className="wizard-step">
                 <h3>📋 Step 1: Preview Changes</h3>
@@ -225,29 +366,7 @@ export default function ConfigWizard({
             {diffPreview && !applied && (
               <div className="wizard-step">
                 <h3>🔍 Diff Preview</h3>
-                <div className="wizard-diff">
-                  <pre>
-                    {diff.map((part, i) => (
-                      <span
-                        key={i}
-                        style={{
-                          color: part.added
-                            ? "#22c55e"
-                            : part.removed
-                              ? "#ef4444"
-                              : "#6b7280",
-                          backgroundColor: part.added
-                            ? "#22c55e20"
-                            : part.removed
-                              ? "#ef444420"
-                              : "transparent",
-                        }}
-                      >
-                        {part.value}
-                      </span>
-                    ))}
-                  </pre>
-                </div>
+                <DiffView diff={diff} />
                 <div className="wizard-actions">
                   <button
                     className="wizard-btn-secondary"
@@ -255,6 +374,13 @@ export default function ConfigWizard({
                   >
                     ← Back
                   </button>
+                  <button
+                    className="wizard-btn-secondary"
+                    onClick={tryInTestProfile}
+                    disabled={testing || !!testProfile}
+                  >
+                    {testing ? "Launching..." : "🧪 Try in Test Profile"}
+                  </button>
                   <button
                     className="wizard-btn-primary"
                     onClick={applyConfig}
@@ -0,0 +1,250 @@
+import { useEffect, useState } from "react";
+import { formatPrefValue } from "../utils/prefs";
+
+const EMPTY_PREF = { pref: "", type: "bool", expected: "true", description: "" };
+
+// Typed expected value from the form — the server checks it against the type
+function parseExpected(type, text) {
+  if (type === "bool") return text === "true";
+  if (type === "int") return Number(text);
+  return text;
+}
+
+// Manage user-defined categories; they are stored by the server and merged
+// with the catalog in the preferences view, template, auto-fix and validation
+export default function CustomCategories({ showToast, onChanged }) {
+  const [open, setOpen] = useState(false);
+  const [categories, setCategories] = useState({});
+  const [newCategory, setNewCategory] = useState("");
+  const [renaming, setRenaming] = useState(null); // { from, to }
+  const [draft, setDraft] = useState(null); // { category, ...EMPTY_PREF }
+  const [busy, setBusy] = useState(false);
+
+  const notify = showToast || (() => {});
+
+  useEffect(() => {
+    if (!open) return;
+    fetch("/api/custom-categories")
+      .then((res) => res.json())
+      .then((data) => setCategories(data.categories || {}))
+      .catch(() => notify("❌ Failed to load custom categories", "error"));
+  }, [open]);
+
+  const request = async (method, path, body) => {
+    setBusy(true);
+    try {
+      const res = await fetch(path, {
+        method,
+        headers: { "Content-Type": "application/json" },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        notify(`❌ ${data.error || "Request failed"}`, "error");
+        return false;
+      }
+      setCategories(data.categories);
+      notify(data.message, "success");
+      if (onChanged) onChanged();
+      return true;
+    } catch (_error) {
+      notify("❌ Request failed", "error");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const categoryPath = (name) => `/api/custom-categories/${encodeURIComponent(name)}`;
+
+  const create = async () => {
+    if (await request("POST", "/api/custom-categories", { name: newCategory.trim() })) {
+      setNewCategory("");
+    }
+  };
+
+  const rename = async () => {
+    if (await request("PUT", categoryPath(renaming.from), { name: renaming.to.trim() })) {
+      setRenaming(null);
+    }
+  };
+
+  const remove = (name) => {
+    const count = Object.keys(categories[name]).length;
+    if (count > 0 && !window.confirm(`Delete "${name}" and its ${count} pref(s)?`)) return;
+    request("DELETE", categoryPath(name));
+  };
+
+  const savePref = async () => {
+    const { category, pref, type, expected, description } = draft;
+    const ok = await request(
+      "PUT",
+      `${categoryPath(category)}/prefs/${encodeURIComponent(pref.trim())}`,
+      { type, expected: parseExpected(type, expected), description },
+    );
+    if (ok) setDraft(null);
+  };
+
+  const editPref = (category, pref, entry) =>
+    setDraft({
+      category,
+      pref,
+      type: entry.type,
+      expected: String(entry.expected),
+      description: entry.description,
+    });
+
+  const names = Object.keys(categories);
+
+  return (
+    <div className="custom-categories">
+      <button className="custom-categories-toggle" onClick={() => setOpen(!open)}>
+        {open ? "▾" : "▸"} Custom categories
+      </button>
+
+      {open && (
+        <div className="custom-categories-body">
+          {names.length === 0 && (
+            <p className="custom-categories-empty">
+              No custom categories yet — add team-specific prefs that are not
+              in the built-in catalog.
+            </p>
+          )}
+
+          {names.map((name) => (
+            <div key={name} className="custom-category">
+              <div className="custom-category-header">
+                {renaming?.from === name ? (
+                  <>
+                    <input
+                      className="custom-input"
+                      value={renaming.to}
+                      onChange={(e) => setRenaming({ from: name, to: e.target.value })}
+                    />
+                    <button className="btn-refresh" onClick={rename} disabled={busy}>
+                      Save
+                    </button>
+                    <button className="btn-refresh" onClick={() => setRenaming(null)}>
+                      Cancel
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <strong>{name}</strong>
+                    <button
+                      className="btn-refresh"
+                      onClick={() => setRenaming({ from: name, to: name })}
+                    >
+                      Rename
+                    </button>
+                    <button
+                      className="btn-refresh"
+                      onClick={() => setDraft({ category: name, ...EMPTY_PREF })}
+                    >
+                      + Pref
+                    </button>
+                    <button className="btn-refresh" onClick={() => remove(name)} disabled={busy}>
+                      Delete
+                    </button>
+                  </>
+                )}
+              </div>
+
+              {Object.entries(categories[name]).map(([pref, entry]) => (
+                <div key={pref} className="custom-pref">
+                  <code>{pref}</code>
+                  <span className="custom-pref-value">{formatPrefValue(entry.expected)}</span>
+                  <span className="custom-pref-desc">{entry.description}</span>
+                  <button className="btn-refresh" onClick={() => editPref(name, pref, entry)}>
+                    Edit
+                  </button>
+                  <button
+                    className="btn-refresh"
+                    onClick={() =>
+                      request("DELETE", `${categoryPath(name)}/prefs/${encodeURIComponent(pref)}`)
+                    }
+                    disabled={busy}
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+
+              {draft?.category === name && (
+                <div className="custom-pref-form">
+                  <input
+                    className="custom-input"
+                    placeholder="layout.frame_rate"
+                    value={draft.pref}
+                    onChange={(e) => setDraft({ ...draft, pref: e.target.value })}
+                  />
+                  <select
+                    className="interval-select"
+                    value={draft.type}
+                    onChange={(e) =>
+                      setDraft({
+                        ...draft,
+                        type: e.target.value,
+                        expected: e.target.value === "bool" ? "true" : "",
+                      })
+                    }
+                  >
+                    <option value="bool">bool</option>
+                    <option value="int">int</option>
+                    <option value="string">string</option>
+                  </select>
+                  {draft.type === "bool" ? (
+                    <select
+                      className="interval-select"
+                      value={draft.expected}
+                      onChange={(e) => setDraft({ ...draft, expected: e.target.value })}
+                    >
+                      <option value="true">true</option>
+                      <option value="false">false</option>
+                    </select>
+                  ) : (
+                    <input
+                      className="custom-input"
+                      placeholder="expected value"
+                      value={draft.expected}
+                      onChange={(e) => setDraft({ ...draft, expected: e.target.value })}
+                    />
+                  )}
+                  <input
+                    className="custom-input custom-input-wide"
+                    placeholder="Description"
+                    value={draft.description}
+                    onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+                  />
+                  <button
+                    className="btn-refresh"
+                    onClick={savePref}
+                    disabled={busy || !draft.pref.trim() || !draft.description.trim()}
+                  >
+                    Save
+                  </button>
+                  <button className="btn-refresh" onClick={() => setDraft(null)}>
+                    Cancel
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+
+          <div className="custom-category-new">
+            <input
+              className="custom-input"
+              placeholder="New category name"
+              value={newCategory}
+              onChange={(e) => setNewCategory(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && newCategory.trim() && create()}
+            />
+            <button className="btn-refresh" onClick={create} disabled={busy || !newCategory.trim()}>
+              + Category
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
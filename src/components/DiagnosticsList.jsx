@@ -0,0 +1,29 @@
+import "./DiagnosticsList.css";
+
+const SEVERITY_ICONS = { error: "❌", warning: "⚠️" };
+
+// Every validation diagnostic, with its quick fix when the server offers one.
+// onFix is omitted when the text changed since validation (stale offsets).
+export default function DiagnosticsList({ diagnostics, onFix }) {
+  if (!diagnostics?.length) return null;
+
+  return (
+    <ul className="diagnostics-list">
+      {diagnostics.map((d, i) => (
+        <li key={i} className={`diagnostic diagnostic-${d.severity}`}>
+          <span className="diagnostic-icon">{SEVERITY_ICONS[d.severity]}</span>
+          <span className="diagnostic-position">
+            {d.line}:{d.column}
+          </span>
+          <span className="diagnostic-message">{d.message}</span>
+          <code className="diagnostic-code">{d.code}</code>
+          {d.fix && onFix && (
+            <button className="diagnostic-fix" onClick={() => onFix(d.fix)}>
+              {d.fix.title}
+            </button>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
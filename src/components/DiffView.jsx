@@ -0,0 +1,21 @@
+import "./DiffView.css";
+
+// Render a diffLines() result: additions green, removals red, context grey
+export default function DiffView({ diff }) {
+  return (
+    <div className="diff-view">
+      <pre>
+        {(diff || []).map((part, i) => (
+          <span
+            key={i}
+            className={
+              part.added ? "diff-added" : part.removed ? "diff-removed" : "diff-context"
+            }
+          >
+            {part.value}
+          </span>
+        ))}
+      </pre>
+    </div>
+  );
+}
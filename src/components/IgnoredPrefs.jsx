@@ -0,0 +1,174 @@
+import { useState } from "react";
+import { apiUrl } from "../utils/api";
+import { formatPrefValue } from "../utils/prefs";
+import "./ConfigWizard.css"; // shared dialog layout
+import "./IgnoredPrefs.css";
+
+const KIND_LABELS = {
+  default: "Equals default",
+  unknown: "Unknown / removed",
+  locked: "Locked",
+};
+
+// user.js prefs Firefox did not apply (missing from prefs.js after a restart),
+// with a fix that comments them out or removes them
+export default function IgnoredPrefs({ profile, target, showToast, onFixed }) {
+  const [open, setOpen] = useState(false);
+  const [report, setReport] = useState(null);
+  const [selected, setSelected] = useState(new Set());
+  const [busy, setBusy] = useState(false);
+
+  const notify = showToast || (() => {});
+
+  const load = async () => {
+    setBusy(true);
+    try {
+      const res = await fetch(apiUrl("/api/ignored-prefs", { profile, target }));
+      const data = await res.json();
+      if (!res.ok) {
+        notify(`❌ ${data.error || "Check failed"}`, "error");
+        setOpen(false);
+        return;
+      }
+      setReport(data);
+      setSelected(new Set(data.ignored.map((entry) => entry.pref)));
+    } catch (_error) {
+      notify("❌ Check failed", "error");
+      setOpen(false);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const show = () => {
+    setOpen(true);
+    load();
+  };
+
+  const close = () => {
+    setOpen(false);
+    setReport(null);
+  };
+
+  const fix = async (action) => {
+    setBusy(true);
+    try {
+      const res = await fetch(apiUrl("/api/ignored-prefs/fix"), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ prefs: [...selected], action, profile, target }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        notify(`❌ ${data.error || "Fix failed"}`, "error");
+        return;
+      }
+      notify(data.message, "success");
+      close();
+      if (onFixed) onFixed();
+    } catch (_error) {
+      notify("❌ Fix failed", "error");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggle = (pref) => {
+    const next = new Set(selected);
+    if (next.has(pref)) next.delete(pref);
+    else next.add(pref);
+    setSelected(next);
+  };
+
+  return (
+    <>
+      <button onClick={show} title="Find user.js prefs that Firefox did not apply">
+        🚫 Ignored prefs
+      </button>
+
+      {open && (
+        <div className="wizard-overlay" onClick={close}>
+          <div className="wizard-dialog ignored-dialog" onClick={(e) => e.stopPropagation()}>
+            <div className="wizard-header">
+              <h2>🚫 Ignored prefs</h2>
+              <button className="wizard-close" onClick={close}>
+                ×
+              </button>
+            </div>
+            <div className="wizard-content">
+              {!report ? (
+                <p className="wizard-description">Comparing user.js with prefs.js...</p>
+              ) : (
+                <>
+                  <p className="wizard-description">
+                    Prefs set in {report.profile.name}&apos;s user.js that
+                    Firefox {report.appVersion.version || ""} did not write to
+                    prefs.js.
+                  </p>
+                  {report.restartPending && (
+                    <div className="wizard-warning">
+                      ⚠️ user.js changed after prefs.js was last written —
+                      restart Firefox first, or recent edits will show up as
+                      ignored.
+                    </div>
+                  )}
+
+                  {report.ignored.length === 0 ? (
+                    <p className="ignored-none">✅ Every user.js pref was applied</p>
+                  ) : (
+                    <table className="ignored-table">
+                      <tbody>
+                        {report.ignored.map((entry) => (
+                          <tr key={entry.pref}>
+                            <td>
+                              <input
+                                type="checkbox"
+                                checked={selected.has(entry.pref)}
+                                onChange={() => toggle(entry.pref)}
+                              />
+                            </td>
+                            <td>
+                              <code>{entry.pref}</code> = {formatPrefValue(entry.value)}
+                              <div className="ignored-reason">
+                                Line {entry.line}: {entry.reason}
+                              </div>
+                            </td>
+                            <td>
+                              <span className={`ignored-kind ignored-${entry.kind}`}>
+                                {KIND_LABELS[entry.kind]}
+                              </span>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+
+                  <div className="wizard-actions">
+                    <button className="wizard-btn-secondary" onClick={load} disabled={busy}>
+                      🔄 Re-check
+                    </button>
+                    <button
+                      className="wizard-btn-secondary"
+                      onClick={() => fix("remove")}
+                      disabled={busy || selected.size === 0}
+                    >
+                      🗑️ Remove {selected.size}
+                    </button>
+                    <button
+                      className="wizard-btn-primary"
+                      onClick={() => fix("comment")}
+                      disabled={busy || selected.size === 0}
+                    >
+                      💬 Comment out {selected.size}
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
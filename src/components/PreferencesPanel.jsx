@@ -1,8 +1,38 @@
 import { useState } from "react";
+import { formatPrefValue } from "../utils/prefs";
+import ProvenanceDrawer from "./ProvenanceDrawer";
 
-export default function PreferencesPanel({ preferences, categories, onApply }) {
+// Why a catalog entry does nothing on a Firefox major version (mirrors lib/catalog.js)
+function inactiveReason(entry, major) {
+  if (!major) return null;
+  if (entry.removedIn && major >= entry.removedIn) return `removed in Firefox ${entry.removedIn}`;
+  if (entry.lockedIn && major >= entry.lockedIn) return `locked since Firefox ${entry.lockedIn}`;
+  if (entry.minVersion && major < entry.minVersion) return `needs Firefox ${entry.minVersion}+`;
+  if (entry.maxVersion && major > entry.maxVersion) return `only read up to Firefox ${entry.maxVersion}`;
+  return null;
+}
+
+export default function PreferencesPanel({
+  preferences,
+  categories,
+  appVersion,
+  ruleFindings = [],
+  defaults = {},
+  profile,
+  target,
+  onApply,
+}) {
   const [filter, setFilter] = useState("");
   const [showOnly, setShowOnly] = useState("all"); // all | issues | ok
+  const [provenancePref, setProvenancePref] = useState(null);
+
+  // Rule findings shown on the triggering pref and every related pref
+  const findingsByPref = {};
+  for (const finding of ruleFindings) {
+    for (const pref of [finding.pref, ...finding.related]) {
+      (findingsByPref[pref] ||= []).push(finding);
+    }
+  }
 
   const flatPrefs = {};
   for (const cat of Object.values(categories || {})) {
@@ -58,6 +88,14 @@ export default function PreferencesPanel({ preferences, categories, onApply }) {
             OK ({okCount})
           </button>
         </div>
+        {appVersion?.version && (
+          <span
+            className="pref-app-version"
+            title={`Detected from ${appVersion.source}`}
+          >
+            Firefox {appVersion.version}
+          </span>
+        )}
       </div>
 
       {categoryEntries.map(([catName, prefs]) => {
@@ -84,17 +122,28 @@ export default function PreferencesPanel({ preferences, categories, onApply }) {
             className="section"
             style={{ marginBottom: "12px" }}
           >
-            <div className="section-title">{catName}</div>
+            <div className="section-title">
+              {catName}
+              {Object.values(prefs).some((val) => val.custom) && (
+                <span className="section-badge">custom</span>
+              )}
+            </div>
             {filteredEntries.map(([key, val]) => {
               const expected = val.expected;
               const actual = preferences[key];
               const isNotSet = actual === undefined || actual === null;
               const isOk = !isNotSet && actual === expected;
+              const inactive = inactiveReason(val, appVersion?.major);
+              // Absent from prefs.js and equal to the installed build's default
+              const isDefault =
+                !isNotSet && Object.hasOwn(defaults, key) && actual === defaults[key];
 
               return (
                 <div
                   key={key}
                   className={`pref-row ${isOk ? "pref-ok" : isNotSet ? "pref-warn" : "pref-error"}`}
+                  onClick={() => setProvenancePref(key)}
+                  title="Show where this value comes from"
                 >
                   <div className="pref-main">
                     <span
@@ -105,14 +154,47 @@ export default function PreferencesPanel({ preferences, categories, onApply }) {
                     <div className="pref-details">
                       <div className="pref-key">{key}</div>
                       <div className="pref-desc">{val.description}</div>
+                      {findingsByPref[key]?.map((finding) => (
+                        <div
+                          key={finding.rule}
+                          className="pref-rule"
+                          title={`Rule: ${finding.rule}`}
+                        >
+                          ⚠ {finding.message}
+                        </div>
+                      ))}
                     </div>
                     <div className="pref-values">
                       <span className="pref-actual">
-                        {isNotSet ? "not set" : actual}
+                        {isNotSet ? "not set" : formatPrefValue(actual)}
                       </span>
                       {!isOk && (
                         <span className="pref-expected">
-                          expected: {expected}
+                          expected: {formatPrefValue(expected)}
+                        </span>
+                      )}
+                      {isDefault && (
+                        <span
+                          className="pref-default"
+                          title="Firefox's built-in default (omni.ja) — not stored in prefs.js"
+                        >
+                          default
+                        </span>
+                      )}
+                      {val.base !== undefined && (
+                        <span
+                          className="pref-preset"
+                          title={`Catalog value ${formatPrefValue(val.base)} replaced by the selected preset`}
+                        >
+                          preset (catalog: {formatPrefValue(val.base)})
+                        </span>
+                      )}
+                      {inactive && (
+                        <span
+                          className="pref-inactive"
+                          title={`Firefox ${appVersion.version} ignores this pref`}
+                        >
+                          inactive: {inactive}
                         </span>
                       )}
                     </div>
@@ -143,6 +225,15 @@ export default function PreferencesPanel({ preferences, categories, onApply }) {
           )}
         </div>
       )}
+
+      {provenancePref && (
+        <ProvenanceDrawer
+          pref={provenancePref}
+          profile={profile}
+          target={target}
+          onClose={() => setProvenancePref(null)}
+        />
+      )}
     </div>
   );
 }
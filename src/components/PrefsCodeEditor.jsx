@@ -0,0 +1,205 @@
+import { useEffect, useRef } from "react";
+import { basicSetup } from "codemirror";
+import { EditorState, Compartment } from "@codemirror/state";
+import { EditorView, hoverTooltip, placeholder as placeholderText } from "@codemirror/view";
+import { javascript, javascriptLanguage } from "@codemirror/lang-javascript";
+import { linter, lintGutter, setDiagnostics } from "@codemirror/lint";
+import { oneDark } from "@codemirror/theme-one-dark";
+import { formatPrefValue } from "../utils/prefs";
+import "./PrefsCodeEditor.css";
+
+// Catalog categories -> pref -> {entry, category}
+function indexCatalog(categories) {
+  const index = new Map();
+  for (const [category, prefs] of Object.entries(categories || {})) {
+    for (const [pref, entry] of Object.entries(prefs)) index.set(pref, { entry, category });
+  }
+  return index;
+}
+
+// Pref name completions: inside user_pref("...") the name only, at the start
+// of a line a whole statement with the recommended value
+function prefCompletions(catalogRef) {
+  return (context) => {
+    const line = context.state.doc.lineAt(context.pos);
+    const before = line.text.slice(0, context.pos - line.from);
+    const inString = /user_pref\(\s*"[\w.-]*$/.test(before);
+    const atStart = /^\s*[\w.-]*$/.test(before);
+    if (!inString && !atStart) return null;
+
+    const word = context.matchBefore(/[\w.-]*/);
+    if (!context.explicit && word.from === word.to && !inString) return null;
+
+    const options = [...catalogRef.current].map(([pref, { entry, category }]) => ({
+      label: pref,
+      type: "property",
+      detail: `${entry.type} · ${category}`,
+      info: entry.description,
+      apply: inString ? pref : `user_pref(${JSON.stringify(pref)}, ${formatPrefValue(entry.expected)});`,
+    }));
+    return { from: word.from, options, validFor: /^[\w.-]*$/ };
+  };
+}
+
+// The "pref.name" under the cursor and, on a user_pref() line, its value range
+function prefAt(view, pos) {
+  const line = view.state.doc.lineAt(pos);
+  const offset = pos - line.from;
+  for (const match of line.text.matchAll(/"([\w.-]+)"/g)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (offset < start || offset > end) continue;
+    const statement = line.text
+      .slice(start)
+      .match(/^"[\w.-]+"\s*,\s*([^)]*?)\s*\)/);
+    const valueStart = statement && line.from + start + statement[0].indexOf(statement[1], match[0].length);
+    return {
+      pref: match[1],
+      from: line.from + start,
+      to: line.from + end,
+      value: statement ? { from: valueStart, to: valueStart + statement[1].length } : null,
+    };
+  }
+  return null;
+}
+
+// Description, recommended and current value of the pref under the mouse
+function prefTooltips(catalogRef, currentRef) {
+  return hoverTooltip((view, pos) => {
+    const found = prefAt(view, pos);
+    const known = found && catalogRef.current.get(found.pref);
+    if (!known) return null;
+
+    return {
+      pos: found.from,
+      end: found.to,
+      above: true,
+      create() {
+        const dom = document.createElement("div");
+        dom.className = "prefs-tooltip";
+        const { entry, category } = known;
+        const current = currentRef.current?.[found.pref];
+        const rows = [
+          ["Category", category],
+          ["Recommended", formatPrefValue(entry.expected)],
+          ["Current", current === undefined ? "not set in prefs.js" : formatPrefValue(current)],
+        ];
+
+        const description = document.createElement("p");
+        description.textContent = entry.description || found.pref;
+        dom.append(description);
+        for (const [label, value] of rows) {
+          const row = document.createElement("div");
+          row.className = "prefs-tooltip-row";
+          row.append(Object.assign(document.createElement("span"), { textContent: label }));
+          row.append(Object.assign(document.createElement("code"), { textContent: value }));
+          dom.append(row);
+        }
+
+        const recommended = formatPrefValue(entry.expected);
+        if (found.value && view.state.sliceDoc(found.value.from, found.value.to) !== recommended) {
+          const button = document.createElement("button");
+          button.className = "prefs-tooltip-action";
+          button.textContent = "Insert recommended value";
+          button.onclick = () =>
+            view.dispatch({ changes: { ...found.value, insert: recommended } });
+          dom.append(button);
+        }
+        return { dom };
+      },
+    };
+  });
+}
+
+/**
+ * CodeMirror editor for user.js: highlighting, validation diagnostics as
+ * squiggles and gutter markers (quick fixes as actions), pref autocomplete and
+ * hover tooltips from the catalog.
+ *
+ * diagnostics are the server's ({from, to, severity, message, fix}) for the
+ * current value; the editor maps them through later edits until the next
+ * validation.
+ */
+export default function PrefsCodeEditor({
+  value,
+  onChange,
+  diagnostics,
+  onFix,
+  categories,
+  currentValues,
+  readOnly = false,
+  placeholder = "",
+}) {
+  const containerRef = useRef(null);
+  const viewRef = useRef(null);
+  const readOnlyRef = useRef(new Compartment());
+  // Extensions read the latest props through refs instead of being rebuilt
+  const catalogRef = useRef(new Map());
+  const currentRef = useRef(currentValues);
+  const onChangeRef = useRef(onChange);
+  const onFixRef = useRef(onFix);
+
+  catalogRef.current = indexCatalog(categories);
+  currentRef.current = currentValues;
+  onChangeRef.current = onChange;
+  onFixRef.current = onFix;
+
+  useEffect(() => {
+    const view = new EditorView({
+      parent: containerRef.current,
+      state: EditorState.create({
+        doc: value,
+        extensions: [
+          basicSetup,
+          javascript(),
+          javascriptLanguage.data.of({ autocomplete: prefCompletions(catalogRef) }),
+          prefTooltips(catalogRef, currentRef),
+          // Diagnostics come from the server; the linter only provides the panel and markers
+          linter(null),
+          lintGutter(),
+          oneDark,
+          placeholderText(placeholder),
+          readOnlyRef.current.of(EditorState.readOnly.of(readOnly)),
+          EditorView.updateListener.of((update) => {
+            if (update.docChanged) onChangeRef.current(update.state.doc.toString());
+          }),
+        ],
+      }),
+    });
+    viewRef.current = view;
+    return () => view.destroy();
+    // Created once; later prop changes are synced by the effects below
+  }, []);
+
+  // Reload, reset and quick fixes replace the text from outside
+  useEffect(() => {
+    const view = viewRef.current;
+    if (view && view.state.doc.toString() !== value) {
+      view.dispatch({ changes: { from: 0, to: view.state.doc.length, insert: value } });
+    }
+  }, [value]);
+
+  useEffect(() => {
+    viewRef.current?.dispatch({
+      effects: readOnlyRef.current.reconfigure(EditorState.readOnly.of(readOnly)),
+    });
+  }, [readOnly]);
+
+  useEffect(() => {
+    const view = viewRef.current;
+    if (!view) return;
+    const length = view.state.doc.length;
+    const clamp = (offset) => Math.min(Math.max(offset, 0), length);
+    const mapped = (diagnostics || []).map((d) => ({
+      from: clamp(d.from),
+      to: clamp(Math.max(d.to, d.from)),
+      severity: d.severity,
+      source: d.code,
+      message: d.message,
+      actions: d.fix ? [{ name: d.fix.title, apply: () => onFixRef.current?.(d.fix) }] : [],
+    }));
+    view.dispatch(setDiagnostics(view.state, mapped));
+  }, [diagnostics]);
+
+  return <div className="prefs-code-editor" ref={containerRef} />;
+}
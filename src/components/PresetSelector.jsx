@@ -0,0 +1,38 @@
+// Hardware preset picker — the preset decides the expected value of each pref
+// used by the preferences view, the user.js template and auto-fix
+export default function PresetSelector({ presets, selected, suggested, onSelect }) {
+  if (!presets || presets.length === 0) return null;
+
+  const current = presets.find((p) => p.id === selected);
+  const showSuggestion = suggested && suggested.id !== selected;
+
+  return (
+    <div className="preset-selector">
+      <label className="preset-selector-row">
+        <span className="preset-selector-label">Hardware preset</span>
+        <select
+          className="interval-select"
+          value={selected || ""}
+          onChange={(e) => onSelect(e.target.value)}
+        >
+          {presets.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+              {suggested?.id === p.id ? " (suggested)" : ""}
+            </option>
+          ))}
+        </select>
+      </label>
+      {current && <p className="preset-selector-desc">{current.description}</p>}
+      {showSuggestion && (
+        <p className="preset-selector-suggestion">
+          💡 Benchmark suggests <strong>{suggested.name}</strong> —{" "}
+          {suggested.reason}
+          <button className="btn-refresh" onClick={() => onSelect(suggested.id)}>
+            Use {suggested.name}
+          </button>
+        </p>
+      )}
+    </div>
+  );
+}
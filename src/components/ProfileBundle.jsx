@@ -0,0 +1,165 @@
+import { useRef, useState } from "react";
+import DiffView from "./DiffView";
+import { apiUrl } from "../utils/api";
+import { formatPrefValue } from "../utils/prefs";
+import "./ConfigWizard.css"; // shared dialog layout
+import "./ProfileBundle.css";
+
+// Export the selected profile's tuning state as a .tar.gz, or import one
+// from another machine after previewing the user.js diff
+export default function ProfileBundle({ profile, target, showToast, onImported }) {
+  const fileInput = useRef(null);
+  const [bundleFile, setBundleFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [importing, setImporting] = useState(false);
+
+  const notify = showToast || (() => {});
+
+  const upload = (path, file) =>
+    fetch(apiUrl(path, { profile, target }), {
+      method: "POST",
+      headers: { "Content-Type": "application/gzip" },
+      body: file,
+    });
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow re-selecting the same file
+    if (!file) return;
+
+    try {
+      const res = await upload("/api/profile/import/preview", file);
+      const data = await res.json();
+      if (!res.ok) {
+        notify(`❌ ${data.error || "Could not read bundle"}`, "error");
+        return;
+      }
+      setBundleFile(file);
+      setPreview(data);
+    } catch (_error) {
+      notify("❌ Could not read bundle", "error");
+    }
+  };
+
+  const close = () => {
+    setBundleFile(null);
+    setPreview(null);
+  };
+
+  const confirmImport = async () => {
+    setImporting(true);
+    try {
+      const res = await upload("/api/profile/import", bundleFile);
+      const data = await res.json();
+      if (!res.ok) {
+        notify(`❌ ${data.error || "Import failed"}`, "error");
+        return;
+      }
+      notify(data.message, "success");
+      close();
+      if (onImported) onImported();
+    } catch (_error) {
+      notify("❌ Import failed", "error");
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <>
+      <a
+        className="bundle-button"
+        href={apiUrl("/api/profile/export", { profile, target })}
+        download
+        title="Download user.js, managed prefs and backups as one bundle"
+      >
+        📦 Export
+      </a>
+      <button
+        onClick={() => fileInput.current?.click()}
+        title="Import a bundle exported on another machine"
+      >
+        📥 Import
+      </button>
+      <input
+        ref={fileInput}
+        type="file"
+        accept=".tar.gz,.tgz,application/gzip"
+        className="bundle-file-input"
+        onChange={handleFile}
+      />
+
+      {preview && (
+        <div className="wizard-overlay" onClick={close}>
+          <div className="wizard-dialog" onClick={(e) => e.stopPropagation()}>
+            <div className="wizard-header">
+              <h2>📥 Import Bundle</h2>
+              <button className="wizard-close" onClick={close}>
+                ×
+              </button>
+            </div>
+            <div className="wizard-content">
+              <div className="wizard-info">
+                <p>
+                  <strong>From:</strong> {preview.manifest.profile?.name} on{" "}
+                  {preview.manifest.host || "unknown host"} (
+                  {new Date(preview.manifest.createdAt).toLocaleString()})
+                </p>
+                <p>
+                  <strong>Into:</strong> {preview.profile.name}{" "}
+                  <code>{preview.profile.path}</code>
+                </p>
+                {preview.backups.length > 0 && (
+                  <p>
+                    <strong>Backups:</strong> {preview.backups.length} (existing
+                    files are kept)
+                  </p>
+                )}
+              </div>
+
+              <h3>user.js changes</h3>
+              {preview.hasChanges ? (
+                <DiffView diff={preview.diff} />
+              ) : (
+                <p className="bundle-no-changes">
+                  user.js is identical — nothing to change
+                </p>
+              )}
+
+              {preview.prefDifferences.length > 0 && (
+                <details className="bundle-prefs">
+                  <summary>
+                    {preview.prefDifferences.length} managed prefs differ from
+                    the source machine
+                  </summary>
+                  <ul>
+                    {preview.prefDifferences.map((d) => (
+                      <li key={d.pref}>
+                        <code>{d.pref}</code>:{" "}
+                        {d.current === null ? "default" : formatPrefValue(d.current)}{" "}
+                        → {formatPrefValue(d.bundled)}
+                      </li>
+                    ))}
+                  </ul>
+                </details>
+              )}
+
+              <div className="wizard-actions">
+                <button className="wizard-btn-secondary" onClick={close}>
+                  Cancel
+                </button>
+                <button
+                  className="wizard-btn-primary"
+                  onClick={confirmImport}
+                  disabled={importing}
+                >
+                  {importing ? "Importing..." : "✅ Import with Backup"}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
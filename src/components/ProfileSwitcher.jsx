@@ -0,0 +1,55 @@
+export default function ProfileSwitcher({
+  profiles,
+  defaultProfile,
+  value,
+  onChange,
+  targets,
+  target,
+  onTargetChange,
+}) {
+  // Only offer an application picker when something besides Firefox is installed
+  const installedTargets = (targets || []).filter(
+    (t) => t.installed || t.id === target,
+  );
+  const showTargets = installedTargets.length > 1;
+
+  if (!showTargets && (!profiles || profiles.length === 0)) return null;
+
+  const defaultName =
+    profiles?.find((p) => p.id === defaultProfile)?.name || "auto-detect";
+
+  return (
+    <label className="profile-switcher">
+      {showTargets && (
+        <select
+          className="interval-select"
+          value={target || "firefox"}
+          onChange={(e) => onTargetChange(e.target.value)}
+          title="Application whose profiles are managed"
+        >
+          {installedTargets.map((t) => (
+            <option key={t.id} value={t.id}>
+              {t.name}
+            </option>
+          ))}
+        </select>
+      )}
+      <span className="profile-switcher-label">Profile</span>
+      <select
+        className="interval-select"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        title="Profile used by preferences, editor, wizard and auto-fix"
+      >
+        <option value="">Default ({defaultName})</option>
+        {(profiles || []).map((p) => (
+          <option key={p.id} value={p.id} disabled={!p.exists}>
+            {p.name} · {p.install}
+            {p.isDefault ? " ★" : ""}
+            {!p.exists ? " (missing)" : ""}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
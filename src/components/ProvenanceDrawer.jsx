@@ -0,0 +1,112 @@
+import { useEffect, useState } from "react";
+import { apiUrl } from "../utils/api";
+import { formatPrefValue } from "../utils/prefs";
+import "./ConfigWizard.css"; // shared close button
+import "./ProvenanceDrawer.css";
+
+const SOURCE_LABELS = {
+  default: "Firefox default",
+  policy: "Enterprise policy",
+  autoconfig: "Autoconfig",
+  "prefs.js": "prefs.js",
+};
+
+const valueOf = (value) =>
+  value === null || value === undefined ? <span className="provenance-absent">—</span> : formatPrefValue(value);
+
+// Side drawer explaining where one pref's value comes from
+export default function ProvenanceDrawer({ pref, profile, target, onClose }) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setData(null);
+    setError(null);
+    fetch(apiUrl("/api/preferences/provenance", { pref, profile, target }))
+      .then(async (res) => {
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error || "Lookup failed");
+        setData(body);
+      })
+      .catch((err) => setError(err.message));
+  }, [pref, profile, target]);
+
+  const entry = data?.prefs[0];
+
+  // Layers from lowest to highest precedence
+  const layers = entry && [
+    { label: "Firefox default", value: entry.default, note: data.build && `build ${data.build}` },
+    entry.policy && {
+      label: `Policy (${entry.policy.policy})`,
+      value: entry.policy.value,
+      note: `${entry.policy.status} — ${entry.policy.file}`,
+    },
+    entry.autoconfig && {
+      label: "Autoconfig",
+      value: entry.autoconfig.value,
+      note: `${entry.autoconfig.status} — ${entry.autoconfig.file}`,
+    },
+    { label: "prefs.js", value: entry.prefsJs, note: "value Firefox saved" },
+    { label: "user.js", value: entry.userJs, note: "applied at every start" },
+  ].filter(Boolean);
+
+  return (
+    <div className="provenance-overlay" onClick={onClose}>
+      <aside className="provenance-drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="provenance-header">
+          <code>{pref}</code>
+          <button className="wizard-close" onClick={onClose}>
+            ×
+          </button>
+        </div>
+
+        {error && <p className="provenance-error">❌ {error}</p>}
+        {!data && !error && <p className="provenance-absent">Loading...</p>}
+
+        {entry && (
+          <>
+            <div className="provenance-effective">
+              <span>Effective value</span>
+              <strong>{valueOf(entry.effective.value)}</strong>
+              <span className="provenance-note">
+                from {SOURCE_LABELS[entry.effective.source] || "nowhere (unset)"}
+              </span>
+            </div>
+
+            {entry.locked && (
+              <p className="provenance-flag provenance-locked">
+                🔒 Locked by {SOURCE_LABELS[entry.lockedBy]} — user.js and
+                about:config cannot change it
+              </p>
+            )}
+            {entry.pendingRestart && (
+              <p className="provenance-flag provenance-pending">
+                🔄 user.js sets {formatPrefValue(entry.userJs)} — restart
+                Firefox to apply
+              </p>
+            )}
+
+            <table className="provenance-table">
+              <tbody>
+                {layers.map((layer) => (
+                  <tr key={layer.label}>
+                    <th>{layer.label}</th>
+                    <td>{valueOf(layer.value)}</td>
+                    <td className="provenance-note">{layer.note}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {!data.defaultsAvailable && (
+              <p className="provenance-note">
+                Firefox&apos;s built-in defaults are unavailable — no omni.ja
+                found for this install.
+              </p>
+            )}
+          </>
+        )}
+      </aside>
+    </div>
+  );
+}
@@ -1,7 +1,8 @@
 import { useState, useEffect } from "react";
+import { apiUrl } from "../utils/api";
 import "./TelemetryBlocker.css";
 
-export default function TelemetryBlocker() {
+export default function TelemetryBlocker({ target }) {
   const [status, setStatus] = useState(null);
   const [loading, setLoading] = useState(true);
   const [processing, setProcessing] = useState(false);
@@ -9,12 +10,12 @@ export default function TelemetryBlocker() {
 
   useEffect(() => {
     fetchStatus();
-  }, []);
+  }, [target]);
 
   const fetchStatus = async () => {
     try {
       setLoading(true);
-      const res = await fetch("http://localhost:3001/api/telemetry/status");
+      const res = await fetch(apiUrl("http://localhost:3001/api/telemetry/status", { target }));
       const data = await res.json();
       setStatus(data);
     } catch (error) {
@@ -46,7 +47,8 @@ export default function TelemetryBlocker() {
   };
 
   const installPolicy = async () => {
-    if (!confirm("This will create /etc/firefox/policies/policies.json and requires sudo password. Continue?")) {
+    const policyDir = status?.policyDir || "/etc/firefox/policies";
+    if (!confirm(`This will create ${policyDir}/policies.json and requires sudo password. Continue?`)) {
       return;
     }
 
@@ -55,6 +57,8 @@ export default function TelemetryBlocker() {
       setResult(null);
       const res = await fetch("http://localhost:3001/api/telemetry/install-policy", {
         method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ target }),
       });
       const data = await res.json();
       setResult(data);
@@ -0,0 +1,271 @@
+import { useState } from "react";
+import CopyButton from "./CopyButton";
+import { apiUrl } from "../utils/api";
+import { formatPrefValue } from "../utils/prefs";
+import "./ConfigWizard.css"; // shared dialog layout
+import "./UpstreamImport.css";
+
+const STATUS_LABELS = {
+  new: "New upstream",
+  changed: "Changed",
+  same: "Same",
+  "catalog-only": "Catalog only",
+};
+
+const valueCell = (value) =>
+  value === null || value === undefined ? <span className="upstream-absent">—</span> : formatPrefValue(value);
+
+// Compare a Betterfox/arkenfox user.js with our catalog and the profile's
+// user.js, then adopt selected upstream prefs
+export default function UpstreamImport({ profile, target, showToast, onAdopted }) {
+  const [open, setOpen] = useState(false);
+  const [upstreamText, setUpstreamText] = useState("");
+  const [comparison, setComparison] = useState(null);
+  const [statusFilter, setStatusFilter] = useState("new");
+  const [selected, setSelected] = useState(new Set());
+  const [busy, setBusy] = useState(false);
+
+  const notify = showToast || (() => {});
+
+  const post = (path, body) =>
+    fetch(apiUrl(path), {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...body, content: upstreamText, profile, target }),
+    });
+
+  const close = () => {
+    setOpen(false);
+    setComparison(null);
+    setSelected(new Set());
+  };
+
+  const loadFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (file) setUpstreamText(await file.text());
+  };
+
+  const compare = async () => {
+    setBusy(true);
+    try {
+      const res = await post("/api/upstream/compare", {});
+      const data = await res.json();
+      if (!res.ok) {
+        notify(`❌ ${data.error || "Comparison failed"}`, "error");
+        return;
+      }
+      setComparison(data);
+      setSelected(new Set());
+      setStatusFilter(data.summary.new > 0 ? "new" : "changed");
+    } catch (_error) {
+      notify("❌ Comparison failed", "error");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const adopt = async () => {
+    setBusy(true);
+    try {
+      const res = await post("/api/upstream/adopt", { prefs: [...selected] });
+      const data = await res.json();
+      if (!res.ok) {
+        notify(`❌ ${data.error || "Adopt failed"}`, "error");
+        return;
+      }
+      notify(data.message, "success");
+      close();
+      if (onAdopted) onAdopted();
+    } catch (_error) {
+      notify("❌ Adopt failed", "error");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggle = (pref) => {
+    const next = new Set(selected);
+    if (next.has(pref)) next.delete(pref);
+    else next.add(pref);
+    setSelected(next);
+  };
+
+  const rows = comparison?.rows.filter((row) => row.status === statusFilter) || [];
+  const selectable = rows.filter((row) => row.upstream);
+  const allSelected = selectable.length > 0 && selectable.every((row) => selected.has(row.pref));
+
+  const toggleAll = () => {
+    const next = new Set(selected);
+    for (const row of selectable) {
+      if (allSelected) next.delete(row.pref);
+      else next.add(row.pref);
+    }
+    setSelected(next);
+  };
+
+  // Selected prefs as catalog/prefs.json entries
+  const catalogSnippet = () => {
+    const entries = {};
+    for (const row of comparison?.rows || []) {
+      if (selected.has(row.pref) && row.upstream) entries[row.pref] = row.upstream.catalogEntry;
+    }
+    return JSON.stringify(entries, null, 2);
+  };
+
+  return (
+    <>
+      <button
+        onClick={() => setOpen(true)}
+        title="Compare a Betterfox or arkenfox user.js with the catalog and this profile"
+      >
+        ⬆️ Upstream
+      </button>
+
+      {open && (
+        <div className="wizard-overlay" onClick={close}>
+          <div
+            className="wizard-dialog upstream-dialog"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="wizard-header">
+              <h2>⬆️ Upstream user.js</h2>
+              <button className="wizard-close" onClick={close}>
+                ×
+              </button>
+            </div>
+            <div className="wizard-content">
+              {!comparison ? (
+                <>
+                  <p className="wizard-description">
+                    Paste a Betterfox or arkenfox user.js, or load one from
+                    disk, to see which upstream prefs are new or differ from
+                    the catalog and this profile&apos;s user.js.
+                  </p>
+                  <textarea
+                    className="upstream-input"
+                    value={upstreamText}
+                    onChange={(e) => setUpstreamText(e.target.value)}
+                    placeholder='user_pref("content.notify.interval", 100000);'
+                    spellCheck={false}
+                  />
+                  <div className="wizard-actions">
+                    <label className="wizard-btn-secondary upstream-file">
+                      📂 Load file
+                      <input type="file" accept=".js,text/javascript,text/plain" onChange={loadFile} />
+                    </label>
+                    <button
+                      className="wizard-btn-primary"
+                      onClick={compare}
+                      disabled={busy || !upstreamText.trim()}
+                    >
+                      {busy ? "Comparing..." : "🔍 Compare"}
+                    </button>
+                  </div>
+                </>
+              ) : (
+                <>
+                  <div className="wizard-info">
+                    <p>
+                      <strong>{comparison.upstream.label}</strong>:{" "}
+                      {comparison.upstream.prefCount} active prefs
+                      {comparison.upstream.inactive > 0 &&
+                        ` (${comparison.upstream.inactive} commented out)`}{" "}
+                      — compared with the catalog ({comparison.preset} preset)
+                      and {comparison.profile.name}&apos;s user.js
+                    </p>
+                  </div>
+
+                  <div className="pref-filters upstream-filters">
+                    {Object.entries(STATUS_LABELS).map(([status, label]) => (
+                      <button
+                        key={status}
+                        className={`filter-btn ${statusFilter === status ? "filter-active" : ""}`}
+                        onClick={() => setStatusFilter(status)}
+                      >
+                        {label} ({comparison.summary[status]})
+                      </button>
+                    ))}
+                  </div>
+
+                  <div className="upstream-table-wrap">
+                    <table className="upstream-table">
+                      <thead>
+                        <tr>
+                          <th>
+                            {selectable.length > 0 && (
+                              <input type="checkbox" checked={allSelected} onChange={toggleAll} />
+                            )}
+                          </th>
+                          <th>Pref</th>
+                          <th>Upstream</th>
+                          <th>Catalog</th>
+                          <th>user.js</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {rows.map((row) => (
+                          <tr key={row.pref}>
+                            <td>
+                              {row.upstream && (
+                                <input
+                                  type="checkbox"
+                                  checked={selected.has(row.pref)}
+                                  onChange={() => toggle(row.pref)}
+                                />
+                              )}
+                            </td>
+                            <td>
+                              <code>{row.pref}</code>
+                              {row.upstream?.description && (
+                                <div className="upstream-desc">{row.upstream.description}</div>
+                              )}
+                            </td>
+                            <td>{valueCell(row.upstream?.value)}</td>
+                            <td>{valueCell(row.catalog?.value)}</td>
+                            <td
+                              className={
+                                row.upstream && row.userJs === row.upstream.value
+                                  ? "upstream-match"
+                                  : ""
+                              }
+                            >
+                              {valueCell(row.userJs)}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    {rows.length === 0 && (
+                      <p className="upstream-absent">Nothing in this group</p>
+                    )}
+                  </div>
+
+                  <div className="wizard-actions">
+                    <button className="wizard-btn-secondary" onClick={() => setComparison(null)}>
+                      ← Back
+                    </button>
+                    {selected.size > 0 && (
+                      <CopyButton
+                        text={catalogSnippet()}
+                        label={`📋 Copy ${selected.size} as catalog entries`}
+                        showToast={notify}
+                      />
+                    )}
+                    <button
+                      className="wizard-btn-primary"
+                      onClick={adopt}
+                      disabled={busy || selected.size === 0}
+                    >
+                      {busy ? "Adopting..." : `✅ Adopt ${selected.size} into user.js`}
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
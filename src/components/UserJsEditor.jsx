@@ -1,14 +1,36 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, lazy, Suspense } from "react";
 import CopyButton from "./CopyButton";
 import ConfigWizard from "./ConfigWizard";
+import ProfileBundle from "./ProfileBundle";
+import UpstreamImport from "./UpstreamImport";
+import IgnoredPrefs from "./IgnoredPrefs";
+import DiagnosticsList from "./DiagnosticsList";
+import UserJsFormatter from "./UserJsFormatter";
+import BackupBrowser from "./BackupBrowser";
 import {
   generateUserJsScript,
   generateRestartScript,
   generateEmergencyRecoveryScript,
 } from "../utils/clipboard";
+import { apiUrl } from "../utils/api";
+import { applyFix } from "../utils/prefs";
 import "./UserJsEditor.css";
 
-function UserJsEditor({ showToast, systemInfo, apiMode }) {
+// CodeMirror is loaded with the editor tab, not with the dashboard
+const PrefsCodeEditor = lazy(() => import("./PrefsCodeEditor"));
+
+// Re-validate this long after the last keystroke
+const VALIDATE_DELAY_MS = 800;
+
+function UserJsEditor({
+  profile,
+  target,
+  showToast,
+  systemInfo,
+  apiMode,
+  categories,
+  preferences,
+}) {
   const [content, setContent] = useState("");
   const [originalContent, setOriginalContent] = useState("");
   const [filePath, setFilePath] = useState("");
@@ -17,6 +39,7 @@ function UserJsEditor({ showToast, systemInfo, apiMode }) {
   const [showWizard, setShowWizard] = useState(false);
   const [validationStatus, setValidationStatus] = useState(null); // NEW: validation state
   const [isValidating, setIsValidating] = useState(false); // NEW: validation loading
+  const [validatedContent, setValidatedContent] = useState(null); // text the diagnostics refer to
 
   const notify = showToast || (() => {});
   const isDemoMode = apiMode === "demo" || apiMode === "disconnected";
@@ -24,7 +47,7 @@ function UserJsEditor({ showToast, systemInfo, apiMode }) {
   // Load user.js content
   const loadUserJs = async () => {
     try {
-      const response = await fetch("/api/user-js");
+      const response = await fetch(apiUrl("/api/user-js", { profile, target }));
       const data = await response.json();
       setContent(data.content || "");
       setOriginalContent(data.content || "");
@@ -43,10 +66,11 @@ function UserJsEditor({ showToast, systemInfo, apiMode }) {
       const response = await fetch("/api/user-js/validate", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ content: contentToValidate }),
+        body: JSON.stringify({ content: contentToValidate, profile, target }),
       });
       const result = await response.json();
       setValidationStatus(result);
+      setValidatedContent(contentToValidate);
       return result;
     } catch (error) {
       console.error("Validation failed:", error);
@@ -67,7 +91,10 @@ function UserJsEditor({ showToast, systemInfo, apiMode }) {
     }
 
     if (validation.firefoxRunning) {
-      notify("⚠️ Close Firefox before saving changes", "error");
+      notify(
+        `⚠️ Close Firefox (PID ${validation.lockPid}) before saving changes`,
+        "error",
+      );
       return;
     }
 
@@ -76,7 +103,7 @@ function UserJsEditor({ showToast, systemInfo, apiMode }) {
       const response = await fetch("/api/user-js", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ content }),
+        body: JSON.stringify({ content, profile, target }),
       });
       const result = await response.json();
       if (!response.ok) {
@@ -95,9 +122,27 @@ function UserJsEditor({ showToast, systemInfo, apiMode }) {
     }
   };
 
+  // Apply a quick fix, then re-validate so the remaining offsets stay correct
+  const handleFix = (fix) => {
+    if (validatedContent !== content) {
+      notify("The text changed since validation — validate again to use quick fixes", "error");
+      return;
+    }
+    const fixed = applyFix(content, fix);
+    setContent(fixed);
+    setIsModified(fixed !== originalContent);
+    validateContent(fixed);
+  };
+
+  // Formatted text replaces the editor's; it is saved like any other edit
+  const handleFormatted = (formatted) => {
+    setContent(formatted);
+    setIsModified(formatted !== originalContent);
+    validateContent(formatted);
+  };
+
   // Handle content change
-  const handleChange = (e) => {
-    const newContent = e.target.value;
+  const handleChange = (newContent) => {
     setContent(newContent);
     setIsModified(newContent !== originalContent);
   };
@@ -108,15 +153,24 @@ function UserJsEditor({ showToast, systemInfo, apiMode }) {
     setIsModified(false);
   };
 
-  // Load on mount
+  // Load on mount and whenever the selected profile or target changes
   useEffect(() => {
     loadUserJs();
-  }, []);
+  }, [profile, target]);
+
+  // Live diagnostics: validate edits once typing pauses
+  useEffect(() => {
+    if (isDemoMode || !isModified || content === validatedContent) return;
+    const timer = setTimeout(() => validateContent(content), VALIDATE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [content]);
 
   return (
     <>
       {showWizard && (
         <ConfigWizard
+          profileSelector={profile}
+          target={target}
           systemInfo={systemInfo}
           userJsContent={content}
           showToast={notify}
@@ -158,16 +212,18 @@ function UserJsEditor({ showToast, systemInfo, apiMode }) {
                   <p>✓ Syntax validation passed</p>
                   <p>✓ {validationStatus.prefCount} preferences detected</p>
                   {validationStatus.firefoxRunning && (
-                    <p className="warning">⚠️ Close Firefox before saving</p>
+                    <p className="warning">
+                      ⚠️ Close Firefox (PID {validationStatus.lockPid}) before
+                      saving — it has this profile open
+                    </p>
                   )}
                   {validationStatus.warnings && validationStatus.warnings.length > 0 && (
                     <details>
                       <summary>⚠️ {validationStatus.warnings.length} warnings</summary>
-                      <ul>
-                        {validationStatus.warnings.map((w, i) => (
-                          <li key={i}>{w}</li>
-                        ))}
-                      </ul>
+                      <DiagnosticsList
+                        diagnostics={validationStatus.diagnostics}
+                        onFix={validatedContent === content ? handleFix : undefined}
+                      />
                     </details>
                   )}
                 </div>
@@ -180,7 +236,11 @@ function UserJsEditor({ showToast, systemInfo, apiMode }) {
                 </div>
                 <div className="safety-details">
                   <p className="error">{validationStatus.error}</p>
-                  <p><strong>Fix the error above before saving.</strong></p>
+                  <DiagnosticsList
+                    diagnostics={validationStatus.diagnostics}
+                    onFix={validatedContent === content ? handleFix : undefined}
+                  />
+                  <p><strong>Fix the errors above before saving.</strong></p>
                   <p>💡 Tip: Check for unbalanced quotes, parentheses, or dangerous values.</p>
                 </div>
               </>
@@ -224,6 +284,38 @@ function UserJsEditor({ showToast, systemInfo, apiMode }) {
                 >
                   ↩️ Reset
                 </button>
+                <UserJsFormatter
+                  content={content}
+                  profile={profile}
+                  target={target}
+                  showToast={notify}
+                  onFormatted={handleFormatted}
+                  disabled={isSaving}
+                />
+                <ProfileBundle
+                  profile={profile}
+                  target={target}
+                  showToast={notify}
+                  onImported={loadUserJs}
+                />
+                <UpstreamImport
+                  profile={profile}
+                  target={target}
+                  showToast={notify}
+                  onAdopted={loadUserJs}
+                />
+                <IgnoredPrefs
+                  profile={profile}
+                  target={target}
+                  showToast={notify}
+                  onFixed={loadUserJs}
+                />
+                <BackupBrowser
+                  profile={profile}
+                  target={target}
+                  showToast={notify}
+                  onRestored={loadUserJs}
+                />
               </>
             )}
           </div>
@@ -254,14 +346,18 @@ function UserJsEditor({ showToast, systemInfo, apiMode }) {
           </div>
         </div>
 
-        <textarea
-          className="user-js-textarea"
-          value={content}
-          onChange={handleChange}
-          placeholder="// user.js content will appear here&#10;// Edit and save to apply changes&#10;// Remember to restart Firefox after saving!"
-          spellCheck={false}
-          readOnly={isDemoMode}
-        />
+        <Suspense fallback={<p className="file-path">Loading editor...</p>}>
+          <PrefsCodeEditor
+            value={content}
+            onChange={handleChange}
+            diagnostics={validationStatus?.diagnostics}
+            onFix={handleFix}
+            categories={categories}
+            currentValues={preferences}
+            placeholder={"// user.js content will appear here\n// Edit and save to apply changes\n// Remember to restart Firefox after saving!"}
+            readOnly={isDemoMode}
+          />
+        </Suspense>
 
         <div className="editor-footer">
           <div className="editor-footer-info">
@@ -0,0 +1,121 @@
+import { useState } from "react";
+import DiffView from "./DiffView";
+import { apiUrl } from "../utils/api";
+import { formatPrefValue } from "../utils/prefs";
+import "./ConfigWizard.css"; // shared dialog layout
+import "./UserJsFormatter.css";
+
+// Format the editor's user.js (dedupe, group by category, sort, normalize
+// values) and preview the diff; the result goes back into the editor and is
+// saved the usual way
+export default function UserJsFormatter({ content, profile, target, showToast, onFormatted, disabled }) {
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const notify = showToast || (() => {});
+
+  const format = async () => {
+    setBusy(true);
+    try {
+      const res = await fetch(apiUrl("/api/user-js/format"), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ content, profile, target }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        notify(`❌ ${data.error || "Format failed"}`, "error");
+        return;
+      }
+      if (!data.hasChanges) {
+        notify("✅ user.js is already formatted", "success");
+        return;
+      }
+      setPreview(data);
+    } catch (_error) {
+      notify("❌ Format failed", "error");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const close = () => setPreview(null);
+
+  const accept = () => {
+    onFormatted(preview.content);
+    close();
+  };
+
+  return (
+    <>
+      <button
+        onClick={format}
+        disabled={disabled || busy}
+        title="Deduplicate, group by category, sort and normalize prefs"
+      >
+        {busy ? "🧹 Formatting..." : "🧹 Format"}
+      </button>
+
+      {preview && (
+        <div className="wizard-overlay" onClick={close}>
+          <div className="wizard-dialog formatter-dialog" onClick={(e) => e.stopPropagation()}>
+            <div className="wizard-header">
+              <h2>🧹 Format user.js</h2>
+              <button className="wizard-close" onClick={close}>
+                ×
+              </button>
+            </div>
+            <div className="wizard-content">
+              <p className="wizard-description">
+                {preview.prefCount} prefs grouped by category and sorted. Firefox
+                ends up with the same values — nothing is saved until you save
+                in the editor.
+              </p>
+
+              {preview.duplicates.length > 0 && (
+                <details className="formatter-report" open>
+                  <summary>{preview.duplicates.length} duplicate prefs removed</summary>
+                  <ul>
+                    {preview.duplicates.map((d) => (
+                      <li key={d.pref}>
+                        <code>{d.pref}</code>: kept {formatPrefValue(d.value)} (line {d.line}),
+                        dropped{" "}
+                        {d.dropped
+                          .map((entry) => `${formatPrefValue(entry.value)} (line ${entry.line})`)
+                          .join(", ")}
+                      </li>
+                    ))}
+                  </ul>
+                </details>
+              )}
+
+              {preview.unknown.length > 0 && (
+                <details className="formatter-report">
+                  <summary>{preview.unknown.length} prefs not in the catalog (moved to “Other”)</summary>
+                  <ul>
+                    {preview.unknown.map((pref) => (
+                      <li key={pref}>
+                        <code>{pref}</code>
+                      </li>
+                    ))}
+                  </ul>
+                </details>
+              )}
+
+              <DiffView diff={preview.diff} />
+
+              <div className="wizard-actions">
+                <button className="wizard-btn-secondary" onClick={close}>
+                  Cancel
+                </button>
+                <button className="wizard-btn-primary" onClick={accept}>
+                  ✅ Use formatted
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
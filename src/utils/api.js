@@ -0,0 +1,11 @@
+// Build an API URL with optional query selectors (empty values are dropped)
+export function apiUrl(path, params = {}) {
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== "") {
+      query.set(key, value);
+    }
+  }
+  const qs = query.toString();
+  return qs ? `${path}?${qs}` : path;
+}
@@ -12,6 +12,8 @@
  * - Arch Wiki Firefox documentation
  */
 
+import { formatPrefValue } from "./prefs";
+
 export async function copyToClipboard(text, showToast) {
   try {
     await navigator.clipboard.writeText(text);
@@ -354,7 +356,7 @@ echo "   3. Manually delete: $USERJS"
 
 export function generatePreferenceScript(prefs) {
   const prefLines = Object.entries(prefs)
-    .map(([key, value]) => `user_pref("${key}", ${value});`)
+    .map(([key, value]) => `user_pref("${key}", ${formatPrefValue(value)});`)
     .join("\n");
 
   return generateUserJsScript(
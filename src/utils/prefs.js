@@ -0,0 +1,11 @@
+// Typed pref value (true, 4, "text") as written in user.js
+export function formatPrefValue(value) {
+  return typeof value === "string" ? JSON.stringify(value) : String(value);
+}
+
+// Apply a validation quick fix ({changes: [{from, to, insert}]}) to the text it was computed for
+export function applyFix(content, fix) {
+  return [...fix.changes]
+    .sort((a, b) => b.from - a.from)
+    .reduce((text, { from, to, insert }) => text.slice(0, from) + insert + text.slice(to), content);
+}